@@ -12,6 +12,9 @@ import cssnano from 'cssnano';
 
 const isDev = process.env.BUILD === 'development';
 
+// Names the service worker's asset cache, so each build replaces the last
+const buildId = Date.now().toString(36);
+
 // PostCSS plugins for CSS processing
 const postcssPlugins = [
   postcssImport(),
@@ -35,6 +38,60 @@ if (!isDev) {
   );
 }
 
+// Exposes the build to theme code: import { isDev, buildId } from 'build-env'
+const buildEnv = () => ({
+  name: 'build-env',
+  resolveId: (id) => (id === 'build-env' ? '\0build-env' : null),
+  load: (id) =>
+    id === '\0build-env'
+      ? `export const isDev = ${isDev};\nexport const buildId = '${buildId}';`
+      : null,
+});
+
+// Lists the built files for the service worker to precache
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  generateBundle(options, bundle) {
+    const files = ['screen.css', ...Object.keys(bundle)].filter(
+      (file) => !file.endsWith('.map'),
+    );
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache.json',
+      source: JSON.stringify(files),
+    });
+  },
+});
+
+const babelConfig = () =>
+  babel({
+    babelHelpers: 'bundled',
+    exclude: 'node_modules/**',
+    presets: [
+      [
+        '@babel/preset-env',
+        {
+          targets: {
+            browsers: ['> 1%', 'last 2 versions'],
+          },
+          modules: false,
+        },
+      ],
+    ],
+  });
+
+const terserConfig = () =>
+  terser({
+    compress: {
+      // Console output is gated by the logger (src/js/modules/logger.js)
+      passes: 2,
+    },
+    format: {
+      comments: false,
+    },
+  });
+
 // Live reload setup for development
 const liveReloadConfig = isDev
   ? livereload({
@@ -58,40 +115,39 @@ export default [
       compact: !isDev,
     },
     plugins: [
+      buildEnv(),
       nodeResolve({
         browser: true,
         preferBuiltins: false,
       }),
       commonjs(),
-      babel({
-        babelHelpers: 'bundled',
-        exclude: 'node_modules/**',
-        presets: [
-          [
-            '@babel/preset-env',
-            {
-              targets: {
-                browsers: ['> 1%', 'last 2 versions'],
-              },
-              modules: false,
-            },
-          ],
-        ],
-      }),
-      !isDev &&
-        terser({
-          compress: {
-            drop_console: true,
-            passes: 2,
-          },
-          format: {
-            comments: false,
-          },
-        }),
+      babelConfig(),
+      !isDev && terserConfig(),
+      precacheManifest(),
       liveReloadConfig,
     ].filter(Boolean),
   },
 
+  // Service worker, served from assets/built/sw.js (see DEVELOPMENT.md)
+  {
+    input: 'src/js/service-worker.js',
+    output: {
+      file: 'assets/built/sw.js',
+      format: 'iife',
+      sourcemap: isDev,
+      compact: !isDev,
+    },
+    plugins: [
+      buildEnv(),
+      nodeResolve({
+        browser: true,
+        preferBuiltins: false,
+      }),
+      babelConfig(),
+      !isDev && terserConfig(),
+    ].filter(Boolean),
+  },
+
   // CSS build configuration (unchanged)
   {
     input: 'src/css/screen.css',
@@ -0,0 +1,103 @@
+/**
+ * Likes Dev Server
+ * A throwaway likes endpoint for trying the Likes endpoint theme setting
+ * locally. Likes are kept in memory and members are told apart by the
+ * identity token's subject, which is NOT verified: never deploy this.
+ *
+ * npm run likes-server                  → http://localhost:2370
+ * npm run likes-server -- --fail        → every PUT/DELETE answers 500
+ * PORT=4000 LIKES_FAIL=1 node scripts/likes-dev-server.js
+ *
+ * Add ?fail to a request to make only that one fail.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 2370;
+const FAIL_WRITES =
+  process.argv.includes('--fail') || process.env.LIKES_FAIL === '1';
+
+// Post id -> members who liked it
+const likes = new Map();
+
+/**
+ * Member from "Authorization: Bearer <jwt>", or null
+ */
+function getMember(request) {
+  const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+  if (!match) return null;
+
+  try {
+    const payload = match[1].split('.')[1];
+    const { sub } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return sub || match[1];
+  } catch (error) {
+    return match[1];
+  }
+}
+
+function getLike(id, member) {
+  const members = likes.get(id) || new Set();
+  return { liked: !!member && members.has(member), count: members.size };
+}
+
+function send(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const member = getMember(request);
+
+  // The theme runs on another port, so every answer needs CORS
+  response.setHeader(
+    'Access-Control-Allow-Origin',
+    request.headers.origin || '*',
+  );
+  response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE');
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization');
+  response.setHeader('Vary', 'Origin');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const id = decodeURIComponent(url.pathname.replace(/^\/+|\/+$/g, ''));
+  const isWrite = request.method === 'PUT' || request.method === 'DELETE';
+
+  console.log(`${request.method} ${request.url} (${member || 'anonymous'})`);
+
+  if (request.method === 'GET' && !id) {
+    const ids = (url.searchParams.get('ids') || '').split(',');
+    const body = {};
+    ids.filter(Boolean).forEach((postId) => {
+      body[postId] = getLike(postId, member);
+    });
+    send(response, 200, body);
+  } else if (!isWrite || !id) {
+    send(response, 404, { error: 'Not found' });
+  } else if (!member) {
+    send(response, 401, { error: 'Sign in to like posts' });
+  } else if (FAIL_WRITES || url.searchParams.has('fail')) {
+    send(response, 500, { error: 'Failing on purpose' });
+  } else {
+    const members = likes.get(id) || new Set();
+    if (request.method === 'PUT') {
+      members.add(member);
+    } else {
+      members.delete(member);
+    }
+    likes.set(id, members);
+    send(response, 200, getLike(id, member));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`👍 Likes dev server on http://localhost:${PORT}`);
+  if (FAIL_WRITES) {
+    console.log('   Likes will fail, so the theme undoes them');
+  }
+});
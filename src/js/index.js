@@ -3,7 +3,9 @@
  * Optimized with dynamic imports for better performance
  */
 
-import { initializeTheme } from './modules/theme';
+import { initializeTheme, trackEvent } from './modules/theme';
+import { analytics } from './modules/analytics';
+import { consent } from './modules/consent';
 import { DarkMode } from './modules/dark-mode';
 import { MobileNavigation } from './modules/mobile-navigation';
 import { TouchImprovements } from './modules/touch-improvements';
@@ -12,220 +14,103 @@ import {
   initShortDateFormatter,
   observeNewDates,
 } from './modules/short-date-formatter';
+import { ModuleRegistry } from './modules/module-registry';
+import { registerThemeModules } from './modules/module-manifest';
+import { createLogger } from './modules/logger';
+
+const log = createLogger('theme');
+
+let coreModules = [];
+let registry = null;
+
+/**
+ * Create modules needed on every page
+ */
+function initCoreModules() {
+  initializeTheme();
+  initShortDateFormatter();
+
+  return [new DarkMode(), new MobileNavigation(), new TouchImprovements()];
+}
+
+/**
+ * Tear down and re-initialize every module against the current DOM,
+ * without a full page reload
+ */
+function reinitializeTheme() {
+  const startTime = performance.now();
+
+  coreModules.forEach((module) => module.destroy());
+  registry.destroyAll();
+
+  coreModules = initCoreModules();
+  registry.scan(document);
+
+  const loadTime = performance.now() - startTime;
+  log.info(`🔁 Theme re-initialized in ${loadTime.toFixed(2)}ms`);
+}
+
+/**
+ * Re-bind page-wide modules after the page router swaps #main-content.
+ * Modules inside the content are re-mounted by the registry itself.
+ */
+function handlePageTransition() {
+  coreModules
+    .filter((module) => module instanceof TouchImprovements)
+    .forEach((module) => module.refresh());
+
+  registry
+    .getInstances('social-sharing')
+    .forEach((module) => module.refresh());
+}
 
 /**
  * Initialize theme when DOM is ready
  */
 document.addEventListener('DOMContentLoaded', async function () {
   const startTime = performance.now();
-  console.log('🎨 Substack-Style Theme Loading...');
+  log.debug('🎨 Substack-Style Theme Loading...');
 
   try {
     // ============================================
     // CRITICAL: Load these immediately (always needed)
     // ============================================
 
-    initializeTheme();
-    const darkMode = new DarkMode();
-    const mobileNav = new MobileNavigation();
-    const touchImprovements = new TouchImprovements();
-    initShortDateFormatter();
+    consent.configureFromDocument();
+    analytics
+      .configureFromDocument()
+      .configure({ requireConsent: consent.isRequired });
+    // Undecided (or reset) consent keeps events queued instead of dropping them
+    const syncAnalyticsConsent = () =>
+      analytics.setConsent(
+        consent.isDecided() ? consent.has('analytics') : null,
+      );
+    syncAnalyticsConsent();
+    consent.onChange(syncAnalyticsConsent);
 
-    // Make mobile navigation globally available
-    window.toggleSidebar = mobileNav.toggleSidebar.bind(mobileNav);
+    coreModules = initCoreModules();
 
     // ============================================
-    // DYNAMIC: Load only when DOM elements exist
+    // DYNAMIC: Mounted by the module registry when matching elements
+    // exist, including elements inserted after page load
     // ============================================
 
-    // Category Tabs
-    if (document.querySelector('.category-tab')) {
-      import('./modules/category-tabs').then(({ CategoryTabs }) => {
-        new CategoryTabs();
-        console.log('📊 Category Tabs loaded');
-      });
-    }
-
-    // Subscribe & Portal
-    if (document.querySelector('.subscribe-btn, [data-portal]')) {
-      Promise.all([
-        import('./modules/subscribe-buttons'),
-        import('./modules/portal-integration'),
-      ]).then(([{ SubscribeButtons }, { PortalIntegration }]) => {
-        new SubscribeButtons();
-        new PortalIntegration();
-        console.log('💌 Subscribe & Portal loaded');
-      });
-    }
-
-    // Post Actions
-    if (document.querySelector('.post-action')) {
-      import('./modules/post-actions').then(({ PostActions }) => {
-        new PostActions();
-        console.log('👍 Post Actions loaded');
-      });
-    }
-
-    // Masonry Grid
-    if (document.querySelector('.masonry-grid')) {
-      import('./modules/masonry-grid').then(({ MasonryGrid }) => {
-        window.MasonryGrid = new MasonryGrid(); // Store globally
-        console.log('🧱 Masonry Grid loaded');
-      });
-    }
-
-    // The Pile
-    if (document.querySelector('.the-pile')) {
-      import('./modules/the-pile').then(({ ThePile }) => {
-        new ThePile();
-        console.log('🃏 The Pile loaded');
-      });
-    }
-
-    // Search Handler
-    if (document.querySelector('.search-trigger, .search-container')) {
-      import('./modules/search').then(({ SearchHandler }) => {
-        new SearchHandler();
-        console.log('🔍 Search loaded');
-      });
-    }
-
-    // Horizontal Scroll
-    if (document.querySelector('.horizontal-scroll-section')) {
-      import('./modules/horizontal-scroll').then(({ HorizontalScroll }) => {
-        new HorizontalScroll();
-        console.log('↔️ Horizontal Scroll loaded');
-      });
-    }
-
-    // Sidebar Dropdown
-    if (document.querySelector('.has-dropdown')) {
-      import('./modules/sidebar-dropdown').then(({ SidebarDropdown }) => {
-        new SidebarDropdown();
-        console.log('📂 Sidebar Dropdown loaded');
-      });
-    }
-
-    // Infinite Scroll - with retry logic for tag pages
-    const initInfiniteScroll = () => {
-      console.log('🔍 Checking for load-more-btn...');
-      const loadMoreBtn = document.querySelector('#load-more-btn');
-      console.log('Load more button:', loadMoreBtn);
-
-      if (loadMoreBtn) {
-        console.log(
-          '🎯 Load more button found! Loading infinite scroll module...',
-        );
-        import('./modules/infinite-scroll').then(({ InfiniteScroll }) => {
-          console.log('📦 Infinite scroll module imported');
-          new InfiniteScroll();
-          console.log('♾️ Infinite Scroll loaded');
-        });
-      } else {
-        console.log(
-          '⏳ Load more button not found yet, will retry in 500ms...',
-        );
-        // Retry after a short delay for dynamically loaded content
-        setTimeout(() => {
-          const retryBtn = document.querySelector('#load-more-btn');
-          console.log('🔄 Retry - Load more button:', retryBtn);
-          if (retryBtn) {
-            console.log('🎯 Load more button found on retry!');
-            import('./modules/infinite-scroll').then(({ InfiniteScroll }) => {
-              console.log('📦 Infinite scroll module imported (retry)');
-              new InfiniteScroll();
-              console.log('♾️ Infinite Scroll loaded (retry)');
-            });
-          } else {
-            console.log('📄 No load more button found after retry');
-          }
-        }, 500);
-      }
-    };
-
-    // Call the function
-    initInfiniteScroll();
-
-    // Breadcrumb Dropdown
-    if (document.querySelector('.breadcrumb-dropdown')) {
-      import('./modules/breadcrumb-dropdown').then(({ BreadcrumbDropdown }) => {
-        new BreadcrumbDropdown();
-        console.log('🍞 Breadcrumb Dropdown loaded');
-      });
-    }
-
-    // Blog Post Display
-    if (document.querySelector('.post-container, .blog-post')) {
-      import('./modules/blog-post-display').then(({ BlogPostDisplay }) => {
-        new BlogPostDisplay();
-        console.log('📝 Blog Post Display loaded');
-      });
-    }
+    registry = registerThemeModules(new ModuleRegistry());
+    registry.start();
 
-    // ============================================
-    // DEFERRED: Load after page is idle (not critical)
-    // ============================================
+    // Exposed for debugging and for modules that insert content
+    window.themeModules = registry;
+    window.reinitializeTheme = reinitializeTheme;
+    window.trackEvent = trackEvent;
+    window.themeAnalytics = analytics;
+    window.themeConsent = consent;
 
-    const loadNonCritical = () => {
-      // Social Sharing
-      import('./modules/social-sharing').then(({ initSocialSharing }) => {
-        initSocialSharing();
-      });
-
-      // Testimonials
-      if (document.querySelector('.testimonials, .testimonial-widget')) {
-        import('./modules/testimonials').then(({ initTestimonials }) => {
-          initTestimonials();
-        });
-      }
-
-      // Weather Display
-      if (document.querySelector('[data-weather]')) {
-        import('./modules/weather-display').then(({ initWeatherDisplay }) => {
-          initWeatherDisplay();
-        });
-      }
-
-      // Knicks Counter
-      if (document.querySelector('[data-knicks-counter]')) {
-        import('./modules/knicks-counter').then(({ initKnicksCounter }) => {
-          initKnicksCounter();
-        });
-      }
-
-      // Price Toggle
-      if (document.querySelector('[data-price-toggle]')) {
-        import('./modules/price-toggle').then(({ initPriceToggle }) => {
-          initPriceToggle();
-        });
-      }
-
-      // Current Time
-      if (document.querySelector('[data-current-time]')) {
-        import('./modules/current-time').then(({ initCurrentTime }) => {
-          initCurrentTime();
-        });
-      }
-
-      // Rotating Quotes
-      if (document.querySelector('.end-credits')) {
-        import('./modules/rotating-quotes').then(({ initRotatingQuotes }) => {
-          initRotatingQuotes();
-        });
-      }
-    };
-
-    // Load non-critical modules when browser is idle
-    if ('requestIdleCallback' in window) {
-      requestIdleCallback(loadNonCritical, { timeout: 2000 });
-    } else {
-      setTimeout(loadNonCritical, 1);
-    }
+    document.addEventListener('pageTransition', handlePageTransition);
 
     const loadTime = performance.now() - startTime;
-    console.log(`✅ Theme Loaded in ${loadTime.toFixed(2)}ms`);
+    log.info(`✅ Theme Loaded in ${loadTime.toFixed(2)}ms`);
   } catch (error) {
-    console.error('❌ Theme initialization error:', error);
+    log.error('❌ Theme initialization error:', error);
   }
 });
 
@@ -234,12 +119,12 @@ document.addEventListener('DOMContentLoaded', async function () {
  */
 window.addEventListener('load', function () {
   observeNewDates();
-  console.log('🚀 Theme fully loaded');
+  log.info('🚀 Theme fully loaded');
 });
 
 /**
  * Error handling
  */
 window.addEventListener('error', function (event) {
-  console.error('Theme error:', event.error);
+  log.error('Theme error:', event.error);
 });
@@ -0,0 +1,364 @@
+/**
+ * Analytics Module
+ * One place for every theme event. Events are queued, gated on consent
+ * and flushed in batches to a single provider:
+ *
+ * - plausible  window.plausible()
+ * - fathom     window.fathom.trackEvent()
+ * - gtag       Google Analytics 4
+ * - segment    window.analytics.track() (Segment-compatible libraries)
+ * - beacon     POST to a custom endpoint with navigator.sendBeacon
+ * - none       no-op
+ *
+ * "auto" (the default) picks the first of plausible, fathom, gtag or
+ * segment whose script is on the page.
+ *
+ * Configured from <body> data attributes set by the theme settings:
+ * data-analytics-provider, data-analytics-endpoint. ?analytics-debug
+ * (or localStorage theme-analytics-debug) logs events instead of sending.
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('analytics');
+
+const DEBUG_STORAGE_KEY = 'theme-analytics-debug';
+const DEBUG_QUERY_PARAM = 'analytics-debug';
+
+// Theme setting labels -> provider names
+const PROVIDER_ALIASES = {
+  'google analytics': 'gtag',
+  'custom endpoint': 'beacon',
+};
+
+// Held while waiting for a consent decision
+const MAX_PENDING_EVENTS = 100;
+
+/**
+ * Human-readable event name for providers without categories
+ */
+function getEventName(event) {
+  return `${event.category}: ${event.action}`;
+}
+
+/**
+ * Event properties without empty values
+ */
+function getEventProps(event) {
+  const props = {};
+
+  if (event.label !== undefined && event.label !== '') {
+    props.label = String(event.label);
+  }
+  if (event.value !== undefined) {
+    props.value = String(event.value);
+  }
+
+  return props;
+}
+
+export const PROVIDERS = {
+  plausible: () => ({
+    isAvailable: () => typeof window.plausible === 'function',
+    send: (events) => {
+      events.forEach((event) => {
+        window.plausible(getEventName(event), { props: getEventProps(event) });
+      });
+    },
+  }),
+
+  fathom: () => ({
+    isAvailable: () =>
+      !!window.fathom && typeof window.fathom.trackEvent === 'function',
+    send: (events) => {
+      events.forEach((event) => {
+        const options =
+          typeof event.value === 'number' ? { _value: event.value } : {};
+        window.fathom.trackEvent(getEventName(event), options);
+      });
+    },
+  }),
+
+  gtag: () => ({
+    isAvailable: () => typeof window.gtag === 'function',
+    send: (events) => {
+      events.forEach((event) => {
+        window.gtag('event', event.action, {
+          event_category: event.category,
+          event_label: event.label,
+          // GA4 only accepts numeric values
+          value: typeof event.value === 'number' ? event.value : undefined,
+        });
+      });
+    },
+  }),
+
+  segment: () => ({
+    isAvailable: () =>
+      !!window.analytics && typeof window.analytics.track === 'function',
+    send: (events) => {
+      events.forEach((event) => {
+        window.analytics.track(event.action, {
+          category: event.category,
+          label: event.label,
+          value: event.value,
+        });
+      });
+    },
+  }),
+
+  beacon: ({ endpoint }) => ({
+    isAvailable: () => !!endpoint,
+    send: (events) => {
+      const body = JSON.stringify({ events });
+
+      if (navigator.sendBeacon) {
+        const blob = new Blob([body], { type: 'application/json' });
+        if (navigator.sendBeacon(endpoint, blob)) return;
+      }
+
+      // Beacon unsupported or its queue is full
+      fetch(endpoint, {
+        method: 'POST',
+        body,
+        headers: { 'Content-Type': 'application/json' },
+        keepalive: true,
+      }).catch((error) => log.warn('Beacon request failed:', error));
+    },
+  }),
+
+  none: () => ({
+    isAvailable: () => true,
+    send: () => {},
+  }),
+};
+
+// Detection order for "auto"
+const AUTO_PROVIDERS = ['plausible', 'fathom', 'gtag', 'segment'];
+
+export class Analytics {
+  constructor(options = {}) {
+    this.options = {
+      provider: 'auto',
+      endpoint: null,
+      batchSize: 10,
+      flushInterval: 2000,
+      requireConsent: false,
+      debug: false,
+      ...options,
+    };
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.consent = null; // null until setConsent() is called
+    this.provider = null;
+    this.providerName = null;
+    this.sentCount = 0;
+    this.isListening = false;
+  }
+
+  /**
+   * Update options and pick the provider again
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.provider = null;
+    this.providerName = null;
+    this.listenForPageHide();
+
+    return this;
+  }
+
+  /**
+   * Read options from <body> data attributes and the URL
+   */
+  configureFromDocument(root = document.body) {
+    const options = {};
+    const { analyticsProvider, analyticsEndpoint } = root ? root.dataset : {};
+
+    if (analyticsProvider) {
+      const name = analyticsProvider.trim().toLowerCase();
+      options.provider = PROVIDER_ALIASES[name] || name;
+    }
+    if (analyticsEndpoint) {
+      options.endpoint = analyticsEndpoint;
+    }
+
+    try {
+      const params = new URLSearchParams(window.location.search);
+      options.debug =
+        params.has(DEBUG_QUERY_PARAM) ||
+        localStorage.getItem(DEBUG_STORAGE_KEY) === 'true';
+    } catch (error) {
+      // Storage unavailable, keep the current debug setting
+    }
+
+    return this.configure(options);
+  }
+
+  /**
+   * Record an event
+   */
+  track(category, action, label, value) {
+    const event = {
+      category,
+      action,
+      label,
+      value,
+      path: window.location.pathname,
+      timestamp: Date.now(),
+    };
+
+    const consent = this.getConsent();
+    if (consent === false) return;
+
+    this.queue.push(event);
+
+    // Waiting on consent: hold a bounded number of events
+    if (consent === null) {
+      if (this.queue.length > MAX_PENDING_EVENTS) {
+        this.queue.shift();
+      }
+      return;
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Flush after the batching interval
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.options.flushInterval);
+  }
+
+  /**
+   * Send every queued event now
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.queue.length === 0 || !this.getConsent()) return;
+
+    const events = this.queue.splice(0);
+
+    if (this.options.debug) {
+      events.forEach((event) => log.info('📊 Analytics Event:', event));
+      return;
+    }
+
+    const provider = this.getProvider();
+
+    try {
+      provider.send(events);
+      this.sentCount += events.length;
+      log.debug(`📊 Sent ${events.length} event(s) via ${this.providerName}`);
+    } catch (error) {
+      log.error('Analytics provider failed:', error);
+    }
+  }
+
+  /**
+   * Resolve the configured provider, falling back to the no-op
+   */
+  getProvider() {
+    if (this.provider) return this.provider;
+
+    const names =
+      this.options.provider === 'auto'
+        ? AUTO_PROVIDERS
+        : [this.options.provider];
+
+    for (const name of names) {
+      const factory = PROVIDERS[name];
+      if (!factory) {
+        log.warn(`Unknown analytics provider "${name}"`);
+        continue;
+      }
+
+      const provider = factory(this.options);
+      if (provider.isAvailable()) {
+        this.provider = provider;
+        this.providerName = name;
+        return provider;
+      }
+    }
+
+    // Provider scripts can load after us, so don't cache the fallback
+    this.providerName = 'none';
+    return PROVIDERS.none();
+  }
+
+  /**
+   * Consent state: true, false, or null while undecided
+   */
+  getConsent() {
+    if (this.consent !== null) return this.consent;
+    return this.options.requireConsent ? null : true;
+  }
+
+  /**
+   * Grant or deny consent, or null while undecided again (after a reset);
+   * pending events are sent, dropped or kept waiting
+   */
+  setConsent(granted) {
+    this.consent = granted === null ? null : !!granted;
+
+    const consent = this.getConsent();
+    if (consent) {
+      this.flush();
+    } else if (consent === false) {
+      this.queue = [];
+    }
+  }
+
+  /**
+   * Flush before the page goes away
+   */
+  listenForPageHide() {
+    if (this.isListening) return;
+    this.isListening = true;
+
+    window.addEventListener('pagehide', () => this.flush());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      provider: this.providerName || this.options.provider,
+      queued: this.queue.length,
+      sent: this.sentCount,
+      consent: this.getConsent(),
+      debug: this.options.debug,
+    };
+  }
+}
+
+// Shared instance used by trackEvent()
+export const analytics = new Analytics();
+
+/**
+ * Track a theme event through the shared analytics instance
+ */
+export function trackEvent(category, action, label, value) {
+  analytics.track(category, action, label, value);
+}
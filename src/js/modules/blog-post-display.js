@@ -4,8 +4,14 @@
  * Only works on /blog index page
  */
 
-export class BlogPostDisplay {
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('blog-post-display');
+
+export class BlogPostDisplay extends ThemeModule {
   constructor(options = {}) {
+    super('blog-post-display');
     this.options = {
       wordThreshold: 500,
       blogPagePath: '/blog',
@@ -18,13 +24,13 @@ export class BlogPostDisplay {
   init() {
     // Only run on blog index page
     if (!this.isBlogIndexPage()) {
-      console.log('BlogPostDisplay: Not on blog page, skipping');
+      log.debug('BlogPostDisplay: Not on blog page, skipping');
       return;
     }
 
     // Process posts when DOM is ready
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () =>
+      this.listen(document, 'DOMContentLoaded', () =>
         this.processAllPosts(),
       );
     } else {
@@ -32,7 +38,7 @@ export class BlogPostDisplay {
     }
 
     // Listen for infinite scroll
-    document.addEventListener('newPostsLoaded', () => {
+    this.listen(document, 'newPostsLoaded', () => {
       this.processNewPosts();
     });
   }
@@ -49,7 +55,7 @@ export class BlogPostDisplay {
   processAllPosts() {
     const posts = document.querySelectorAll('.post-container');
 
-    console.log(`BlogPostDisplay: Found ${posts.length} posts to process`);
+    log.debug(`BlogPostDisplay: Found ${posts.length} posts to process`);
 
     posts.forEach((post, index) => {
       // Skip if already processed
@@ -60,7 +66,7 @@ export class BlogPostDisplay {
       // Skip note posts (they have different structure)
       const article = post.querySelector('article');
       if (!article) {
-        console.log(`Post ${index}: No article element, skipping`);
+        log.debug(`Post ${index}: No article element, skipping`);
         post.setAttribute('data-processed', 'skipped');
         return;
       }
@@ -71,7 +77,7 @@ export class BlogPostDisplay {
 
       // If either version is missing, skip this post
       if (!previewVersion || !fullVersion) {
-        console.log(`Post ${index}: Missing preview or full version, skipping`);
+        log.debug(`Post ${index}: Missing preview or full version, skipping`);
         post.setAttribute('data-processed', 'skipped');
         return;
       }
@@ -80,13 +86,13 @@ export class BlogPostDisplay {
       const contentElement = fullVersion.querySelector('.post-content');
 
       if (!contentElement) {
-        console.log(`Post ${index}: No .post-content found, skipping`);
+        log.debug(`Post ${index}: No .post-content found, skipping`);
         post.setAttribute('data-processed', 'skipped');
         return;
       }
 
       const wordCount = this.countWords(contentElement);
-      console.log(`Post ${index}: ${wordCount} words`);
+      log.debug(`Post ${index}: ${wordCount} words`);
 
       // Mark as processed
       post.setAttribute('data-processed', 'true');
@@ -97,20 +103,20 @@ export class BlogPostDisplay {
         // Long post - show preview
         previewVersion.style.display = 'block';
         fullVersion.style.display = 'none';
-        console.log(
+        log.debug(
           `Post ${index}: Showing PREVIEW (${wordCount} words > ${this.options.wordThreshold} threshold)`,
         );
       } else {
         // Short post - show full
         previewVersion.style.display = 'none';
         fullVersion.style.display = 'block';
-        console.log(
+        log.debug(
           `Post ${index}: Showing FULL (${wordCount} words <= ${this.options.wordThreshold} threshold)`,
         );
       }
     });
 
-    console.log('✅ BlogPostDisplay: Processing complete');
+    log.debug('✅ BlogPostDisplay: Processing complete');
   }
 
   processNewPosts() {
@@ -122,7 +128,7 @@ export class BlogPostDisplay {
       return;
     }
 
-    console.log(
+    log.debug(
       `BlogPostDisplay: Processing ${unprocessedPosts.length} new posts`,
     );
     this.processAllPosts();
@@ -9,7 +9,7 @@
  * - Click handling for anchor triggers
  * - Escape key to close
  * - Accessibility attributes (ARIA)
- * - Auto-cleanup on page unload
+ * - Auto-cleanup on page unload or destroy()
  *
  * Expected HTML structure:
  * <li class="pages-dropdown">
@@ -29,8 +29,14 @@
  * const breadcrumbDropdown = new BreadcrumbDropdown();
  */
 
-export class BreadcrumbDropdown {
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('breadcrumb-dropdown');
+
+export class BreadcrumbDropdown extends ThemeModule {
 	constructor(options = {}) {
+		super('breadcrumb-dropdown');
 		this.options = {
 			dropdownSelector: '.pages-dropdown',
 			triggerSelector: '.dropdown-trigger',
@@ -50,12 +56,13 @@ export class BreadcrumbDropdown {
 	 * Initialize the breadcrumb dropdown functionality
 	 */
 	init() {
+		this.dropdowns = [];
 		this.findDropdowns();
 		this.setupKeyboardSupport();
 		this.injectStyles();
 		this.bindEvents();
 
-		console.log(`📋 BreadcrumbDropdown: Initialized ${this.dropdowns.length} dropdown(s)`);
+		log.debug(`📋 BreadcrumbDropdown: Initialized ${this.dropdowns.length} dropdown(s)`);
 	}
 
 	/**
@@ -93,7 +100,7 @@ export class BreadcrumbDropdown {
 	 * Setup keyboard support for dropdown trigger
 	 */
 	setupTriggerKeyboard(dropdown) {
-		dropdown.trigger.addEventListener('keydown', (e) => {
+		this.listen(dropdown.trigger, 'keydown', (e) => {
 			if (e.key === 'Enter' || e.key === ' ') {
 				e.preventDefault();
 				this.openDropdown(dropdown);
@@ -101,7 +108,7 @@ export class BreadcrumbDropdown {
 		});
 
 		// Handle click events for anchor triggers to prevent navigation
-		dropdown.trigger.addEventListener('click', (e) => {
+		this.listen(dropdown.trigger, 'click', (e) => {
 			e.preventDefault();
 			this.openDropdown(dropdown);
 		});
@@ -112,7 +119,7 @@ export class BreadcrumbDropdown {
 	 */
 	setupLinksKeyboard(dropdown) {
 		dropdown.links.forEach((link, index) => {
-			link.addEventListener('keydown', (e) => {
+			this.listen(link, 'keydown', (e) => {
 				switch (e.key) {
 					case 'Escape':
 						e.preventDefault();
@@ -132,7 +139,7 @@ export class BreadcrumbDropdown {
 			});
 
 			// Close dropdown when link is clicked
-			link.addEventListener('click', () => {
+			this.listen(link, 'click', () => {
 				this.closeDropdown(dropdown);
 			});
 		});
@@ -140,7 +147,7 @@ export class BreadcrumbDropdown {
 		// Handle tab out of last link
 		const lastLink = dropdown.links[dropdown.links.length - 1];
 		if (lastLink) {
-			lastLink.addEventListener('keydown', (e) => {
+			this.listen(lastLink, 'keydown', (e) => {
 				if (e.key === 'Tab' && !e.shiftKey) {
 					this.closeDropdown(dropdown);
 				}
@@ -268,7 +275,7 @@ export class BreadcrumbDropdown {
 		// Remove global event listeners
 		window.removeEventListener('beforeunload', this.boundCleanup);
 
-		console.log('📋 BreadcrumbDropdown: Cleaned up');
+		log.debug('📋 BreadcrumbDropdown: Cleaned up');
 	}
 
 	/**
@@ -276,6 +283,7 @@ export class BreadcrumbDropdown {
 	 */
 	destroy() {
 		this.cleanup();
+		super.destroy();
 		this.dropdowns = [];
 		this.styleElement = null;
 	}
@@ -285,6 +293,7 @@ export class BreadcrumbDropdown {
 	 */
 	getState() {
 		return {
+			...super.getState(),
 			dropdownCount: this.dropdowns.length,
 			openDropdowns: this.dropdowns.filter(d =>
 				d.element.classList.contains(this.options.keyboardHoverClass)
@@ -1,138 +1,709 @@
 /**
- * Category Tabs - Loads 12 posts per category from Ghost API
+ * Category Tabs - Filters the home masonry grid using the Ghost API
+ *
+ * A plain click on a tab shows one tag. Ctrl/Cmd/Shift-click (or the
+ * "Combine tags" option) adds tags to the selection, matched with any/all.
+ * The filter panel adds author, date range and post type. Active filters
+ * show as removable chips and are turned into an NQL filter string.
+ *
+ * Filters are kept in the URL (?category=poem,cartoon&match=all&author=...)
+ * so they survive reloads and back/forward. Each view pages through its
+ * posts with the load-more button; add data-infinite-scroll to
+ * .category-tabs-section to load the next page automatically instead.
+ * The pages loaded and the card in view are kept in the history entry, so
+ * Back from a post returns to the same place.
  */
 
-export class CategoryTabs {
+import { getContentApi } from './content-api';
+import {
+  buildPostFilter,
+  isEmptyFilter,
+  normalizeFilters,
+} from './nql-filter';
+import {
+  getScrollAnchor,
+  readFeedState,
+  restoreScrollAnchor,
+  watchFeedState,
+  writeFeedState,
+} from './feed-state';
+import { buildMasonryCard } from './masonry-card';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('category-tabs');
+
+const DEFAULT_LIMIT = 12;
+
+const STATE_KEY = 'category-tabs';
+
+// Filter -> URL query parameter
+const URL_PARAMS = {
+  tags: 'category',
+  tagMode: 'match',
+  author: 'author',
+  from: 'from',
+  to: 'to',
+  type: 'type',
+};
+
+export class CategoryTabs extends ThemeModule {
   constructor() {
-    this.tabs = document.querySelectorAll('.category-tab');
-    this.grid = document.querySelector('.masonry-grid');
-    this.loadingIndicator = document.querySelector('.masonry-loading');
-    this.activeFilter = 'all';
-
-    // Cache for fetched posts
-    this.postCache = {};
+    super('category-tabs');
+    this.tabs = [];
+    this.grid = null;
+    this.section = null;
+    this.loadingIndicator = null;
+    this.loadMoreContainer = null;
+    this.loadMoreBtn = null;
+    this.chipsContainer = null;
+    this.filterPanel = null;
+    this.filters = normalizeFilters();
+    this.activeKey = 'all';
+    this.limit = DEFAULT_LIMIT;
+
+    // Loaded posts and pagination per filter combination
+    this.views = new Map();
 
     // Store initial cards
     this.initialCards = [];
 
-    // Your Ghost API details
-    this.apiUrl = 'http://localhost:2368/ghost/api/content/posts/';
-    this.apiKey = '08e45355000c6891e4c7b41c3a';
+    // Shared Ghost Content API client
+    this.api = getContentApi();
 
     this.init();
   }
 
   init() {
-    if (this.tabs.length === 0) {
-      console.warn('No category tabs found');
+    this.tabs = Array.from(document.querySelectorAll('.category-tab'));
+    this.grid = document.querySelector('.masonry-grid');
+    this.section = document.querySelector('.category-tabs-section');
+    this.loadingIndicator = document.querySelector('.masonry-loading');
+    this.loadMoreContainer = document.querySelector('.category-load-more');
+    this.loadMoreBtn = this.loadMoreContainer
+      ? this.loadMoreContainer.querySelector('.category-load-more-btn')
+      : null;
+    this.chipsContainer = document.querySelector('.category-filter-chips');
+    this.filterPanel = document.querySelector('.category-filter-panel');
+
+    if (this.tabs.length === 0 || !this.grid) {
+      log.warn('No category tabs found');
       return;
     }
 
+    this.limit = parseInt(this.grid.dataset.postsLimit, 10) || DEFAULT_LIMIT;
+    this.filters = normalizeFilters();
+    this.activeKey = 'all';
+    this.views = new Map();
+
     // Store initial cards on page load
     this.storeInitialCards();
 
+    // The server-rendered cards are page 1 of "All"
+    this.views.set('all', {
+      posts: [],
+      page: 1,
+      pages: this.initialCards.length < this.limit ? 1 : null,
+      isLoading: false,
+    });
+
     this.bindEvents();
-    console.log('📊 Category Tabs initialized with Ghost API');
+    this.setupInfiniteScroll();
+
+    const saved = readFeedState(STATE_KEY);
+
+    // Restore filters from the URL
+    const filters = this.getFiltersFromUrl();
+    let ready = null;
+    if (!isEmptyFilter(filters)) {
+      ready = this.applyFilters(filters, { updateUrl: false });
+    } else {
+      this.updateFilterUI();
+      this.updateLoadMore();
+    }
+
+    if (saved) {
+      this.restoreState(saved, ready);
+    }
+
+    log.info('📊 Category Tabs initialized with Ghost API');
   }
 
   storeInitialCards() {
     // Clone the initial cards so we can restore them when clicking "All"
     const cards = this.grid.querySelectorAll('.masonry-card');
     this.initialCards = Array.from(cards).map((card) => card.cloneNode(true));
-    console.log(`Stored ${this.initialCards.length} initial cards`);
+    log.debug(`Stored ${this.initialCards.length} initial cards`);
   }
 
   bindEvents() {
     this.tabs.forEach((tab) => {
-      tab.addEventListener('click', (e) => this.handleTabClick(e));
+      this.listen(tab, 'click', (e) => this.handleTabClick(e));
     });
+
+    this.listen(this.loadMoreBtn, 'click', () => this.loadMore());
+    this.listen(window, 'popstate', () => this.handlePopState());
+
+    // Remember pages and position whenever the reader might leave
+    watchFeedState(this, () => this.saveState());
+
+    this.listen(this.chipsContainer, 'click', (e) => this.handleChipClick(e));
+    this.listen(this.filterPanel, 'change', () => this.handlePanelChange());
+    this.listen(this.filterPanel, 'submit', (e) => e.preventDefault());
   }
 
-  async handleTabClick(event) {
-    const tab = event.target;
-    const filter = tab.getAttribute('data-filter');
+  /**
+   * Load the next page when the load-more button scrolls into view
+   */
+  setupInfiniteScroll() {
+    if (
+      !this.section ||
+      !this.section.hasAttribute('data-infinite-scroll') ||
+      !this.loadMoreContainer ||
+      !('IntersectionObserver' in window)
+    ) {
+      return;
+    }
+
+    const observer = this.observe(
+      new IntersectionObserver(
+        (entries) => {
+          if (entries[0].isIntersecting) {
+            this.loadMore();
+          }
+        },
+        { rootMargin: '200px' },
+      ),
+    );
+
+    observer.observe(this.loadMoreContainer);
+  }
+
+  handleTabClick(event) {
+    const tag = event.currentTarget.getAttribute('data-filter');
+
+    // "All" clears every filter
+    if (tag === 'all') {
+      this.applyFilters({});
+      return;
+    }
+
+    const combine =
+      event.ctrlKey ||
+      event.metaKey ||
+      event.shiftKey ||
+      this.isCombineModeOn();
+
+    let tags;
+    if (combine) {
+      tags = this.filters.tags.includes(tag)
+        ? this.filters.tags.filter((t) => t !== tag)
+        : [...this.filters.tags, tag];
+    } else {
+      tags = [tag];
+    }
+
+    this.applyFilters({ ...this.filters, tags });
+  }
+
+  /**
+   * Remove the filter behind a chip
+   */
+  handleChipClick(event) {
+    const chip = event.target.closest('[data-remove-filter]');
+    if (!chip) return;
+
+    const [name, value] = chip.getAttribute('data-remove-filter').split(':');
+
+    if (name === 'all') {
+      this.applyFilters({});
+    } else if (name === 'tags') {
+      this.applyFilters({
+        ...this.filters,
+        tags: this.filters.tags.filter((tag) => tag !== value),
+      });
+    } else {
+      this.applyFilters({ ...this.filters, [name]: null });
+    }
+  }
+
+  /**
+   * Read the filter panel after any change
+   */
+  handlePanelChange() {
+    const form = this.filterPanel;
+    const value = (name) => (form.elements[name] ? form.elements[name].value : null);
+
+    this.applyFilters({
+      ...this.filters,
+      tagMode: value('match') || this.filters.tagMode,
+      author: value('author'),
+      from: value('from'),
+      to: value('to'),
+      type: value('type'),
+    });
+  }
+
+  /**
+   * Whether tab clicks add to the selection
+   */
+  isCombineModeOn() {
+    const input = this.filterPanel
+      ? this.filterPanel.elements.combine
+      : null;
+    return !!input && input.checked;
+  }
+
+  /**
+   * Follow back/forward between filter views
+   */
+  handlePopState() {
+    const filters = this.getFiltersFromUrl();
+
+    if (this.getViewKey(filters) !== this.activeKey) {
+      this.applyFilters(filters, { updateUrl: false });
+    }
+  }
 
-    // Don't do anything if already showing this category
-    if (filter === this.activeFilter) {
+  /**
+   * Show the posts for a filter combination, fetching if needed
+   */
+  async applyFilters(filters, { updateUrl = true } = {}) {
+    const normalized = normalizeFilters(filters);
+    const key = this.getViewKey(normalized);
+
+    if (key !== 'all' && !this.api.isConfigured()) {
+      // Without an API key a single tag can still use its archive page
+      if (this.isSingleTag(normalized)) {
+        window.location.href = `/tag/${encodeURIComponent(normalized.tags[0])}/`;
+      } else {
+        log.warn('Combined filters need a Content API key');
+      }
       return;
     }
 
-    // Update active tab styling
-    this.setActiveTab(tab);
-    this.activeFilter = filter;
+    this.filters = normalized;
+    this.updateFilterUI();
+
+    if (key === this.activeKey) return;
+    this.activeKey = key;
+
+    // Clear loading state left by another view's request
+    this.hideLoading();
+
+    if (updateUrl) {
+      this.updateUrl(normalized);
+    }
 
-    // If "All" is clicked, restore initial cards
-    if (filter === 'all') {
+    // No filters: restore initial cards
+    if (key === 'all') {
       this.restoreInitialCards();
+      this.updateLoadMore();
       return;
     }
 
-    // Check if we already have posts for this category
-    if (this.postCache[filter]) {
-      console.log(`Using cached ${filter} posts`);
-      this.displayCachedPosts(filter);
+    const view = this.getView(key);
+
+    // Check if we already have posts for these filters
+    if (view.page > 0) {
+      log.debug(`Using cached posts for ${key}`);
+      this.renderView(key);
+      this.updateLoadMore();
+    } else if (view.isLoading) {
+      // Still loading from an earlier visit; it renders when done
+      this.clearGrid();
+      this.showLoading(1);
     } else {
-      console.log(`Fetching ${filter} posts...`);
-      await this.fetchPosts(filter);
+      log.debug(`Fetching posts for ${key}...`);
+      this.clearGrid();
+      await this.loadPage(key);
     }
   }
 
-  async fetchPosts(category) {
+  /**
+   * Only one tag and nothing else
+   */
+  isSingleTag(filters) {
+    return (
+      filters.tags.length === 1 &&
+      isEmptyFilter({ ...filters, tags: [] })
+    );
+  }
+
+  /**
+   * Views are keyed by their NQL filter, or "all" with no filters
+   */
+  getViewKey(filters) {
+    if (isEmptyFilter(filters)) return 'all';
+
+    return buildPostFilter(filters, {
+      baseFilter: this.grid.dataset.postsFilter || null,
+    });
+  }
+
+  /**
+   * Save the active view's pages and the card in view. The server-rendered
+   * first page of "All" needs nothing beyond the browser's own restore.
+   */
+  saveState() {
+    const view = this.views.get(this.activeKey);
+    if (!view || view.isRestoring) return;
+    if (this.activeKey === 'all' && view.page < 2) return;
+
+    writeFeedState(STATE_KEY, {
+      key: this.activeKey,
+      page: view.page,
+      anchor: getScrollAnchor(this.getCards()),
+      scrollY: window.scrollY,
+    });
+  }
+
+  /**
+   * Load the pages the reader had before leaving, then scroll back to the
+   * card they were on
+   */
+  async restoreState(saved, ready) {
+    await ready;
+    if (this.isDestroyed || saved.key !== this.activeKey) return;
+
+    const view = this.getView(this.activeKey);
+    view.isRestoring = true;
+
+    while (
+      !this.isDestroyed &&
+      view.page < saved.page &&
+      this.hasMorePages(view)
+    ) {
+      const { page } = view;
+      await this.loadPage(this.activeKey);
+      if (view.page === page) break;
+    }
+
+    view.isRestoring = false;
+
+    if (!this.isDestroyed) {
+      this.onDestroy(restoreScrollAnchor(() => this.getCards(), saved));
+    }
+  }
+
+  getCards() {
+    return Array.from(this.grid.querySelectorAll('.masonry-card'));
+  }
+
+  /**
+   * Load the next page of the active view
+   */
+  loadMore() {
+    const view = this.views.get(this.activeKey);
+
+    if (
+      !view ||
+      view.isLoading ||
+      view.isRestoring ||
+      !this.hasMorePages(view)
+    ) {
+      return;
+    }
+
+    this.loadPage(this.activeKey);
+  }
+
+  /**
+   * Fetch the next page of a view and add its cards
+   */
+  async loadPage(key) {
+    const view = this.getView(key);
+    const page = view.page + 1;
+
+    if (view.isLoading) return;
+    view.isLoading = true;
+    this.showLoading(page);
+
     try {
-      this.showLoading();
+      const data = await this.api.posts({
+        filter: this.getApiFilter(key),
+        limit: this.limit,
+        page,
+        include: ['authors', 'tags'],
+      });
 
-      // Build Ghost API URL
-      const url = `${this.apiUrl}?key=${this.apiKey}&filter=tag:${category}&limit=12&include=authors,tags`;
+      if (this.isDestroyed) return;
 
-      console.log('Fetching:', url);
+      const posts = data.posts || [];
+      const pagination = data.meta && data.meta.pagination;
 
-      const response = await fetch(url);
-      const data = await response.json();
+      view.page = page;
+      view.pages = pagination ? pagination.pages : page;
+      view.posts.push(...posts);
 
-      if (data.posts && data.posts.length > 0) {
-        console.log(`Got ${data.posts.length} ${category} posts!`);
+      log.debug(`Got ${posts.length} posts for ${key} (page ${page})`);
 
-        // Save posts to cache
-        this.postCache[category] = data.posts;
+      // The reader may have changed filters while this was loading
+      if (key !== this.activeKey) return;
 
-        // Clear grid and create new cards
-        this.clearGrid();
-        this.createCards(data.posts, category);
+      if (view.posts.length === 0) {
+        log.warn(`No posts found for ${key}`);
+        this.showEmptyMessage();
+      } else if (page > 1) {
+        this.appendCards(posts);
       } else {
-        console.warn(`No ${category} posts found`);
-        this.clearGrid();
-        this.showEmptyMessage(category);
+        this.createCards(posts);
       }
     } catch (error) {
-      console.error(`Error fetching ${category}:`, error);
-      alert('Failed to load posts. Check the console for details.');
+      log.error(`Error fetching ${key}:`, error);
+
+      if (key === this.activeKey && page === 1) {
+        this.showMessage('Failed to load posts. Please try again.');
+      }
     } finally {
-      this.hideLoading();
+      view.isLoading = false;
+
+      if (key === this.activeKey) {
+        this.hideLoading();
+        this.updateLoadMore();
+      }
     }
   }
 
-  displayCachedPosts(category) {
-    // Check if cards already exist in DOM
-    const cachedCards = this.grid.querySelectorAll(
-      `[data-category="${category}"]`,
-    );
-
-    if (cachedCards.length > 0) {
-      // Cards exist, just clear and show them
-      this.clearGrid();
-      cachedCards.forEach((card) => {
-        this.grid.appendChild(card);
+  /**
+   * Get or create the state for a view
+   */
+  getView(key) {
+    if (!this.views.has(key)) {
+      this.views.set(key, {
+        posts: [],
+        page: 0,
+        pages: null,
+        isLoading: false,
       });
-      this.resetMasonryLayout();
+    }
+
+    return this.views.get(key);
+  }
+
+  /**
+   * Whether a view has pages left to load (pages is null until known)
+   */
+  hasMorePages(view) {
+    return view.pages === null || view.page < view.pages;
+  }
+
+  /**
+   * Content API filter for a view
+   */
+  getApiFilter(key) {
+    if (key === 'all') {
+      return this.grid.dataset.postsFilter || null;
+    }
+
+    return key;
+  }
+
+  /**
+   * Rebuild the grid from a view's loaded posts
+   */
+  renderView(key) {
+    const view = this.getView(key);
+    this.clearGrid();
+
+    if (view.posts.length === 0) {
+      this.showEmptyMessage();
     } else {
-      // Create cards from cache
-      this.clearGrid();
-      this.createCards(this.postCache[category], category);
+      this.createCards(view.posts);
     }
   }
 
+  /**
+   * Show the load-more button while the active view has more pages
+   */
+  updateLoadMore() {
+    if (!this.loadMoreContainer) return;
+
+    const view = this.views.get(this.activeKey);
+    const canLoadMore =
+      this.api.isConfigured() &&
+      !!view &&
+      view.page > 0 &&
+      this.hasMorePages(view);
+
+    this.loadMoreContainer.hidden = !canLoadMore;
+  }
+
+  /**
+   * Filters from the URL; unknown tags are ignored
+   */
+  getFiltersFromUrl() {
+    const params = new URL(window.location.href).searchParams;
+    const tags = (params.get(URL_PARAMS.tags) || '')
+      .split(',')
+      .filter((tag) => this.findTab(tag));
+
+    return normalizeFilters({
+      tags,
+      tagMode: params.get(URL_PARAMS.tagMode),
+      author: params.get(URL_PARAMS.author),
+      from: params.get(URL_PARAMS.from),
+      to: params.get(URL_PARAMS.to),
+      type: params.get(URL_PARAMS.type),
+    });
+  }
+
+  /**
+   * Record the active filters in the URL and history
+   */
+  updateUrl(filters) {
+    const url = new URL(window.location.href);
+
+    Object.keys(URL_PARAMS).forEach((name) => {
+      let value = filters[name];
+
+      if (name === 'tags') value = value.join(',');
+      if (name === 'tagMode' && (filters.tags.length < 2 || value === 'or')) {
+        value = null;
+      }
+
+      if (value) {
+        url.searchParams.set(URL_PARAMS[name], value);
+      } else {
+        url.searchParams.delete(URL_PARAMS[name]);
+      }
+    });
+
+    // Keep the existing state (e.g. the page router's key) on the new entry
+    history.pushState({ ...history.state, categoryFilters: filters }, '', url);
+  }
+
+  findTab(filter) {
+    return this.tabs.find((tab) => tab.getAttribute('data-filter') === filter);
+  }
+
+  /**
+   * Sync tabs, chips and the filter panel with the active filters
+   */
+  updateFilterUI() {
+    this.updateTabs();
+    this.renderChips();
+    this.syncPanel();
+  }
+
+  /**
+   * Highlight selected tabs ("All" when no tag is selected)
+   */
+  updateTabs() {
+    this.tabs.forEach((tab) => {
+      const tag = tab.getAttribute('data-filter');
+      const isActive =
+        tag === 'all'
+          ? this.filters.tags.length === 0
+          : this.filters.tags.includes(tag);
+
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Render a removable chip for each active filter
+   */
+  renderChips() {
+    if (!this.chipsContainer) return;
+
+    const { tags, tagMode, author, from, to, type } = this.filters;
+    const chips = [];
+
+    tags.forEach((tag) => {
+      const tab = this.findTab(tag);
+      chips.push({ remove: `tags:${tag}`, label: tab ? tab.textContent.trim() : tag });
+    });
+
+    if (author) {
+      chips.push({ remove: 'author', label: `By ${this.getOptionLabel('author', author)}` });
+    }
+    if (from) {
+      chips.push({ remove: 'from', label: `From ${from}` });
+    }
+    if (to) {
+      chips.push({ remove: 'to', label: `Until ${to}` });
+    }
+    if (type) {
+      chips.push({ remove: 'type', label: this.getOptionLabel('type', type) });
+    }
+
+    this.chipsContainer.replaceChildren();
+    this.chipsContainer.hidden = chips.length === 0;
+
+    if (chips.length === 0) return;
+
+    if (tags.length > 1) {
+      const mode = document.createElement('span');
+      mode.className = 'filter-chip-mode';
+      mode.textContent = tagMode === 'and' ? 'Matching all tags:' : 'Matching any tag:';
+      this.chipsContainer.appendChild(mode);
+    }
+
+    chips.forEach(({ remove, label }) => {
+      this.chipsContainer.appendChild(this.createChip(remove, label));
+    });
+
+    if (chips.length > 1) {
+      const clear = this.createChip('all', 'Clear all');
+      clear.classList.add('filter-chip-clear');
+      this.chipsContainer.appendChild(clear);
+    }
+  }
+
+  createChip(remove, label) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip';
+    chip.setAttribute('data-remove-filter', remove);
+    chip.setAttribute(
+      'aria-label',
+      remove === 'all' ? 'Clear all filters' : `Remove filter: ${label}`,
+    );
+    chip.textContent = label;
+
+    const icon = document.createElement('span');
+    icon.className = 'filter-chip-remove';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '×';
+    chip.appendChild(icon);
+
+    return chip;
+  }
+
+  /**
+   * Visible label of a panel select option
+   */
+  getOptionLabel(name, value) {
+    const select = this.filterPanel ? this.filterPanel.elements[name] : null;
+    const option = select
+      ? Array.from(select.options || []).find((o) => o.value === value)
+      : null;
+
+    return option ? option.textContent.trim() : value;
+  }
+
+  /**
+   * Set the panel inputs from the active filters
+   */
+  syncPanel() {
+    if (!this.filterPanel) return;
+
+    const { elements } = this.filterPanel;
+    const set = (name, value) => {
+      if (elements[name]) elements[name].value = value || '';
+    };
+
+    set('match', this.filters.tagMode);
+    set('author', this.filters.author);
+    set('from', this.filters.from);
+    set('to', this.filters.to);
+    set('type', this.filters.type);
+  }
+
   restoreInitialCards() {
-    console.log('Restoring initial cards');
+    log.debug('Restoring initial cards');
     this.clearGrid();
 
     // Clone and add each initial card back
@@ -140,7 +711,13 @@ export class CategoryTabs {
       this.grid.appendChild(card.cloneNode(true));
     });
 
-    this.resetMasonryLayout();
+    // Plus any pages loaded with load-more
+    const extraPosts = this.getView('all').posts;
+    if (extraPosts.length > 0) {
+      this.createCards(extraPosts);
+    } else {
+      this.resetMasonryLayout();
+    }
   }
 
   clearGrid() {
@@ -150,11 +727,11 @@ export class CategoryTabs {
     }
   }
 
-  createCards(posts, category) {
+  createCards(posts) {
     const fragment = document.createDocumentFragment();
 
     posts.forEach((post) => {
-      const card = this.buildCard(post, category);
+      const card = buildMasonryCard(post);
       fragment.appendChild(card);
     });
 
@@ -166,66 +743,21 @@ export class CategoryTabs {
     });
   }
 
-  buildCard(post, category) {
-    const article = document.createElement('article');
-    article.className = 'masonry-card';
-    article.setAttribute('data-tags', category);
-    article.setAttribute('data-category', category);
-
-    let html = '';
-
-    // Add image if exists
-    if (post.feature_image) {
-      html += `
-				<div class="masonry-image">
-					<img src="${post.feature_image}" alt="${this.escapeHtml(post.title)}" loading="lazy">
-				</div>
-			`;
-    }
-
-    // Add content
-    html += `
-			<div class="masonry-content">
-				<h3 class="masonry-title">
-					<a href="${post.url}">${this.escapeHtml(post.title)}</a>
-				</h3>
-				<div class="masonry-excerpt">${post.excerpt || ''}</div>
-				<div class="masonry-meta">
-		`;
-
-    // Add author
-    if (post.primary_author) {
-      html += `
-				<a class="avatar wiggle" href="${post.primary_author.url}">
-					<img src="${post.primary_author.profile_image}"
-						 alt="${this.escapeHtml(post.primary_author.name)}'s Avatar"
-						 width="40" height="40" loading="lazy">
-				</a>
-				&middot;
-			`;
-    }
-
-    // Add date
-    html += `
-			<time datetime="${post.published_at}">
-				${this.timeAgo(post.published_at)}
-			</time>
-			&middot;
-		`;
-
-    // Add tag
-    if (post.primary_tag) {
-      html += `<span class="masonry-tag">${this.escapeHtml(post.primary_tag.name)}</span>`;
-    }
-
-    html += `
-				</div>
-			</div>
-			<a href="${post.url}" class="masonry-link" aria-label="Read ${this.escapeHtml(post.title)}"></a>
-		`;
-
-    article.innerHTML = html;
-    return article;
+  /**
+   * Add a further page of cards below the ones already laid out
+   */
+  appendCards(posts) {
+    const cards = posts.map(buildMasonryCard);
+    const fragment = document.createDocumentFragment();
+    cards.forEach((card) => fragment.appendChild(card));
+    this.grid.appendChild(fragment);
+
+    // MasonryGrid positions only these cards
+    window.dispatchEvent(
+      new CustomEvent('masonryAppend', {
+        detail: { grid: this.grid, cards },
+      }),
+    );
   }
 
   waitForImagesToLoad(callback) {
@@ -268,71 +800,77 @@ export class CategoryTabs {
       card.style.opacity = '1';
     });
 
-    // Trigger masonry recalculation
-    // This dispatches a custom event that your masonry.js should listen for
+    // MasonryGrid listens for this and re-lays out the grid
     window.dispatchEvent(
       new CustomEvent('masonryReset', {
-        detail: { grid: this.grid },
+        detail: { grid: this.grid, view: this.activeKey },
       }),
     );
 
-    // Also try calling the masonry directly if it's available globally
-    if (window.MasonryGrid) {
-      console.log('Triggering MasonryGrid.layout()');
-      window.MasonryGrid.layout();
-    }
+    log.debug('✅ Masonry layout reset');
+  }
 
-    console.log('✅ Masonry layout reset');
+  showEmptyMessage() {
+    if (this.isSingleTag(this.filters)) {
+      const tag = this.filters.tags[0];
+      this.showMessage(`No posts found in the "${tag}" category yet!`);
+    } else {
+      this.showMessage('No posts match these filters yet!');
+    }
   }
 
-  showEmptyMessage(category) {
+  showMessage(text) {
     const message = document.createElement('div');
     message.className = 'empty-message';
     message.style.cssText =
       'grid-column: 1 / -1; text-align: center; padding: 60px 20px;';
-    message.innerHTML = `
-			<p style="font-size: 1.2em; color: #666;">
-				No posts found in the "${category}" category yet!
-			</p>
-		`;
-    this.grid.appendChild(message);
-  }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
 
-  timeAgo(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const seconds = Math.floor((now - date) / 1000);
+    const paragraph = document.createElement('p');
+    paragraph.style.cssText = 'font-size: 1.2em; color: #666;';
+    paragraph.textContent = text;
 
-    if (seconds < 60) return 'just now';
-    if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`;
-    if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`;
-    if (seconds < 604800) return `${Math.floor(seconds / 86400)} days ago`;
-    if (seconds < 2592000) return `${Math.floor(seconds / 604800)} weeks ago`;
-    if (seconds < 31536000)
-      return `${Math.floor(seconds / 2592000)} months ago`;
-    return `${Math.floor(seconds / 31536000)} years ago`;
-  }
-
-  setActiveTab(activeTab) {
-    this.tabs.forEach((tab) => tab.classList.remove('active'));
-    activeTab.classList.add('active');
+    message.appendChild(paragraph);
+    this.grid.appendChild(message);
   }
 
-  showLoading() {
-    if (this.loadingIndicator) {
+  showLoading(page = 1) {
+    // First page replaces the grid; later pages load under it
+    if (page === 1 && this.loadingIndicator) {
       this.loadingIndicator.style.display = 'block';
     }
+
+    if (page > 1 && this.loadMoreBtn) {
+      this.loadMoreBtn.disabled = true;
+      this.loadMoreBtn.classList.add('loading');
+      this.loadMoreBtn.textContent = 'Loading...';
+    }
   }
 
   hideLoading() {
     if (this.loadingIndicator) {
       this.loadingIndicator.style.display = 'none';
     }
+
+    if (this.loadMoreBtn) {
+      this.loadMoreBtn.disabled = false;
+      this.loadMoreBtn.classList.remove('loading');
+      this.loadMoreBtn.textContent = 'Load More Posts';
+    }
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    const view = this.views.get(this.activeKey);
+
+    return {
+      ...super.getState(),
+      filters: this.filters,
+      nql: this.activeKey === 'all' ? null : this.activeKey,
+      page: view ? view.page : 0,
+      pages: view ? view.pages : null,
+      isLoading: !!view && view.isLoading,
+    };
   }
 }
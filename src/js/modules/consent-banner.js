@@ -0,0 +1,144 @@
+/**
+ * Consent Banner Module
+ * Shows the privacy banner until the visitor decides, and the preferences
+ * dialog on request. Markup lives in partials/components/consent-banner.hbs;
+ * any element with data-consent-open reopens the dialog.
+ */
+
+import { consent } from './consent';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('consent-banner');
+
+export class ConsentBanner extends ThemeModule {
+  constructor() {
+    super('consent-banner');
+    this.banner = null;
+    this.dialog = null;
+    this.form = null;
+    this.init();
+  }
+
+  /**
+   * Initialize banner
+   */
+  init() {
+    this.banner = document.querySelector('[data-consent-banner]');
+    this.dialog = document.querySelector('[data-consent-dialog]');
+    this.form = this.dialog ? this.dialog.querySelector('form') : null;
+
+    if (!this.banner) return;
+
+    this.listen(document, 'click', (e) => this.handleClick(e));
+
+    if (this.dialog) {
+      this.listen(this.dialog, 'close', () => this.handleDialogClose());
+    }
+
+    this.onDestroy(consent.onChange(() => this.updateBanner()));
+    this.updateBanner();
+
+    log.info('🍪 Consent banner initialized');
+  }
+
+  /**
+   * Handle banner, dialog and "privacy settings" buttons
+   */
+  handleClick(event) {
+    if (event.target.closest('[data-consent-open]')) {
+      event.preventDefault();
+      this.openPreferences();
+      return;
+    }
+
+    const button = event.target.closest('[data-consent-action]');
+    if (!button) return;
+
+    switch (button.dataset.consentAction) {
+      case 'accept':
+        consent.acceptAll();
+        break;
+      case 'reject':
+        consent.rejectAll();
+        this.closePreferences();
+        break;
+      case 'customize':
+        this.openPreferences();
+        break;
+    }
+  }
+
+  /**
+   * Show the banner only while a choice is still needed
+   */
+  updateBanner() {
+    this.banner.hidden = !consent.isRequired || consent.isDecided();
+  }
+
+  /**
+   * Open the preferences dialog with the current choices ticked
+   */
+  openPreferences() {
+    if (!this.dialog || !this.form) return;
+
+    const categories = consent.getCategories();
+    Object.keys(categories).forEach((category) => {
+      const input = this.form.elements[category];
+      if (input && !input.disabled) {
+        input.checked = categories[category];
+      }
+    });
+
+    if (typeof this.dialog.showModal === 'function') {
+      this.dialog.showModal();
+    } else {
+      this.dialog.setAttribute('open', '');
+    }
+  }
+
+  /**
+   * Close the dialog without saving
+   */
+  closePreferences() {
+    if (this.dialog && this.dialog.open) {
+      this.dialog.returnValue = '';
+      this.dialog.close();
+    }
+  }
+
+  /**
+   * Save choices when the dialog form is submitted
+   */
+  handleDialogClose() {
+    if (this.dialog.returnValue !== 'save') return;
+
+    const choices = {};
+    Array.from(this.form.querySelectorAll('input[type="checkbox"]')).forEach(
+      (input) => {
+        choices[input.name] = input.checked;
+      },
+    );
+
+    consent.update(choices);
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      ...consent.getState(),
+      isBannerVisible: !!this.banner && !this.banner.hidden,
+    };
+  }
+
+  /**
+   * Destroy banner
+   */
+  destroy() {
+    this.closePreferences();
+    super.destroy();
+  }
+}
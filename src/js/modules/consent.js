@@ -0,0 +1,244 @@
+/**
+ * Consent Module
+ * Stores the visitor's choice per category and answers "may I?" for the
+ * rest of the theme:
+ *
+ * - necessary    always allowed (consent record, security rate limits)
+ * - preferences  remembered choices: likes, saves, search history, theme
+ * - analytics    events sent by the analytics module
+ * - embeds       third-party content and requests (YouTube, weather API)
+ *
+ * Usage:
+ * import { consent } from './consent';
+ * if (consent.has('preferences')) localStorage.setItem(...);
+ * consent.onChange((categories) => { ... });
+ *
+ * When the "Consent banner" theme setting is off (no data-consent-required
+ * on <body>) every category is allowed unless the visitor has saved a
+ * choice. A 'consentChange' event is dispatched on document after changes.
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('consent');
+
+const STORAGE_KEY = 'theme-consent';
+
+// Bump to ask again after categories change
+const CONSENT_VERSION = 1;
+
+export const CONSENT_CATEGORIES = [
+  'necessary',
+  'preferences',
+  'analytics',
+  'embeds',
+];
+
+// Stored data removed when its category is withdrawn
+const CATEGORY_STORAGE = {
+  preferences: {
+    localStorage: [
+      'postActionStates',
+      'postLikes',
+      'searchHistory',
+      'readingList',
+      'feedView',
+      'theme-preference',
+      'mastodon-instance',
+    ],
+    sessionStorage: ['subscriptionStates'],
+  },
+  embeds: {
+    localStorage: ['weather_cache'],
+  },
+};
+
+export class ConsentManager {
+  constructor() {
+    this.isRequired = false;
+    this.record = null;
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Read the consent requirement from <body>
+   */
+  configureFromDocument(root = document.body) {
+    this.isRequired = !!root && root.hasAttribute('data-consent-required');
+    return this;
+  }
+
+  /**
+   * Load a saved choice
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+      if (stored && stored.version === CONSENT_VERSION) {
+        this.record = stored;
+      }
+    } catch (error) {
+      log.warn('Could not load consent:', error);
+    }
+  }
+
+  /**
+   * Check whether a category is allowed
+   */
+  has(category) {
+    if (category === 'necessary') return true;
+
+    if (!this.record) {
+      return !this.isRequired;
+    }
+
+    return !!this.record.categories[category];
+  }
+
+  /**
+   * Whether the visitor has made a choice yet
+   */
+  isDecided() {
+    return !!this.record;
+  }
+
+  /**
+   * Get every category with its current state
+   */
+  getCategories() {
+    return CONSENT_CATEGORIES.reduce((categories, category) => {
+      categories[category] = this.has(category);
+      return categories;
+    }, {});
+  }
+
+  /**
+   * Save a choice; categories not mentioned are denied
+   */
+  update(choices = {}) {
+    const previous = this.getCategories();
+    const categories = { necessary: true };
+
+    CONSENT_CATEGORIES.filter((category) => category !== 'necessary').forEach(
+      (category) => {
+        categories[category] = !!choices[category];
+      },
+    );
+
+    this.record = {
+      version: CONSENT_VERSION,
+      categories,
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.record));
+    } catch (error) {
+      log.warn('Could not save consent:', error);
+    }
+
+    // Remove data for anything withdrawn
+    Object.keys(previous)
+      .filter((category) => previous[category] && !categories[category])
+      .forEach((category) => this.clearStorage(category));
+
+    log.info('🍪 Consent updated:', categories);
+    this.notify();
+  }
+
+  /**
+   * Allow every category
+   */
+  acceptAll() {
+    this.update(
+      CONSENT_CATEGORIES.reduce((choices, category) => {
+        choices[category] = true;
+        return choices;
+      }, {}),
+    );
+  }
+
+  /**
+   * Allow only what's necessary
+   */
+  rejectAll() {
+    this.update({});
+  }
+
+  /**
+   * Forget the saved choice so the banner shows again
+   */
+  reset() {
+    this.record = null;
+
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Nothing saved
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Remove stored data belonging to a category
+   */
+  clearStorage(category) {
+    const keys = CATEGORY_STORAGE[category];
+    if (!keys) return;
+
+    try {
+      (keys.localStorage || []).forEach((key) => localStorage.removeItem(key));
+      (keys.sessionStorage || []).forEach((key) =>
+        sessionStorage.removeItem(key),
+      );
+    } catch (error) {
+      log.warn(`Could not clear ${category} storage:`, error);
+    }
+  }
+
+  /**
+   * Subscribe to consent changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners and the page about a change
+   */
+  notify() {
+    const categories = this.getCategories();
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(categories);
+      } catch (error) {
+        log.error('Consent listener failed:', error);
+      }
+    });
+
+    document.dispatchEvent(
+      new CustomEvent('consentChange', { detail: { categories } }),
+    );
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      isRequired: this.isRequired,
+      isDecided: this.isDecided(),
+      categories: this.getCategories(),
+      updatedAt: this.record ? this.record.updatedAt : null,
+    };
+  }
+}
+
+// Shared instance queried by every module
+export const consent = new ConsentManager();
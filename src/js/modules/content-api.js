@@ -0,0 +1,279 @@
+/**
+ * Ghost Content API Client
+ * Shared, cached access to posts, tags, authors and pages.
+ *
+ * The site URL and Content API key come from, in order:
+ * 1. data-ghost-api-url / data-ghost-api-key on <body> (theme settings)
+ * 2. The sodo-search script Ghost adds with {{ghost_head}}
+ *    (data-sodo-search and data-key), the same source Ghost's search uses
+ * 3. The current origin for the URL
+ *
+ * Usage:
+ * import { getContentApi } from './content-api';
+ * const { posts, meta } = await getContentApi().posts({
+ *   filter: 'tag:poetry',
+ *   include: ['authors', 'tags'],
+ *   limit: 12,
+ * });
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('content-api');
+
+const API_PATH = '/ghost/api/content/';
+const API_VERSION = 'v5.0';
+const RESOURCES = ['posts', 'tags', 'authors', 'pages'];
+const SESSION_PREFIX = 'content-api:';
+
+export class ContentApiError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ContentApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Find the API URL and key on the page
+ */
+export function readApiConfig(root = document) {
+  const body = root.body;
+  const sodoSearch = root.querySelector('script[data-sodo-search]');
+
+  const url =
+    (body && body.dataset.ghostApiUrl) ||
+    (sodoSearch && sodoSearch.dataset.sodoSearch) ||
+    window.location.origin;
+  const key =
+    (body && body.dataset.ghostApiKey) ||
+    (sodoSearch && sodoSearch.dataset.key) ||
+    null;
+
+  return { url, key };
+}
+
+export class ContentApiClient {
+  constructor(options = {}) {
+    this.options = {
+      url: window.location.origin,
+      key: null,
+      version: API_VERSION,
+      // How long responses are reused (ms); 0 disables caching
+      cacheTtl: 5 * 60 * 1000,
+      // Also keep responses in sessionStorage across page loads
+      sessionCache: true,
+      ...options,
+    };
+
+    this.cache = new Map();
+    this.pending = new Map();
+
+    // posts(), tags(), authors(), pages()
+    RESOURCES.forEach((resource) => {
+      this[resource] = (params) => this.browse(resource, params);
+    });
+  }
+
+  /**
+   * Whether a key is available
+   */
+  isConfigured() {
+    return !!this.options.key;
+  }
+
+  /**
+   * List a resource; resolves to { [resource]: [...], meta }
+   */
+  browse(resource, params = {}) {
+    return this.request(`${resource}/`, params);
+  }
+
+  /**
+   * Read one item by id or slug; resolves to the item
+   */
+  async read(resource, { id, slug, ...params } = {}) {
+    if (!id && !slug) {
+      throw new ContentApiError(`read(${resource}) needs an id or slug`);
+    }
+
+    const path = id ? `${resource}/${id}/` : `${resource}/slug/${slug}/`;
+    const data = await this.request(path, params);
+
+    return data[resource] ? data[resource][0] : null;
+  }
+
+  /**
+   * Build the request URL with the key and query parameters
+   */
+  buildUrl(path, params = {}) {
+    const base = this.options.url.replace(/\/$/, '');
+    const url = new URL(`${base}${API_PATH}${path}`);
+
+    url.searchParams.set('key', this.options.key);
+
+    Object.keys(params)
+      .sort()
+      .forEach((name) => {
+        const value = params[name];
+        if (value === undefined || value === null || value === '') return;
+
+        url.searchParams.set(
+          name,
+          Array.isArray(value) ? value.join(',') : String(value),
+        );
+      });
+
+    return url.toString();
+  }
+
+  /**
+   * Fetch JSON, reusing cached and in-flight responses
+   */
+  async request(path, params = {}) {
+    if (!this.isConfigured()) {
+      throw new ContentApiError(
+        'Content API key missing: set it in the theme settings',
+      );
+    }
+
+    const url = this.buildUrl(path, params);
+
+    const cached = this.getCached(url);
+    if (cached) return cached;
+
+    // Identical requests share one fetch
+    if (this.pending.has(url)) {
+      return this.pending.get(url);
+    }
+
+    const promise = this.fetchJson(url)
+      .then((data) => {
+        this.setCached(url, data);
+        return data;
+      })
+      .finally(() => this.pending.delete(url));
+
+    this.pending.set(url, promise);
+    return promise;
+  }
+
+  /**
+   * Perform the HTTP request
+   */
+  async fetchJson(url) {
+    log.debug('Fetching', url);
+
+    const response = await fetch(url, {
+      headers: { 'Accept-Version': this.options.version },
+    });
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Non-JSON error pages are handled below
+    }
+
+    if (!response.ok) {
+      const message =
+        data && data.errors && data.errors[0]
+          ? data.errors[0].message
+          : `HTTP ${response.status}: ${response.statusText}`;
+      throw new ContentApiError(message, response.status);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a fresh cached response
+   */
+  getCached(url) {
+    if (!this.options.cacheTtl) return null;
+
+    let entry = this.cache.get(url);
+
+    if (!entry && this.options.sessionCache) {
+      try {
+        entry = JSON.parse(sessionStorage.getItem(SESSION_PREFIX + url));
+        if (entry) this.cache.set(url, entry);
+      } catch (error) {
+        entry = null;
+      }
+    }
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.time > this.options.cacheTtl) {
+      this.forget(url);
+      return null;
+    }
+
+    return entry.data;
+  }
+
+  /**
+   * Cache a response in memory and the session
+   */
+  setCached(url, data) {
+    if (!this.options.cacheTtl) return;
+
+    const entry = { time: Date.now(), data };
+    this.cache.set(url, entry);
+
+    if (this.options.sessionCache) {
+      try {
+        sessionStorage.setItem(SESSION_PREFIX + url, JSON.stringify(entry));
+      } catch (error) {
+        // Storage full; the memory cache still works
+        log.debug('Session cache unavailable:', error);
+      }
+    }
+  }
+
+  /**
+   * Drop one cached response
+   */
+  forget(url) {
+    this.cache.delete(url);
+
+    try {
+      sessionStorage.removeItem(SESSION_PREFIX + url);
+    } catch (error) {
+      // Nothing to remove
+    }
+  }
+
+  /**
+   * Drop every cached response
+   */
+  clearCache() {
+    this.cache.clear();
+
+    try {
+      Object.keys(sessionStorage)
+        .filter((key) => key.startsWith(SESSION_PREFIX))
+        .forEach((key) => sessionStorage.removeItem(key));
+    } catch (error) {
+      // Nothing to remove
+    }
+  }
+}
+
+let sharedClient = null;
+
+/**
+ * Shared client configured from the page
+ */
+export function getContentApi() {
+  if (!sharedClient) {
+    sharedClient = new ContentApiClient(readApiConfig());
+
+    if (!sharedClient.isConfigured()) {
+      log.warn('No Content API key found; API features are disabled');
+    }
+  }
+
+  return sharedClient;
+}
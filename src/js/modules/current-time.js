@@ -3,15 +3,37 @@
  * Simple time display that doesn't interfere with weather
  */
 
-export function initCurrentTime() {
-	const timeElement = document.getElementById('current-time');
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('current-time');
+
+export class CurrentTime extends ThemeModule {
+	constructor() {
+		super('current-time');
+		this.timeElement = null;
+
+		this.init();
+	}
+
+	init() {
+		this.timeElement = document.getElementById('current-time');
 
-	if (!timeElement) {
-		console.log('Time element not found - add <span id="current-time"></span> to your template');
-		return;
+		if (!this.timeElement) {
+			log.debug('Time element not found - add <span id="current-time"></span> to your template');
+			return;
+		}
+
+		// Update immediately
+		this.updateTimeDisplay();
+
+		// Update every minute
+		this.interval(() => this.updateTimeDisplay(), 60000);
+
+		log.info('✅ Current time display initialized');
 	}
 
-	function updateTimeDisplay() {
+	updateTimeDisplay() {
 		// Get the current time in EST
 		const now = new Date();
 		const timeString = now.toLocaleString('en-US', {
@@ -22,14 +44,17 @@ export function initCurrentTime() {
 		});
 
 		// Update just the time element
-		timeElement.textContent = timeString;
+		this.timeElement.textContent = timeString;
 	}
 
-	// Update immediately
-	updateTimeDisplay();
-
-	// Update every minute
-	setInterval(updateTimeDisplay, 60000);
+	getState() {
+		return {
+			...super.getState(),
+			time: this.timeElement ? this.timeElement.textContent : null
+		};
+	}
+}
 
-	console.log('✅ Current time display initialized');
-}
\ No newline at end of file
+export function initCurrentTime() {
+	return new CurrentTime();
+}
@@ -3,8 +3,12 @@
  * Handles dark mode with smooth sliding animation
  */
 
-export class DarkMode {
+import { consent } from './consent';
+import { ThemeModule } from './theme-module';
+
+export class DarkMode extends ThemeModule {
   constructor() {
+    super('dark-mode');
     this.storageKey = 'theme-preference';
     this.toggleContainer = null;
     this.lightButton = null;
@@ -34,14 +38,16 @@ export class DarkMode {
     this.updateToggleButtons(currentTheme);
 
     // Listen for system theme changes
-    window
-      .matchMedia('(prefers-color-scheme: dark)')
-      .addEventListener('change', (e) => {
+    this.listen(
+      window.matchMedia('(prefers-color-scheme: dark)'),
+      'change',
+      (e) => {
         // Only auto-switch if user hasn't manually set a preference
         if (!localStorage.getItem(this.storageKey)) {
           this.applyTheme(e.matches ? 'dark' : 'light');
         }
-      });
+      },
+    );
   }
 
   /**
@@ -77,23 +83,23 @@ export class DarkMode {
 
     if (this.lightButton && this.darkButton) {
       // Add click handlers
-      this.lightButton.addEventListener('click', () => {
+      this.listen(this.lightButton, 'click', () => {
         this.setTheme('light');
       });
 
-      this.darkButton.addEventListener('click', () => {
+      this.listen(this.darkButton, 'click', () => {
         this.setTheme('dark');
       });
 
       // Keyboard support
-      this.lightButton.addEventListener('keydown', (e) => {
+      this.listen(this.lightButton, 'keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           this.setTheme('light');
         }
       });
 
-      this.darkButton.addEventListener('keydown', (e) => {
+      this.listen(this.darkButton, 'keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           this.setTheme('dark');
@@ -107,7 +113,11 @@ export class DarkMode {
    */
   setTheme(theme) {
     this.applyTheme(theme);
-    localStorage.setItem(this.storageKey, theme);
+
+    // Without consent the choice lasts until the next page load
+    if (consent.has('preferences')) {
+      localStorage.setItem(this.storageKey, theme);
+    }
   }
 
   /**
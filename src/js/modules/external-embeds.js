@@ -0,0 +1,145 @@
+/**
+ * External Embeds Module
+ * Loads the lite-youtube web component only with consent for external
+ * content. Until then each video gets a placeholder that can load it once
+ * or open the privacy preferences.
+ */
+
+import { consent } from './consent';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('external-embeds');
+
+const LITE_YOUTUBE_SRC =
+  'https://cdn.jsdelivr.net/npm/@justinribeiro/lite-youtube@1/lite-youtube.min.js';
+
+let scriptPromise = null;
+
+/**
+ * Add the lite-youtube script once
+ */
+function loadLiteYouTube() {
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.type = 'module';
+      script.src = LITE_YOUTUBE_SRC;
+      script.crossOrigin = 'anonymous';
+      script.onload = resolve;
+      script.onerror = () => {
+        scriptPromise = null;
+        script.remove();
+        reject(new Error('Could not load lite-youtube'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return scriptPromise;
+}
+
+export class ExternalEmbeds extends ThemeModule {
+  constructor() {
+    super('external-embeds');
+    this.placeholders = new Map();
+    this.init();
+  }
+
+  /**
+   * Initialize embeds
+   */
+  init() {
+    if (consent.has('embeds')) {
+      this.loadAll();
+      return;
+    }
+
+    document.querySelectorAll('lite-youtube').forEach((embed) => {
+      this.addPlaceholder(embed);
+    });
+
+    this.onDestroy(
+      consent.onChange(() => {
+        if (consent.has('embeds')) this.loadAll();
+      }),
+    );
+
+    log.debug(`⏸️ ${this.placeholders.size} embed(s) waiting for consent`);
+  }
+
+  /**
+   * Load the component and show every video
+   */
+  loadAll() {
+    this.removePlaceholders();
+
+    loadLiteYouTube().catch((error) => log.error(error.message));
+  }
+
+  /**
+   * Hide a video behind a consent placeholder
+   */
+  addPlaceholder(embed) {
+    if (this.placeholders.has(embed)) return;
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'embed-placeholder';
+    placeholder.innerHTML = `
+      <p class="embed-placeholder-text">This video is hosted on YouTube, which may set cookies.</p>
+      <div class="embed-placeholder-actions">
+        <button type="button" class="consent-btn consent-btn-primary" data-embed-load>Load video</button>
+        <button type="button" class="consent-btn" data-consent-open>Privacy settings</button>
+      </div>
+    `;
+
+    this.listen(placeholder.querySelector('[data-embed-load]'), 'click', () => {
+      // Only this video, without remembering the choice
+      this.removePlaceholder(embed);
+      loadLiteYouTube().catch((error) => log.error(error.message));
+    });
+
+    embed.hidden = true;
+    embed.parentNode.insertBefore(placeholder, embed);
+    this.placeholders.set(embed, placeholder);
+  }
+
+  /**
+   * Swap a placeholder for its video
+   */
+  removePlaceholder(embed) {
+    const placeholder = this.placeholders.get(embed);
+    if (!placeholder) return;
+
+    placeholder.remove();
+    embed.hidden = false;
+    this.placeholders.delete(embed);
+  }
+
+  /**
+   * Remove every placeholder
+   */
+  removePlaceholders() {
+    Array.from(this.placeholders.keys()).forEach((embed) => {
+      this.removePlaceholder(embed);
+    });
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      waiting: this.placeholders.size,
+    };
+  }
+
+  /**
+   * Destroy embeds
+   */
+  destroy() {
+    this.removePlaceholders();
+    super.destroy();
+  }
+}
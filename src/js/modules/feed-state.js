@@ -0,0 +1,166 @@
+/**
+ * Feed State
+ * Remembers how far a reader got through a feed in the current history
+ * entry, so Back can bring the loaded pages and scroll position back.
+ *
+ * State is kept in history.state under feedState[name], with the URL it
+ * belongs to, so it survives full page loads and page transitions alike:
+ *
+ * writeFeedState('infinite-scroll', { pages, anchor: getScrollAnchor(items) });
+ * const saved = readFeedState('infinite-scroll');
+ *
+ * watchFeedState(this, () => this.saveState()) calls the save whenever the
+ * reader might leave the feed.
+ */
+
+import { debounce } from './theme';
+
+// Reader input that ends a restore, so we never fight their scrolling
+const USER_SCROLL_EVENTS = ['wheel', 'touchstart', 'keydown', 'pointerdown'];
+
+// How long to keep the anchor in place while images and layout settle
+const SETTLE_TIME = 2000;
+
+// Scrolling saves once it has stopped for this long
+const SAVE_DELAY = 300;
+
+/**
+ * Current URL without the hash
+ */
+function currentUrl() {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * Saved state for a feed, if it belongs to the current URL
+ */
+export function readFeedState(name) {
+  const feeds = (history.state && history.state.feedState) || {};
+  const saved = feeds[name];
+
+  return saved && saved.url === currentUrl() ? saved : null;
+}
+
+/**
+ * Save state for a feed in the current history entry
+ */
+export function writeFeedState(name, value) {
+  const state = history.state || {};
+
+  try {
+    history.replaceState(
+      {
+        ...state,
+        feedState: {
+          ...state.feedState,
+          [name]: { ...value, url: currentUrl() },
+        },
+      },
+      '',
+    );
+  } catch (error) {
+    // Some browsers limit how often the state can be replaced
+  }
+}
+
+/**
+ * Save a module's feed state whenever the reader might leave: after
+ * scrolling, on pagehide, and on link clicks (captured, so before the page
+ * router takes them). onScroll also runs after scrolling, before the save.
+ */
+export function watchFeedState(module, save, { onScroll = null } = {}) {
+  const saveAfterScroll = debounce(() => {
+    if (module.isDestroyed) return;
+    if (onScroll) onScroll();
+    save();
+  }, SAVE_DELAY);
+
+  module.listen(window, 'scroll', saveAfterScroll, { passive: true });
+  module.listen(window, 'pagehide', () => save());
+  module.listen(
+    document,
+    'click',
+    (e) => {
+      if (e.target.closest('a[href]')) save();
+    },
+    true,
+  );
+}
+
+/**
+ * Stable key for a feed item (unloaded virtual items keep their attributes)
+ */
+export function getItemKey(item) {
+  const { postId, postSlug } = item.dataset;
+  if (postId || postSlug) return postId || postSlug;
+
+  const link = item.querySelector('a[href]');
+  return link ? link.getAttribute('href') : null;
+}
+
+/**
+ * The top-most item in the viewport and its distance from the top
+ */
+export function getScrollAnchor(items) {
+  let anchor = null;
+
+  items.forEach((item) => {
+    const rect = item.getBoundingClientRect();
+    if (rect.bottom <= 0 || rect.top >= window.innerHeight) return;
+    if (anchor && rect.top >= anchor.offset) return;
+
+    const key = getItemKey(item);
+    if (key) anchor = { key, offset: rect.top };
+  });
+
+  return anchor;
+}
+
+/**
+ * Scroll an anchor back to where it was, and keep it there while the page
+ * settles. Falls back to scrollY when the anchor is gone. Returns a
+ * function that stops early.
+ */
+export function restoreScrollAnchor(getItems, { anchor, scrollY = 0 }) {
+  const findAnchor = () =>
+    anchor ? getItems().find((item) => getItemKey(item) === anchor.key) : null;
+
+  let frame = null;
+  const start = performance.now();
+
+  const stop = () => {
+    cancelAnimationFrame(frame);
+    USER_SCROLL_EVENTS.forEach((type) =>
+      window.removeEventListener(type, stop),
+    );
+  };
+
+  const align = () => {
+    const item = findAnchor();
+
+    if (!item) {
+      window.scrollTo(0, scrollY);
+      return;
+    }
+
+    const delta = item.getBoundingClientRect().top - anchor.offset;
+    if (Math.abs(delta) >= 1) window.scrollBy(0, delta);
+  };
+
+  const tick = (now) => {
+    align();
+
+    if (now - start < SETTLE_TIME) {
+      frame = requestAnimationFrame(tick);
+    } else {
+      stop();
+    }
+  };
+
+  USER_SCROLL_EVENTS.forEach((type) =>
+    window.addEventListener(type, stop, { passive: true }),
+  );
+  frame = requestAnimationFrame(tick);
+
+  return stop;
+}
@@ -0,0 +1,101 @@
+/**
+ * Feed Types
+ * Where InfiniteScroll finds a feed and its posts, on the page and in each
+ * page it fetches.
+ *
+ * The blog loop, post feed and masonry grids are built in. Any other
+ * template can declare its feed with data attributes:
+ *
+ * <div class="movies-container" data-feed="movies" data-feed-item=".movie-item">
+ *
+ * or register a type once and name it with data-feed="my-type":
+ *
+ * registerFeedType('my-type', { container: '.my-list', item: '.my-item' });
+ *
+ * Types with layout: 'masonry' (or data-feed-layout="masonry") hand new
+ * items to MasonryGrid; others get them appended in place.
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('feed-types');
+
+const feedTypes = new Map();
+
+/**
+ * Add a feed type
+ */
+export function registerFeedType(name, { container, item, layout = 'flow' }) {
+  feedTypes.set(name, { name, container, item, layout });
+}
+
+/**
+ * A registered feed type, or null
+ */
+export function getFeedType(name) {
+  return feedTypes.get(name) || null;
+}
+
+// Checked in this order when a page declares nothing
+registerFeedType('article-loop', {
+  container: '.article-loop',
+  item: '.post-container',
+});
+registerFeedType('post-feed', {
+  container: '.post-feed',
+  item: 'article.post-card',
+});
+registerFeedType('masonry', {
+  container: '.masonry-grid',
+  item: 'article.masonry-card',
+  layout: 'masonry',
+});
+
+/**
+ * Type of an element with data-feed, from the registry and its attributes
+ */
+function resolveDeclaredType(element) {
+  const { feed, feedItem, feedLayout } = element.dataset;
+  const registered = feed ? getFeedType(feed) : null;
+  const item = feedItem || (registered && registered.item);
+
+  if (!item) {
+    log.warn(`Feed "${feed}" needs data-feed-item or a registered type`);
+    return null;
+  }
+
+  return {
+    name: feed || 'custom',
+    container: feed ? `[data-feed="${CSS.escape(feed)}"]` : '[data-feed]',
+    item,
+    layout: feedLayout || (registered ? registered.layout : 'flow'),
+  };
+}
+
+/**
+ * The feed in a document: the first [data-feed], else the first built-in
+ * container found. Returns { element, type } or null.
+ */
+export function findFeed(root = document) {
+  const declared = root.querySelector('[data-feed]');
+
+  if (declared) {
+    const type = resolveDeclaredType(declared);
+    return type ? { element: declared, type } : null;
+  }
+
+  for (const type of feedTypes.values()) {
+    const element = root.querySelector(type.container);
+    if (element) return { element, type };
+  }
+
+  return null;
+}
+
+/**
+ * Items of a feed type in another document, such as a fetched next page
+ */
+export function getFeedItems(root, type) {
+  const container = root.querySelector(type.container);
+  return container ? Array.from(container.querySelectorAll(type.item)) : [];
+}
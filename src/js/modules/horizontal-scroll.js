@@ -3,8 +3,14 @@
  * Handles smooth scrolling and touch interactions for horizontal content sections
  */
 
-export class HorizontalScroll {
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('horizontal-scroll');
+
+export class HorizontalScroll extends ThemeModule {
 	constructor() {
+		super('horizontal-scroll');
 		this.containers = [];
 		this.init();
 	}
@@ -17,7 +23,7 @@ export class HorizontalScroll {
 			this.setupSection(section);
 		});
 
-		console.log(`📜 Initialized ${sections.length} horizontal scroll sections`);
+		log.debug(`📜 Initialized ${sections.length} horizontal scroll sections`);
 	}
 
 	setupSection(section) {
@@ -38,15 +44,15 @@ export class HorizontalScroll {
 
 		// Set up button event listeners
 		if (prevBtn) {
-			prevBtn.addEventListener('click', () => this.scrollPrev(container));
+			this.listen(prevBtn, 'click', () => this.scrollPrev(container));
 		}
 
 		if (nextBtn) {
-			nextBtn.addEventListener('click', () => this.scrollNext(container));
+			this.listen(nextBtn, 'click', () => this.scrollNext(container));
 		}
 
 		// Set up scroll event listener to update button states
-		track.addEventListener('scroll', () => this.updateButtonStates(container));
+		this.listen(track, 'scroll', () => this.updateButtonStates(container));
 
 		// Set up touch/mouse drag scrolling
 		this.setupDragScrolling(container);
@@ -137,7 +143,7 @@ export class HorizontalScroll {
 		let scrollLeft;
 
 		// Mouse events
-		track.addEventListener('mousedown', (e) => {
+		this.listen(track, 'mousedown', (e) => {
 			isDown = true;
 			track.style.cursor = 'grabbing';
 			startX = e.pageX - track.offsetLeft;
@@ -145,17 +151,17 @@ export class HorizontalScroll {
 			e.preventDefault();
 		});
 
-		track.addEventListener('mouseleave', () => {
+		this.listen(track, 'mouseleave', () => {
 			isDown = false;
 			track.style.cursor = 'grab';
 		});
 
-		track.addEventListener('mouseup', () => {
+		this.listen(track, 'mouseup', () => {
 			isDown = false;
 			track.style.cursor = 'grab';
 		});
 
-		track.addEventListener('mousemove', (e) => {
+		this.listen(track, 'mousemove', (e) => {
 			if (!isDown) return;
 			e.preventDefault();
 			const x = e.pageX - track.offsetLeft;
@@ -167,19 +173,19 @@ export class HorizontalScroll {
 		let touchStartX = 0;
 		let touchScrollLeft = 0;
 
-		track.addEventListener('touchstart', (e) => {
+		this.listen(track, 'touchstart', (e) => {
 			touchStartX = e.touches[0].pageX;
 			touchScrollLeft = track.scrollLeft;
 		}, { passive: true });
 
-		track.addEventListener('touchmove', (e) => {
+		this.listen(track, 'touchmove', (e) => {
 			if (!touchStartX) return;
 			const touchX = e.touches[0].pageX;
 			const walk = touchStartX - touchX;
 			track.scrollLeft = touchScrollLeft + walk;
 		}, { passive: true });
 
-		track.addEventListener('touchend', () => {
+		this.listen(track, 'touchend', () => {
 			touchStartX = 0;
 		}, { passive: true });
 
@@ -190,7 +196,7 @@ export class HorizontalScroll {
 	setupKeyboardNavigation(container) {
 		const { section } = container;
 
-		section.addEventListener('keydown', (e) => {
+		this.listen(section, 'keydown', (e) => {
 			// Only handle if focus is within the section
 			if (!section.contains(document.activeElement)) return;
 
@@ -250,20 +256,9 @@ export class HorizontalScroll {
 
 	destroy() {
 		// Clean up event listeners
-		this.containers.forEach(container => {
-			const { section, track, prevBtn, nextBtn } = container;
-
-			if (prevBtn) {
-				prevBtn.replaceWith(prevBtn.cloneNode(true));
-			}
-			if (nextBtn) {
-				nextBtn.replaceWith(nextBtn.cloneNode(true));
-			}
-
-			track.replaceWith(track.cloneNode(true));
-		});
+		super.destroy();
 
 		this.containers = [];
-		console.log('📜 Horizontal scroll destroyed');
+		log.debug('📜 Horizontal scroll destroyed');
 	}
 }
\ No newline at end of file
@@ -1,56 +1,125 @@
 /**
  * Simple Ghost-Friendly Infinite Scroll Module
  * Uses Ghost's built-in link[rel="next"] pagination (more reliable)
+ *
+ * The loaded pages and the post in view are remembered in the history
+ * entry, so coming Back to the feed loads them again and scrolls there.
+ *
+ * Set data-infinite-scroll on the .load-more container to load pages
+ * automatically as the reader nears the end, then fall back to the button:
+ * a page count ("5", or the theme setting's "Automatic for 5 pages"),
+ * "Always automatic", or "Button" for clicks only. The address bar follows
+ * the page in view (/page/3/), and the next page is fetched while the
+ * browser is idle.
+ *
+ * A failed load is retried with growing delays, and again as soon as the
+ * browser is back online; the button offers to try again in the meantime.
+ * Posts already in the feed are skipped, so a page is never shown twice.
  */
 
-export class InfiniteScroll {
+import { fetchDocument } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+import { findFeed, getFeedItems } from './feed-types';
+import {
+  getItemKey,
+  getScrollAnchor,
+  readFeedState,
+  restoreScrollAnchor,
+  watchFeedState,
+  writeFeedState,
+} from './feed-state';
+
+const log = createLogger('infinite-scroll');
+
+const STATE_KEY = 'infinite-scroll';
+
+// Start loading while the end of the feed is this far below the viewport
+const AUTO_LOAD_MARGIN = '0px 0px 800px 0px';
+const DEFAULT_AUTO_PAGES = 5;
+
+// Retries after a failed load: 1s, 2s, 4s, 8s, then the button only
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000;
+
+/**
+ * Pages to load automatically, from a data-infinite-scroll value
+ */
+function parseAutoLoad(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  if (text.startsWith('always')) return Infinity;
+
+  const count = /\d+/.exec(text);
+  if (count) return parseInt(count[0], 10);
+
+  return text.startsWith('auto') ? DEFAULT_AUTO_PAGES : 0;
+}
+
+export class InfiniteScroll extends ThemeModule {
   constructor() {
-    console.log('🏗️ INFINITE SCROLL CONSTRUCTOR CALLED');
-    console.log('🏗️ Starting initialization...');
+    super('infinite-scroll');
+    log.debug('🏗️ INFINITE SCROLL CONSTRUCTOR CALLED');
+    log.debug('🏗️ Starting initialization...');
 
     this.postFeed = null;
+    this.feedType = null;
     this.loadMoreBtn = null;
-    this.isLoading = false;
-    this.hasMorePosts = true;
-    this.nextDom = document;
-    this.currentPage = 1;
-    this.totalPages = 1;
+    this.sentinel = null;
+    this.sentinelObserver = null;
+    this.autoLoadLimit = 0;
+    this.statusElement = null;
 
-    console.log('🏗️ About to call init()...');
+    log.debug('🏗️ About to call init()...');
     this.init();
-    console.log('🏗️ Init() completed');
+    log.debug('🏗️ Init() completed');
   }
 
   init() {
-    console.log('=================================');
-    console.log('🚀 INFINITE SCROLL INIT CALLED');
-    console.log('=================================');
+    log.debug('=================================');
+    log.debug('🚀 INFINITE SCROLL INIT CALLED');
+    log.debug('=================================');
 
-    // Find the post feed container and load more button
-    this.postFeed =
-      document.querySelector('.article-loop') ||
-      document.querySelector('.post-feed') ||
-      document.querySelector('.masonry-grid');
-
-    console.log('📦 Post feed found:', !!this.postFeed);
+    // Start over on refresh(): nothing from the earlier feed carries over
+    this.isLoading = false;
+    this.hasMorePosts = true;
+    this.nextDom = document;
+    this.currentPage = 1;
+    this.totalPages = 1;
+    this.loadedPages = [];
+    this.isRestoring = false;
+    this.firstPageUrl = null;
+    this.autoLoaded = 0;
+    this.prefetched = null;
+    this.seenKeys = new Set();
+    this.error = null;
+    this.retryCount = 0;
+    this.retryTimer = null;
+
+    // Find the post feed container (see feed-types.js) and load more button
+    const feed = findFeed(document);
+    this.postFeed = feed ? feed.element : null;
+    this.feedType = feed ? feed.type : null;
+
+    log.debug('📦 Post feed found:', !!this.postFeed);
     if (this.postFeed) {
-      console.log('📦 Post feed class:', this.postFeed.className);
+      log.debug('📦 Post feed type:', this.feedType.name);
     }
 
     this.loadMoreBtn = document.getElementById('load-more-btn');
-    console.log('🔘 Load more button found:', !!this.loadMoreBtn);
-    console.log('🔘 Load more button element:', this.loadMoreBtn);
+    log.debug('🔘 Load more button found:', !!this.loadMoreBtn);
+    log.debug('🔘 Load more button element:', this.loadMoreBtn);
 
     if (!this.postFeed || !this.loadMoreBtn) {
-      console.error('❌ INFINITE SCROLL: Required elements not found');
-      console.log('Missing:', {
+      log.error('❌ INFINITE SCROLL: Required elements not found');
+      log.debug('Missing:', {
         postFeed: !this.postFeed,
         loadMoreBtn: !this.loadMoreBtn,
       });
       return;
     }
 
-    console.log('✅ Both elements found, continuing initialization...');
+    log.debug('✅ Both elements found, continuing initialization...');
 
     // Get initial pagination data from Ghost
     this.readPaginationData();
@@ -58,24 +127,47 @@ export class InfiniteScroll {
     // Check if we have a next page initially
     this.checkForNextPage();
 
+    // Posts on the page already, so fetched duplicates can be skipped
+    this.getItems().forEach((item) => this.rememberItem(item));
+
     // Set up event listeners
-    console.log('🎯 Adding click event listener to button');
-    this.loadMoreBtn.addEventListener('click', () => {
-      console.log('🖱️ BUTTON CLICKED!');
-      this.loadMorePosts();
+    log.debug('🎯 Adding click event listener to button');
+    this.listen(this.loadMoreBtn, 'click', () => {
+      log.debug('🖱️ BUTTON CLICKED!');
+
+      if (this.error) {
+        this.retry();
+      } else {
+        this.loadMorePosts();
+      }
+    });
+
+    // Resume as soon as the connection is back
+    this.listen(window, 'online', () => {
+      if (this.error) this.retry();
     });
 
     // Initialize button state
     this.updateButtonState();
 
-    console.log(
+    this.firstPageUrl = window.location.pathname + window.location.search;
+    this.setupStateSaving();
+    this.setupAutoLoad();
+    this.schedulePrefetch();
+
+    const saved = readFeedState(STATE_KEY);
+    if (saved && Array.isArray(saved.pages) && saved.pages.length > 0) {
+      this.restoreState(saved);
+    }
+
+    log.debug(
       '♾️ Infinite scroll initialized - Page',
       this.currentPage,
       'of',
       this.totalPages,
     );
-    console.log('Has more posts:', this.hasMorePosts);
-    console.log('=================================');
+    log.debug('Has more posts:', this.hasMorePosts);
+    log.debug('=================================');
   }
 
   readPaginationData(doc = document) {
@@ -87,17 +179,17 @@ export class InfiniteScroll {
         this.totalPages = data.totalPages || 1;
         this.hasMorePosts = data.hasNext || false;
 
-        console.log('📊 Pagination data:', {
+        log.debug('📊 Pagination data:', {
           currentPage: this.currentPage,
           totalPages: this.totalPages,
           hasMore: this.hasMorePosts,
         });
       } catch (error) {
-        console.error('❌ Error parsing pagination data:', error);
+        log.error('❌ Error parsing pagination data:', error);
         this.hasMorePosts = false;
       }
     } else {
-      console.warn('⚠️ No pagination data found');
+      log.warn('⚠️ No pagination data found');
     }
   }
 
@@ -106,19 +198,209 @@ export class InfiniteScroll {
     const nextLink = this.nextDom.querySelector('link[rel="next"]');
     this.hasMorePosts = !!nextLink;
 
-    console.log('🔗 Next page link found:', nextLink?.href || 'None');
+    log.debug('🔗 Next page link found:', nextLink?.href || 'None');
     return nextLink;
   }
 
+  /**
+   * Remember loaded pages and position whenever the reader might leave
+   */
+  setupStateSaving() {
+    watchFeedState(this, () => this.saveState(), {
+      onScroll: () => this.updatePageUrl(),
+    });
+  }
+
+  saveState() {
+    if (this.loadedPages.length === 0 || this.isRestoring) return;
+
+    writeFeedState(STATE_KEY, {
+      pages: this.loadedPages,
+      anchor: getScrollAnchor(this.getItems()),
+      scrollY: window.scrollY,
+    });
+  }
+
+  /**
+   * Load the pages the reader had before leaving, then scroll back to the
+   * post they were on
+   */
+  async restoreState(saved) {
+    log.debug('⏪ Restoring', saved.pages.length, 'loaded pages');
+
+    this.isLoading = true;
+    this.isRestoring = true;
+    this.updateButtonState();
+
+    // Opened further along (/page/3/): skip the pages before this one
+    const start = this.checkForNextPage();
+    const first = start ? saved.pages.indexOf(start.href) : -1;
+
+    try {
+      for (const url of saved.pages.slice(Math.max(first, 0))) {
+        // Stop where the pagination no longer matches what was saved
+        const nextLink = this.checkForNextPage();
+        if (!nextLink || nextLink.href !== url) break;
+
+        await this.loadPage(url, { animate: false });
+        if (this.isDestroyed) return;
+      }
+    } catch (error) {
+      log.warn('⚠️ Could not restore loaded pages:', error);
+    } finally {
+      this.isLoading = false;
+      this.isRestoring = false;
+      this.updateButtonState();
+    }
+
+    this.onDestroy(restoreScrollAnchor(() => this.getItems(), saved));
+    this.schedulePrefetch();
+    this.rearmAutoLoad();
+  }
+
+  /**
+   * Watch the end of the feed when automatic loading is on
+   */
+  setupAutoLoad() {
+    this.sentinel = this.loadMoreBtn.closest('.load-more');
+    this.autoLoadLimit = parseAutoLoad(
+      this.sentinel && this.sentinel.dataset.infiniteScroll,
+    );
+
+    if (
+      !this.sentinel ||
+      this.autoLoadLimit === 0 ||
+      !('IntersectionObserver' in window)
+    ) {
+      return;
+    }
+
+    this.sentinelObserver = this.observe(
+      new IntersectionObserver(
+        (entries) => {
+          if (entries[0].isIntersecting) this.autoLoad();
+        },
+        { rootMargin: AUTO_LOAD_MARGIN },
+      ),
+    );
+    this.sentinelObserver.observe(this.sentinel);
+
+    log.debug('🤖 Automatic loading for', this.autoLoadLimit, 'pages');
+  }
+
+  /**
+   * Load the next page without a click, until the limit is reached
+   */
+  async autoLoad() {
+    if (this.isLoading || !this.hasMorePosts) return;
+
+    if (this.autoLoaded >= this.autoLoadLimit) {
+      log.debug('✋ Automatic loading limit reached, back to the button');
+      this.sentinelObserver.disconnect();
+      return;
+    }
+
+    this.autoLoaded += 1;
+
+    // A failed load leaves the button to retry
+    if (await this.loadMorePosts()) {
+      this.rearmAutoLoad();
+    }
+  }
+
+  /**
+   * Observing again reports whether the end is still close, for pages too
+   * short to push it out of reach
+   */
+  rearmAutoLoad() {
+    if (this.isDestroyed || !this.sentinelObserver || !this.hasMorePosts) {
+      return;
+    }
+
+    this.sentinelObserver.unobserve(this.sentinel);
+    this.sentinelObserver.observe(this.sentinel);
+  }
+
+  /**
+   * Fetch the next page while the browser is idle, so loading it is instant
+   */
+  schedulePrefetch() {
+    const nextLink = this.nextDom.querySelector('link[rel="next"]');
+    const connection = navigator.connection;
+
+    if (!nextLink || (connection && connection.saveData)) return;
+
+    const url = nextLink.href;
+    const prefetch = () => {
+      if (this.isDestroyed || (this.prefetched && this.prefetched.url === url)) {
+        return;
+      }
+
+      const request = fetchDocument(url);
+      this.prefetched = { url, request };
+
+      // Forget a failed prefetch; the load fetches again
+      request.catch(() => {
+        if (this.prefetched && this.prefetched.request === request) {
+          this.prefetched = null;
+        }
+      });
+    };
+
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(prefetch, { timeout: 5000 });
+    } else {
+      this.timeout(prefetch, 2000);
+    }
+  }
+
+  /**
+   * The prefetched page if it's the one asked for, else a new request
+   */
+  fetchPage(url) {
+    const prefetched = this.prefetched;
+    this.prefetched = null;
+
+    return prefetched && prefetched.url === url
+      ? prefetched.request
+      : fetchDocument(url);
+  }
+
+  /**
+   * Show the URL of the page the reader is on in the address bar
+   */
+  updatePageUrl() {
+    if (this.loadedPages.length === 0) return;
+
+    const item = this.getItems().find(
+      (candidate) => candidate.getBoundingClientRect().bottom > 0,
+    );
+    if (!item) return;
+
+    const url = new URL(
+      item.dataset.pageUrl || this.firstPageUrl,
+      window.location.href,
+    );
+    const path = url.pathname + url.search;
+
+    if (path !== window.location.pathname + window.location.search) {
+      history.replaceState(history.state, '', path);
+    }
+  }
+
+  getItems() {
+    return Array.from(this.postFeed.querySelectorAll(this.feedType.item));
+  }
+
   async loadMorePosts() {
     if (this.isLoading || !this.hasMorePosts) {
-      console.log(
+      log.debug(
         '⏸️ Load more skipped - Loading:',
         this.isLoading,
         'Has more:',
         this.hasMorePosts,
       );
-      return;
+      return false;
     }
 
     this.isLoading = true;
@@ -129,86 +411,84 @@ export class InfiniteScroll {
       const nextLink = this.checkForNextPage();
 
       if (!nextLink) {
-        console.log('🏁 No more pages to load');
+        log.debug('🏁 No more pages to load');
         this.hasMorePosts = false;
         this.updateButtonState();
-        return;
+        return false;
       }
 
-      console.log('🔄 Loading next page:', nextLink.href);
+      log.debug('🔄 Loading next page:', nextLink.href);
 
-      // Fetch the next page
-      const response = await fetch(nextLink.href, {
-        credentials: 'same-origin',
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      await this.loadPage(nextLink.href);
+      this.clearError();
+      this.schedulePrefetch();
+      return true;
+    } catch (error) {
+      log.error('❌ Error loading more posts:', error);
+      this.handleLoadError(error);
+      return false;
+    } finally {
+      this.isLoading = false;
+      this.updateButtonState();
+    }
+  }
 
-      const html = await response.text();
+  /**
+   * Fetch a page and add its posts to the feed
+   */
+  async loadPage(url, { animate = true } = {}) {
+    // Fetch and parse the next page
+    const { doc } = await this.fetchPage(url);
 
-      // Parse the HTML to extract posts
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+    // Extract posts from the same feed in the response
+    const found = getFeedItems(doc, this.feedType);
 
-      // Extract posts from the response - support blog, homepage, and tag pages
-      let newPosts = doc.querySelectorAll('.article-loop .post-container');
+    if (found.length > 0) {
+      log.debug('✅ Found', found.length, 'new posts');
 
-      // Fallback to homepage post-feed if article-loop not found
-      if (newPosts.length === 0) {
-        newPosts = doc.querySelectorAll('.post-feed article.post-card');
+      // New posts published since shift older ones onto the next page
+      const newPosts = found.filter((post) => this.rememberItem(post));
+      if (newPosts.length < found.length) {
+        log.debug('♻️ Skipped', found.length - newPosts.length, 'duplicates');
       }
 
-      // Fallback to masonry grid for tag pages
-      if (newPosts.length === 0) {
-        newPosts = doc.querySelectorAll('.masonry-grid article.masonry-card');
-      }
+      // Lets the address bar follow the page in view
+      newPosts.forEach((post) => post.setAttribute('data-page-url', url));
 
       if (newPosts.length > 0) {
-        console.log('✅ Found', newPosts.length, 'new posts');
-
-        await this.appendPosts(Array.from(newPosts));
+        await this.appendPosts(newPosts, { animate });
+      }
+      this.loadedPages.push(url);
 
-        // IMPORTANT: Update the nextDom reference to the new document
-        // This ensures the next call will find the correct next page link
-        this.nextDom = doc;
+      // IMPORTANT: Update the nextDom reference to the new document
+      // This ensures the next call will find the correct next page link
+      this.nextDom = doc;
 
-        // Read pagination data from the new page
-        this.readPaginationData(doc);
+      // Read pagination data from the new page
+      this.readPaginationData(doc);
 
-        // Check if there are more pages after this one
-        this.checkForNextPage();
+      // Check if there are more pages after this one
+      this.checkForNextPage();
 
-        console.log('📄 Now on page', this.currentPage, 'of', this.totalPages);
-      } else {
-        console.log('🚫 No posts found in response');
-        this.hasMorePosts = false;
-      }
-    } catch (error) {
-      console.error('❌ Error loading more posts:', error);
-      this.showError();
-    } finally {
-      this.isLoading = false;
-      this.updateButtonState();
+      log.debug('📄 Now on page', this.currentPage, 'of', this.totalPages);
+    } else {
+      log.debug('🚫 No posts found in response');
+      this.hasMorePosts = false;
     }
   }
 
-  async appendPosts(newPosts) {
-    console.log('📝 Appending', newPosts.length, 'posts to feed');
+  async appendPosts(newPosts, { animate = true } = {}) {
+    log.debug('📝 Appending', newPosts.length, 'posts to feed');
 
     // Check if we're in a masonry grid context
-    const isMasonryGrid = this.postFeed.classList.contains('masonry-grid');
+    const isMasonryGrid = this.feedType.layout === 'masonry';
 
     if (isMasonryGrid) {
-      console.log('🧱 Masonry grid detected - appending posts directly');
+      log.debug('🧱 Masonry grid detected - appending posts directly');
 
       // For masonry grids, append directly to the grid
       const fragment = document.createDocumentFragment();
-      newPosts.forEach((post) => {
+      const clonedPosts = newPosts.map((post) => {
         const clonedPost = post.cloneNode(true);
         // Remove the 'positioned' class and reset styles so masonry can position it
         clonedPost.classList.remove('positioned');
@@ -217,36 +497,36 @@ export class InfiniteScroll {
         clonedPost.style.left = '';
         clonedPost.style.width = '';
         fragment.appendChild(clonedPost);
+        return clonedPost;
       });
 
       // Insert new posts INSIDE the masonry grid (at the end)
       this.postFeed.appendChild(fragment);
 
-      console.log('⏳ Waiting for images to load...');
-
-      // Wait for new images to load
-      await this.waitForImages(this.postFeed);
-
-      console.log('🔄 Calling masonry layoutMasonry (NOT reset)');
-
-      // Give the DOM a moment to settle
-      await new Promise((resolve) => setTimeout(resolve, 100));
-
-      // DON'T call reset - just call layoutMasonry to position everything
+      // Only the new cards are measured; earlier ones keep their place
       if (
         window.MasonryGrid &&
-        typeof window.MasonryGrid.layoutMasonry === 'function'
+        typeof window.MasonryGrid.append === 'function'
       ) {
-        console.log('📞 Calling MasonryGrid.layoutMasonry()');
-        window.MasonryGrid.layoutMasonry();
+        log.debug('📞 Calling MasonryGrid.append()');
+        window.MasonryGrid.append(clonedPosts);
       } else {
-        console.warn('⚠️ MasonryGrid.layoutMasonry not available');
+        log.warn('⚠️ MasonryGrid.append not available');
       }
 
-      console.log('✅ New posts added and masonry recalculated');
+      log.debug('✅ New posts added to masonry');
+    } else if (!animate || this.isAlternateView()) {
+      // Grid and column views need the posts as direct children of the
+      // feed, and restored pages go in without the entrance animation
+      newPosts.forEach((post, index) => {
+        const clonedPost = post.cloneNode(true);
+        if (animate) {
+          clonedPost.style.animationDelay = `${(index + 1) * 0.1}s`;
+        }
+        this.insertIntoFeed(clonedPost);
+      });
     } else {
       // For regular feeds (blog page), use animation wrapper
-      const loadMoreContainer = this.loadMoreBtn.closest('.load-more');
       const newPostsContainer = document.createElement('div');
       newPostsContainer.className = 'new-posts-container';
       newPostsContainer.style.opacity = '0';
@@ -259,11 +539,8 @@ export class InfiniteScroll {
         newPostsContainer.appendChild(clonedPost);
       });
 
-      // Insert new posts before the load more button
-      loadMoreContainer.parentNode.insertBefore(
-        newPostsContainer,
-        loadMoreContainer,
-      );
+      // Insert new posts at the end of the feed
+      this.insertIntoFeed(newPostsContainer);
 
       // Animate in the new posts
       requestAnimationFrame(() => {
@@ -272,17 +549,9 @@ export class InfiniteScroll {
         newPostsContainer.style.transform = 'translateY(0)';
       });
 
-      // After animation, unwrap posts but keep them BEFORE the button
+      // After animation, unwrap posts in place
       setTimeout(() => {
-        // Move each post out of the wrapper, placing them before the load-more button
-        while (newPostsContainer.firstChild) {
-          loadMoreContainer.parentNode.insertBefore(
-            newPostsContainer.firstChild,
-            loadMoreContainer,
-          );
-        }
-        // Remove the empty container
-        newPostsContainer.remove();
+        newPostsContainer.replaceWith(...newPostsContainer.childNodes);
       }, 650);
     }
 
@@ -291,27 +560,36 @@ export class InfiniteScroll {
   }
 
   /**
-   * Wait for all images in a container to load
+   * Record a post's key; false if the feed already has it
    */
-  waitForImages(container) {
-    const images = container.querySelectorAll('img');
+  rememberItem(item) {
+    const key = getItemKey(item);
+    if (!key) return true;
+    if (this.seenKeys.has(key)) return false;
 
-    if (images.length === 0) {
-      return Promise.resolve();
-    }
+    this.seenKeys.add(key);
+    return true;
+  }
 
-    const imagePromises = Array.from(images)
-      .filter((img) => !img.complete) // Only wait for images that haven't loaded
-      .map((img) => {
-        return new Promise((resolve) => {
-          img.addEventListener('load', resolve, { once: true });
-          img.addEventListener('error', resolve, { once: true });
-          // Set a timeout in case image fails silently
-          setTimeout(resolve, 3000);
-        });
-      });
+  /**
+   * Add a node at the end of the feed, before the button if it's inside
+   */
+  insertIntoFeed(node) {
+    const loadMoreContainer = this.loadMoreBtn.closest('.load-more');
 
-    return Promise.all(imagePromises);
+    if (loadMoreContainer && this.postFeed.contains(loadMoreContainer)) {
+      loadMoreContainer.parentNode.insertBefore(node, loadMoreContainer);
+    } else {
+      this.postFeed.appendChild(node);
+    }
+  }
+
+  /**
+   * Whether the reader switched the feed away from its own view
+   */
+  isAlternateView() {
+    const { view, defaultView } = this.postFeed.dataset;
+    return !!view && view !== defaultView;
   }
 
   reinitializePostFeatures() {
@@ -345,6 +623,11 @@ export class InfiniteScroll {
 		<span class="loading-spinner"></span>
 		Loading...
 	  `;
+    } else if (this.error) {
+      this.loadMoreBtn.disabled = false;
+      this.loadMoreBtn.classList.add('error');
+      this.loadMoreBtn.classList.remove('loading', 'no-more');
+      this.loadMoreBtn.innerHTML = 'Try again';
     } else if (!this.hasMorePosts) {
       this.loadMoreBtn.disabled = true;
       this.loadMoreBtn.classList.add('no-more');
@@ -358,18 +641,77 @@ export class InfiniteScroll {
     }
   }
 
-  showError() {
-    if (!this.loadMoreBtn) return;
+  /**
+   * Retry with growing delays, or wait for the connection to come back
+   */
+  handleLoadError(error) {
+    this.error = error;
+    this.clearRetryTimer();
+
+    if (navigator.onLine === false) {
+      this.showStatus(
+        "You're offline. More posts will load when you're back online.",
+      );
+      return;
+    }
 
-    this.loadMoreBtn.classList.add('error');
-    this.loadMoreBtn.classList.remove('loading', 'no-more');
-    this.loadMoreBtn.innerHTML = 'Failed to load posts. Try again?';
-    this.loadMoreBtn.disabled = false;
+    if (this.retryCount >= MAX_RETRIES) {
+      this.showStatus("Couldn't load more posts.");
+      return;
+    }
 
-    // Add click handler to retry
-    this.loadMoreBtn.onclick = () => {
-      this.loadMoreBtn.classList.remove('error');
-      this.loadMorePosts();
-    };
+    const delay = RETRY_BASE_DELAY * 2 ** this.retryCount;
+    this.retryCount += 1;
+    this.retryTimer = this.timeout(() => this.retry(), delay);
+
+    this.showStatus(
+      `Couldn't load more posts. Trying again in ${delay / 1000}s.`,
+    );
+    log.debug('⏳ Retry', this.retryCount, 'in', delay, 'ms');
+  }
+
+  /**
+   * Try the failed page again now
+   */
+  async retry() {
+    this.clearRetryTimer();
+
+    if (await this.loadMorePosts()) {
+      this.rearmAutoLoad();
+    }
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer !== null) {
+      this.clearTimer(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  clearError() {
+    this.error = null;
+    this.retryCount = 0;
+    this.clearRetryTimer();
+    this.showStatus('');
+  }
+
+  /**
+   * Message under the button, announced to screen readers
+   */
+  showStatus(message) {
+    if (!this.statusElement) {
+      if (!message) return;
+
+      this.statusElement = document.createElement('p');
+      this.statusElement.className = 'load-more-status';
+      this.statusElement.setAttribute('role', 'status');
+      this.loadMoreBtn.after(this.statusElement);
+      this.onDestroy(() => {
+        this.statusElement.remove();
+        this.statusElement = null;
+      });
+    }
+
+    this.statusElement.textContent = message;
   }
 }
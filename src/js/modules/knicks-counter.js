@@ -3,32 +3,51 @@
  * Counts days since the Knicks last won a championship
  */
 
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('knicks-counter');
+
 /**
- * Initialize Knicks Championship Counter
+ * Knicks Championship Counter
  * Displays the number of days since May 10, 1973
  */
-export function initKnicksCounter() {
-	const counterElement = document.getElementById('knicks-counter');
+export class KnicksCounter extends ThemeModule {
+	constructor() {
+		super('knicks-counter');
+		this.counterElement = null;
+		this.daysSince = null;
+
+		this.init();
+	}
+
+	init() {
+		this.counterElement = document.getElementById('knicks-counter');
+
+		if (!this.counterElement) {
+			log.debug('Knicks counter element not found');
+			return;
+		}
 
-	if (!counterElement) {
-		console.log('Knicks counter element not found');
-		return;
+		// Calculate initial days
+		this.calculateDays();
+
+		this.setMidnightUpdate();
+
+		log.info('✅ Knicks counter initialized');
 	}
 
-	function calculateDays() {
+	calculateDays() {
 		const championship = new Date('1973-05-10T00:00:00-05:00'); // EST timezone
 		const now = new Date();
 		const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
 		const diff = est - championship;
-		const daysSince = Math.floor(diff / (1000 * 60 * 60 * 24));
-		counterElement.textContent = `${daysSince.toLocaleString()} days`;
+		this.daysSince = Math.floor(diff / (1000 * 60 * 60 * 24));
+		this.counterElement.textContent = `${this.daysSince.toLocaleString()} days`;
 	}
 
-	// Calculate initial days
-	calculateDays();
-
 	// Calculate time until next midnight EST
-	function setMidnightUpdate() {
+	setMidnightUpdate() {
 		const now = new Date();
 		const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
 		const tomorrow = new Date(est);
@@ -37,14 +56,24 @@ export function initKnicksCounter() {
 		const msUntilMidnight = tomorrow - est;
 
 		// Update at midnight
-		setTimeout(() => {
-			calculateDays();
+		this.timeout(() => {
+			this.calculateDays();
 			// After first midnight, update every 24 hours
-			setInterval(calculateDays, 24 * 60 * 60 * 1000);
+			this.interval(() => this.calculateDays(), 24 * 60 * 60 * 1000);
 		}, msUntilMidnight);
 	}
 
-	setMidnightUpdate();
+	getState() {
+		return {
+			...super.getState(),
+			daysSince: this.daysSince
+		};
+	}
+}
 
-	console.log('✅ Knicks counter initialized');
-}
\ No newline at end of file
+/**
+ * Initialize Knicks Championship Counter
+ */
+export function initKnicksCounter() {
+	return new KnicksCounter();
+}
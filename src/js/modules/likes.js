@@ -0,0 +1,169 @@
+/**
+ * Likes
+ * Where PostActions keeps likes. Adapters share one interface:
+ *
+ * - canLike()             whether this visitor can like posts
+ * - getLikes(ids)         resolves to { [id]: { liked, count } }
+ * - setLiked(id, liked)   resolves to the post's new { liked, count }
+ *
+ * count is null when the adapter can't know it.
+ *
+ * LocalLikesAdapter keeps likes in this browser only. HttpLikesAdapter uses
+ * the endpoint in the **Likes endpoint** theme setting, so every reader sees
+ * the same counts. Liking needs a signed-in member; requests carry their
+ * Ghost identity token so the endpoint knows who liked what:
+ *
+ * GET    <endpoint>?ids=a,b  → { "a": { "liked": true, "count": 3 }, ... }
+ * PUT    <endpoint>/a        → { "liked": true, "count": 4 }
+ * DELETE <endpoint>/a        → { "liked": false, "count": 3 }
+ */
+
+import {
+  LocalAdapter,
+  StorageError,
+  forgetIdentityToken,
+  getIdentityToken,
+  readSyncConfig,
+} from './storage';
+
+const STORAGE_KEY = 'postLikes';
+// Likes used to be kept with the other post action states
+const LEGACY_KEY = 'postActionStates';
+
+/**
+ * { liked, count } from whatever the endpoint sent
+ */
+function toLike(value) {
+  const count = value ? Number(value.count) : NaN;
+
+  return {
+    liked: !!(value && value.liked),
+    count: Number.isFinite(count) ? Math.max(0, count) : null,
+  };
+}
+
+/**
+ * Likes in this browser's localStorage, without counts
+ */
+export class LocalLikesAdapter {
+  constructor({
+    storage = new LocalAdapter({ category: 'preferences' }),
+  } = {}) {
+    this.storage = storage;
+    this.likedPromise = null;
+  }
+
+  canLike() {
+    return true;
+  }
+
+  /**
+   * Ids of liked posts, read once
+   */
+  loadLiked() {
+    if (!this.likedPromise) {
+      this.likedPromise = this.storage.get(STORAGE_KEY).then(async (ids) => {
+        if (Array.isArray(ids)) return new Set(ids);
+
+        const legacy = (await this.storage.get(LEGACY_KEY)) || {};
+        return new Set(
+          Object.keys(legacy)
+            .filter((key) => key.startsWith('like-') && legacy[key])
+            .map((key) => key.slice('like-'.length)),
+        );
+      });
+    }
+
+    return this.likedPromise;
+  }
+
+  async getLikes(ids) {
+    const liked = await this.loadLiked();
+
+    return Object.fromEntries(
+      ids.map((id) => [id, { liked: liked.has(id), count: null }]),
+    );
+  }
+
+  async setLiked(id, liked) {
+    const likedIds = await this.loadLiked();
+
+    if (liked) {
+      likedIds.add(id);
+    } else {
+      likedIds.delete(id);
+    }
+
+    // Without consent the like lasts until the page is left
+    await this.storage.set(STORAGE_KEY, Array.from(likedIds));
+
+    return { liked, count: null };
+  }
+}
+
+/**
+ * Likes on a remote endpoint, with counts from every reader
+ */
+export class HttpLikesAdapter {
+  constructor({ endpoint, isMember = false }) {
+    this.endpoint = endpoint.replace(/\/$/, '');
+    this.isMember = isMember;
+  }
+
+  canLike() {
+    return this.isMember;
+  }
+
+  async request(method, path) {
+    const token = this.isMember ? await getIdentityToken() : null;
+
+    // Anyone can read counts; only members can change them
+    if (!token && method !== 'GET') {
+      throw new StorageError('No member session');
+    }
+
+    const response = await fetch(`${this.endpoint}${path}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (response.status === 401) {
+      forgetIdentityToken();
+    }
+
+    if (!response.ok) {
+      throw new StorageError(
+        `${method} likes failed: HTTP ${response.status}`,
+        response.status,
+      );
+    }
+
+    return response.json();
+  }
+
+  async getLikes(ids) {
+    if (ids.length === 0) return {};
+
+    const query = ids.map((id) => encodeURIComponent(id)).join(',');
+    const likes = (await this.request('GET', `?ids=${query}`)) || {};
+
+    return Object.fromEntries(ids.map((id) => [id, toLike(likes[id])]));
+  }
+
+  async setLiked(id, liked) {
+    const method = liked ? 'PUT' : 'DELETE';
+    return toLike(await this.request(method, `/${encodeURIComponent(id)}`));
+  }
+}
+
+/**
+ * Adapter for this site: the likes endpoint if one is set, else local
+ */
+export function createLikesAdapter(root = document) {
+  const endpoint = root.body && root.body.dataset.likesEndpoint;
+  const { isMember } = readSyncConfig(root);
+
+  return endpoint
+    ? new HttpLikesAdapter({ endpoint, isMember })
+    : new LocalLikesAdapter();
+}
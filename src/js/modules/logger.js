@@ -0,0 +1,281 @@
+/**
+ * Logger Module
+ * Namespaced, levelled logging. Silent by default in production builds,
+ * everything from "debug" up in development builds.
+ *
+ * Usage:
+ * import { createLogger } from './logger';
+ * const log = createLogger('infinite-scroll');
+ * log.debug('Loading page', page);
+ *
+ * Switch on at runtime (production included):
+ * ?debug                     all namespaces, debug level
+ * ?debug=infinite-scroll,masonry-*,-masonry-stats
+ * ?log-level=warn            minimum level for enabled namespaces
+ * ?log-buffer=500            keep the last 500 entries for bug reports
+ *
+ * The same settings persist across page loads in localStorage under
+ * theme-debug, theme-log-level and theme-log-buffer, or through
+ * window.themeLogger.enable() / disable() in the console.
+ */
+
+import { isDev } from 'build-env';
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const STORAGE_KEYS = {
+  debug: 'theme-debug',
+  level: 'theme-log-level',
+  buffer: 'theme-log-buffer',
+};
+
+const QUERY_PARAMS = {
+  debug: 'debug',
+  level: 'log-level',
+  buffer: 'log-buffer',
+};
+
+const DEFAULT_BUFFER_SIZE = 200;
+
+const config = {
+  level: isDev ? LOG_LEVELS.debug : LOG_LEVELS.silent,
+  include: isDev ? [/^.*$/] : [],
+  exclude: [],
+  bufferSize: 0,
+};
+
+const buffer = [];
+
+/**
+ * Read a setting from the query string first, then localStorage
+ */
+function readSetting(name) {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(QUERY_PARAMS[name])) {
+      return params.get(QUERY_PARAMS[name]);
+    }
+
+    return localStorage.getItem(STORAGE_KEYS[name]);
+  } catch (error) {
+    // Storage can be unavailable (privacy mode, sandboxed iframes)
+    return null;
+  }
+}
+
+/**
+ * Convert a namespace pattern ("masonry-*") to a RegExp
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Apply a comma-separated namespace list ("*", "a,b", "-c")
+ */
+function setNamespaces(value) {
+  config.include = [];
+  config.exclude = [];
+
+  // A bare ?debug enables everything
+  const patterns = value === '' ? ['*'] : value.split(/[\s,]+/);
+
+  patterns.filter(Boolean).forEach((pattern) => {
+    if (pattern.startsWith('-')) {
+      config.exclude.push(patternToRegExp(pattern.slice(1)));
+    } else {
+      config.include.push(patternToRegExp(pattern));
+    }
+  });
+}
+
+/**
+ * Apply runtime settings from the URL and localStorage
+ */
+function configureFromEnvironment() {
+  const namespaces = readSetting('debug');
+  const level = readSetting('level');
+  const bufferSize = readSetting('buffer');
+
+  if (namespaces !== null) {
+    setNamespaces(namespaces);
+
+    // Turning namespaces on without a level means "show everything"
+    if (level === null) {
+      config.level = LOG_LEVELS.debug;
+    }
+  }
+
+  if (level !== null && level in LOG_LEVELS) {
+    config.level = LOG_LEVELS[level];
+  }
+
+  if (bufferSize !== null) {
+    const size = parseInt(bufferSize, 10);
+    config.bufferSize = Number.isNaN(size) ? DEFAULT_BUFFER_SIZE : size;
+  }
+}
+
+/**
+ * Check whether a namespace is switched on
+ */
+function isNamespaceEnabled(namespace) {
+  if (config.exclude.some((pattern) => pattern.test(namespace))) {
+    return false;
+  }
+
+  return config.include.some((pattern) => pattern.test(namespace));
+}
+
+/**
+ * Keep an entry in the ring buffer
+ */
+function record(namespace, level, args) {
+  if (config.bufferSize <= 0) return;
+
+  buffer.push({
+    time: new Date().toISOString(),
+    namespace,
+    level,
+    message: args.map(serializeArgument).join(' '),
+  });
+
+  if (buffer.length > config.bufferSize) {
+    buffer.splice(0, buffer.length - config.bufferSize);
+  }
+}
+
+/**
+ * Turn a log argument into text that survives JSON export
+ */
+function serializeArgument(argument) {
+  if (argument instanceof Error) {
+    return `${argument.name}: ${argument.message}`;
+  }
+
+  if (argument instanceof Element) {
+    const id = argument.id ? `#${argument.id}` : '';
+    return `<${argument.tagName.toLowerCase()}${id}>`;
+  }
+
+  if (typeof argument === 'object' && argument !== null) {
+    try {
+      return JSON.stringify(argument);
+    } catch (error) {
+      return String(argument);
+    }
+  }
+
+  return String(argument);
+}
+
+/**
+ * Write an entry to the console and the buffer
+ */
+function write(namespace, level, args) {
+  record(namespace, level, args);
+
+  if (LOG_LEVELS[level] < config.level) return;
+  if (!isNamespaceEnabled(namespace)) return;
+
+  const method = level === 'debug' ? 'log' : level;
+  console[method](`[${namespace}]`, ...args);
+}
+
+/**
+ * Create a logger for a module namespace
+ */
+export function createLogger(namespace) {
+  return {
+    namespace,
+    debug: (...args) => write(namespace, 'debug', args),
+    info: (...args) => write(namespace, 'info', args),
+    warn: (...args) => write(namespace, 'warn', args),
+    error: (...args) => write(namespace, 'error', args),
+    isEnabled: (level = 'debug') =>
+      LOG_LEVELS[level] >= config.level && isNamespaceEnabled(namespace),
+  };
+}
+
+/**
+ * Switch logging on and remember it for later page loads
+ */
+export function enableLogging(namespaces = '*', level = 'debug') {
+  setNamespaces(namespaces);
+  config.level = LOG_LEVELS[level] || LOG_LEVELS.debug;
+
+  try {
+    localStorage.setItem(STORAGE_KEYS.debug, namespaces);
+    localStorage.setItem(STORAGE_KEYS.level, level);
+  } catch (error) {
+    // Still enabled for this page load
+  }
+}
+
+/**
+ * Switch logging off and forget the saved settings
+ */
+export function disableLogging() {
+  config.include = [];
+  config.exclude = [];
+  config.level = LOG_LEVELS.silent;
+
+  try {
+    localStorage.removeItem(STORAGE_KEYS.debug);
+    localStorage.removeItem(STORAGE_KEYS.level);
+  } catch (error) {
+    // Nothing saved
+  }
+}
+
+/**
+ * Start or resize the ring buffer (0 turns it off)
+ */
+export function setBufferSize(size = DEFAULT_BUFFER_SIZE) {
+  config.bufferSize = Math.max(0, size);
+
+  if (buffer.length > config.bufferSize) {
+    buffer.splice(0, buffer.length - config.bufferSize);
+  }
+}
+
+/**
+ * Get buffered entries, oldest first
+ */
+export function getLogEntries() {
+  return buffer.slice();
+}
+
+/**
+ * Buffered entries plus page details, ready to paste into a bug report
+ */
+export function exportLogs() {
+  return JSON.stringify(
+    {
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      exportedAt: new Date().toISOString(),
+      entries: getLogEntries(),
+    },
+    null,
+    2,
+  );
+}
+
+configureFromEnvironment();
+
+// Console access for debugging on live sites
+window.themeLogger = {
+  enable: enableLogging,
+  disable: disableLogging,
+  setBufferSize,
+  getEntries: getLogEntries,
+  export: exportLogs,
+};
@@ -0,0 +1,114 @@
+/**
+ * Masonry Card
+ * Builds a .masonry-card for a Content API post, matching the cards
+ * partials/sections/masonry-grid.hbs renders. Used by category tabs for
+ * loaded pages and by the masonry grid for curated posts.
+ */
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Relative date, e.g. "3 days ago"
+ */
+function timeAgo(dateString) {
+  const date = new Date(dateString);
+  const now = new Date();
+  const seconds = Math.floor((now - date) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)} days ago`;
+  if (seconds < 2592000) return `${Math.floor(seconds / 604800)} weeks ago`;
+  if (seconds < 31536000)
+    return `${Math.floor(seconds / 2592000)} months ago`;
+  return `${Math.floor(seconds / 31536000)} years ago`;
+}
+
+/**
+ * Card element for a post (include authors and tags when fetching)
+ */
+export function buildMasonryCard(post) {
+  const article = document.createElement('article');
+  const tags = (post.tags || []).map((tag) => tag.slug).join(' ');
+  article.className = 'masonry-card';
+  article.setAttribute('data-post-id', post.id);
+  article.setAttribute('data-post-slug', post.slug);
+  article.setAttribute('data-tags', tags);
+  article.setAttribute(
+    'data-internal-tags',
+    (post.tags || [])
+      .filter((tag) => tag.visibility === 'internal')
+      .map((tag) => tag.slug)
+      .join(' '),
+  );
+  if (post.primary_tag) {
+    article.setAttribute('data-category', post.primary_tag.slug);
+  }
+  if (post.featured) {
+    article.setAttribute('data-masonry-span', '2');
+  }
+
+  let html = '';
+
+  // Add image if exists
+  if (post.feature_image) {
+    html += `
+				<div class="masonry-image">
+					<img src="${post.feature_image}" alt="${escapeHtml(post.title)}" loading="lazy">
+				</div>
+			`;
+  }
+
+  // Add content
+  html += `
+			<div class="masonry-content">
+				<h3 class="masonry-title">
+					<a href="${post.url}">${escapeHtml(post.title)}</a>
+				</h3>
+				<div class="masonry-excerpt">${post.excerpt || ''}</div>
+				<div class="masonry-meta">
+		`;
+
+  // Add author
+  if (post.primary_author) {
+    html += `
+				<a class="avatar wiggle" href="${post.primary_author.url}">
+					<img src="${post.primary_author.profile_image}"
+						 alt="${escapeHtml(post.primary_author.name)}'s Avatar"
+						 width="40" height="40" loading="lazy">
+				</a>
+				&middot;
+			`;
+  }
+
+  // Add date
+  html += `
+			<time datetime="${post.published_at}">
+				${timeAgo(post.published_at)}
+			</time>
+			<span class="like-count" data-like-count hidden></span>
+			&middot;
+		`;
+
+  // Add tag
+  if (post.primary_tag) {
+    html += `<span class="masonry-tag">${escapeHtml(post.primary_tag.name)}</span>`;
+  }
+
+  html += `
+				</div>
+			</div>
+			<a href="${post.url}" class="masonry-link" aria-label="Read ${escapeHtml(post.title)}"></a>
+		`;
+
+  article.innerHTML = html;
+  return article;
+}
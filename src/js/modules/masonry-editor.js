@@ -0,0 +1,441 @@
+/**
+ * Masonry Editor Module
+ * Lets staff hand-order the home grid without touching publish dates.
+ *
+ * Open the home page with ?curate while signed in to Ghost admin on the
+ * same domain. Drag cards into place, or focus a card, press Space to pick
+ * it up, move it with the arrow keys (Home/End for first/last) and press
+ * Space again to drop it; Escape puts it back.
+ *
+ * The order is exported two ways, and MasonryGrid applies either on load:
+ * - JSON: paste the slug list into the Masonry order theme setting
+ * - Tags: add internal tags #pin-1, #pin-2, ... to the posts in Ghost admin
+ */
+
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('masonry-editor');
+
+// Only answers for a signed-in staff user
+const STAFF_URL = '/ghost/api/admin/users/me/?fields=id';
+
+/**
+ * Whether a Ghost admin session is active for this site
+ */
+export async function isStaffSession() {
+  try {
+    const response = await fetch(STAFF_URL, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' },
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create an element with a class and text
+ */
+function createElement(tag, className, text = '') {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+export class MasonryEditor extends ThemeModule {
+  constructor(masonry) {
+    super('masonry-editor');
+    this.masonry = masonry;
+    this.grid = masonry.grid;
+    this.panel = null;
+    this.output = null;
+    this.status = null;
+    this.initialOrder = [];
+    this.dragged = null;
+    this.dropTarget = null;
+    this.grabbed = null;
+    this.grabbedFrom = -1;
+    this.isActive = false;
+
+    this.init();
+  }
+
+  async init() {
+    if (!(await isStaffSession())) {
+      log.warn('Curate mode needs a Ghost admin session on this domain');
+      return;
+    }
+
+    if (this.isDestroyed) return;
+
+    this.isActive = true;
+    this.initialOrder = this.getCards();
+    this.grid.classList.add('is-curating');
+    this.prepareCards();
+    this.renderPanel();
+    this.bindEvents();
+    this.showExport('json');
+
+    this.onDestroy(() => this.deactivate());
+
+    log.info('✋ Curate mode on');
+  }
+
+  /**
+   * Cards in their current order
+   */
+  getCards() {
+    return Array.from(this.grid.querySelectorAll('.masonry-card'));
+  }
+
+  /**
+   * Post slugs in their current order
+   */
+  getOrder() {
+    return this.getCards()
+      .map((card) => card.dataset.postSlug)
+      .filter(Boolean);
+  }
+
+  /**
+   * Title for announcements (unloaded cards fall back to the slug)
+   */
+  getCardTitle(card) {
+    const title = card.querySelector('.masonry-title');
+    return title ? title.textContent.trim() : card.dataset.postSlug || 'Card';
+  }
+
+  /**
+   * Make cards draggable and focusable, including ones added later
+   */
+  prepareCards() {
+    this.getCards().forEach((card) => {
+      if (card.hasAttribute('data-curate')) return;
+
+      card.setAttribute('data-curate', '');
+      card.setAttribute('draggable', 'true');
+      card.setAttribute('tabindex', '0');
+      card.setAttribute('aria-roledescription', 'sortable card');
+      card.setAttribute('aria-describedby', 'masonry-editor-hint');
+    });
+  }
+
+  /**
+   * Floating panel with instructions and export
+   */
+  renderPanel() {
+    this.panel = createElement('aside', 'masonry-editor');
+    this.panel.setAttribute('aria-label', 'Curate grid order');
+
+    const hint = createElement(
+      'p',
+      'masonry-editor-hint',
+      'Drag cards into place, or focus one, press Space and use the arrow keys.',
+    );
+    hint.id = 'masonry-editor-hint';
+
+    const actions = createElement('div', 'masonry-editor-actions');
+    [
+      ['json', 'Copy JSON'],
+      ['tags', 'Copy pin tags'],
+      ['reset', 'Reset'],
+      ['done', 'Done'],
+    ].forEach(([action, label]) => {
+      const button = createElement('button', 'masonry-editor-btn', label);
+      button.type = 'button';
+      button.setAttribute('data-editor-action', action);
+      actions.appendChild(button);
+    });
+
+    this.output = createElement('textarea', 'masonry-editor-output');
+    this.output.readOnly = true;
+    this.output.rows = 4;
+    this.output.setAttribute('aria-label', 'Exported order');
+
+    this.status = createElement('p', 'masonry-editor-status');
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+
+    this.panel.append(
+      createElement('p', 'masonry-editor-title', 'Curating this grid'),
+      hint,
+      actions,
+      this.output,
+      this.status,
+    );
+
+    document.body.appendChild(this.panel);
+  }
+
+  bindEvents() {
+    // Clicks pick cards up instead of opening them
+    this.listen(
+      this.grid,
+      'click',
+      (e) => {
+        if (e.target.closest('.masonry-card')) {
+          e.preventDefault();
+          e.stopPropagation();
+        }
+      },
+      true,
+    );
+
+    this.listen(this.grid, 'dragstart', (e) => this.handleDragStart(e));
+    this.listen(this.grid, 'dragover', (e) => this.handleDragOver(e));
+    this.listen(this.grid, 'drop', (e) => this.handleDrop(e));
+    this.listen(this.grid, 'dragend', () => this.clearDrag());
+    this.listen(this.grid, 'keydown', (e) => this.handleKeydown(e));
+
+    this.listen(this.panel, 'click', (e) => {
+      const button = e.target.closest('[data-editor-action]');
+      if (button) this.handleAction(button.dataset.editorAction);
+    });
+
+    // Cards from load more and category tabs
+    this.listen(document, 'newPostsLoaded', () => this.prepareCards());
+    this.listen(window, 'masonryAppend', () => this.prepareCards());
+    this.listen(window, 'masonryReset', () => this.prepareCards());
+  }
+
+  handleDragStart(e) {
+    const card = e.target.closest('.masonry-card');
+    if (!card) return;
+
+    this.dragged = card;
+    card.classList.add('is-dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', card.dataset.postSlug || '');
+  }
+
+  handleDragOver(e) {
+    const card = e.target.closest('.masonry-card');
+    if (!this.dragged || !card || card === this.dragged) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    // Upper half drops before the card, lower half after it
+    const rect = card.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+
+    if (this.dropTarget && this.dropTarget !== card) {
+      this.dropTarget.classList.remove('drop-before', 'drop-after');
+    }
+
+    this.dropTarget = card;
+    card.classList.toggle('drop-before', !after);
+    card.classList.toggle('drop-after', after);
+  }
+
+  handleDrop(e) {
+    const target = this.dropTarget;
+    const card = this.dragged;
+    if (!card || !target) return;
+
+    e.preventDefault();
+
+    const cards = this.getCards();
+    let index = cards.indexOf(target);
+    if (target.classList.contains('drop-after')) index += 1;
+    if (cards.indexOf(card) < index) index -= 1;
+
+    this.clearDrag();
+    this.moveCard(card, index);
+  }
+
+  clearDrag() {
+    if (this.dragged) {
+      this.dragged.classList.remove('is-dragging');
+    }
+    if (this.dropTarget) {
+      this.dropTarget.classList.remove('drop-before', 'drop-after');
+    }
+
+    this.dragged = null;
+    this.dropTarget = null;
+  }
+
+  /**
+   * Space/Enter picks up and drops, arrows move, Escape cancels
+   */
+  handleKeydown(e) {
+    const card = e.target;
+    if (!card.classList || !card.classList.contains('masonry-card')) return;
+
+    const cards = this.getCards();
+    const index = cards.indexOf(card);
+
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      if (this.grabbed === card) {
+        this.release(`Dropped ${this.getCardTitle(card)}.`);
+      } else {
+        this.grab(card, index);
+      }
+      return;
+    }
+
+    if (this.grabbed !== card) return;
+
+    const moves = {
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: cards.length - 1,
+    };
+
+    if (e.key in moves) {
+      e.preventDefault();
+      this.moveCard(card, moves[e.key]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.moveCard(card, this.grabbedFrom);
+      this.release(`Cancelled. ${this.getCardTitle(card)} is back in place.`);
+    }
+  }
+
+  grab(card, index) {
+    if (this.grabbed) {
+      this.grabbed.classList.remove('is-grabbed');
+    }
+
+    this.grabbed = card;
+    this.grabbedFrom = index;
+    card.classList.add('is-grabbed');
+    card.setAttribute('aria-pressed', 'true');
+
+    this.announce(
+      `Picked up ${this.getCardTitle(card)}. Use the arrow keys to move it, Space to drop, Escape to cancel.`,
+    );
+  }
+
+  release(message) {
+    if (!this.grabbed) return;
+
+    this.grabbed.classList.remove('is-grabbed');
+    this.grabbed.removeAttribute('aria-pressed');
+    this.grabbed = null;
+    this.grabbedFrom = -1;
+    this.announce(message);
+  }
+
+  /**
+   * Move a card to a position and lay the grid out again
+   */
+  moveCard(card, index) {
+    const others = this.getCards().filter((other) => other !== card);
+    const position = Math.max(0, Math.min(index, others.length));
+
+    if (position < others.length) {
+      this.grid.insertBefore(card, others[position]);
+    } else if (others.length > 0) {
+      others[others.length - 1].after(card);
+    }
+
+    this.applyOrder();
+    card.focus();
+
+    this.announce(
+      `${this.getCardTitle(card)} moved to position ${position + 1} of ${others.length + 1}.`,
+    );
+  }
+
+  /**
+   * Keep the new order through category resets and re-layout
+   */
+  applyOrder() {
+    this.grid.dataset.masonryOrder = JSON.stringify(this.getOrder());
+    this.masonry.layoutMasonry();
+    this.showExport(this.output.dataset.format || 'json');
+  }
+
+  handleAction(action) {
+    if (action === 'json' || action === 'tags') {
+      this.showExport(action);
+      this.copyExport();
+    } else if (action === 'reset') {
+      const fragment = document.createDocumentFragment();
+      this.initialOrder
+        .filter((card) => card.parentNode === this.grid)
+        .forEach((card) => fragment.appendChild(card));
+      this.grid.appendChild(fragment);
+      this.applyOrder();
+      this.announce('Order reset.');
+    } else if (action === 'done') {
+      const url = new URL(window.location.href);
+      url.searchParams.delete('curate');
+      window.location.href = url.toString();
+    }
+  }
+
+  /**
+   * Fill the output with the order as JSON or as pin tags
+   */
+  showExport(format) {
+    const order = this.getOrder();
+
+    this.output.dataset.format = format;
+    this.output.value =
+      format === 'tags'
+        ? order.map((slug, index) => `#pin-${index + 1}\t${slug}`).join('\n')
+        : JSON.stringify(order);
+  }
+
+  async copyExport() {
+    try {
+      await navigator.clipboard.writeText(this.output.value);
+      this.announce(
+        this.output.dataset.format === 'tags'
+          ? 'Copied. Add each internal tag to its post in Ghost admin.'
+          : 'Copied. Paste it into the Masonry order theme setting.',
+      );
+    } catch (error) {
+      this.output.select();
+      this.announce('Press Ctrl+C (or Cmd+C) to copy.');
+    }
+  }
+
+  announce(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+
+  /**
+   * Leave the grid as it was before curate mode
+   */
+  deactivate() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this.grid.classList.remove('is-curating');
+    this.getCards().forEach((card) => {
+      card.removeAttribute('data-curate');
+      card.removeAttribute('draggable');
+      card.removeAttribute('tabindex');
+      card.removeAttribute('aria-roledescription');
+      card.removeAttribute('aria-describedby');
+      card.removeAttribute('aria-pressed');
+      card.classList.remove('is-grabbed', 'is-dragging');
+    });
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      isActive: this.isActive,
+      order: this.isActive ? this.getOrder() : [],
+    };
+  }
+}
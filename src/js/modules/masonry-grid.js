@@ -1,20 +1,77 @@
 /**
- * True Masonry Grid Module - 2 Columns
- * Handles true masonry layout with dynamic card positioning
+ * True Masonry Grid Module
+ * Handles true masonry layout with dynamic card positioning.
+ * Columns, gaps and placement strategy are configured on the grid
+ * (see masonry-layout.js).
  */
 
-import { debounce, isInViewport } from './theme';
+import { debounce, isInViewport, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+import { getContentApi } from './content-api';
+import { buildMasonryCard } from './masonry-card';
+import {
+  DEFAULT_SETTINGS,
+  createLayoutState,
+  getCuratedRank,
+  normalizeStrategy,
+  parseBreakpoints,
+  parseOrder,
+  placeItems,
+  resolveBreakpoint,
+  supportsCssMasonry,
+} from './masonry-layout';
+import { FeedVirtualizer } from './virtual-feed';
 
-export class MasonryGrid {
+/**
+ * Whether the page was opened with ?curate (editor mode)
+ */
+function isCurateRequested() {
+  return new URLSearchParams(window.location.search).has('curate');
+}
+
+const log = createLogger('masonry-grid');
+
+// Pin tags looked up when the pinned post isn't among the rendered cards
+const MAX_PINS = 30;
+
+export class MasonryGrid extends ThemeModule {
   constructor() {
+    super('masonry-grid');
     this.grid = document.querySelector('.masonry-grid');
     this.cards = null; // Don't cache cards initially
     this.observer = null;
     this.columns = [];
     this.columnCount = 2;
     this.gap = 24;
+    this.settings = null;
+    this.strategy = DEFAULT_SETTINGS.strategy;
     this.isLayouting = false;
 
+    // Placement of each positioned card, in layout order
+    this.layoutState = null;
+    this.placements = [];
+    this.placementByCard = new Map();
+    this.gridWidth = 0;
+
+    // Card height changes are batched into one reflow per frame
+    this.resizeObserver = null;
+    this.reflowFrame = null;
+    this.reflowFrom = null;
+
+    // Unloads far-off cards when the grid has data-virtualize
+    this.virtualizer = null;
+
+    // Drag-to-reorder for staff, opened with ?curate
+    this.editor = null;
+
+    // Only the home grid (data-masonry-order) is curated. Curated posts are
+    // fetched because it only renders the newest page, and only belong in
+    // the unfiltered "All" view
+    this.isCurated = false;
+    this.curatedCards = [];
+    this.isCuratedView = false;
+
     this.init();
   }
 
@@ -23,22 +80,164 @@ export class MasonryGrid {
    */
   init() {
     if (!this.grid) {
-      console.warn('Masonry grid not found');
+      log.warn('Masonry grid not found');
       return;
     }
 
+    this.isCurated = this.grid.hasAttribute('data-masonry-order');
+    this.isCuratedView = this.isCurated;
+    if (this.isCurated) {
+      this.applyCuratedOrder();
+      this.loadCuratedPosts();
+    }
     this.refreshCards(); // Get cards dynamically
+    this.readSettings();
     this.calculateColumns();
     this.bindEvents();
     this.setupIntersectionObserver();
+    this.setupResizeObserver();
 
     // Wait for images to load, then layout
     this.waitForImages().then(() => {
       this.layoutMasonry();
+      this.setupVirtualizer();
+      this.setupEditor();
       this.handleInitialLayout();
     });
 
-    console.log('🧱 True Masonry Grid initialized (2 columns)');
+    log.info(
+      `🧱 True Masonry Grid initialized (${this.columnCount} columns, ${this.strategy})`,
+    );
+  }
+
+  /**
+   * Read columns, gaps and strategy from the grid's data attributes
+   */
+  readSettings() {
+    const { masonryColumns, masonryGap, masonryStrategy } = this.grid.dataset;
+
+    const columns = parseBreakpoints(masonryColumns);
+    const gap = parseBreakpoints(masonryGap);
+
+    this.settings = {
+      columns: columns.length
+        ? columns
+        : parseBreakpoints(DEFAULT_SETTINGS.columns),
+      gap: gap.length ? gap : parseBreakpoints(DEFAULT_SETTINGS.gap),
+    };
+
+    this.strategy = normalizeStrategy(masonryStrategy);
+
+    // Native masonry is only used where the browser has it
+    if (this.strategy === 'grid' && !supportsCssMasonry()) {
+      log.debug('CSS grid masonry not supported, using shortest column');
+      this.strategy = DEFAULT_SETTINGS.strategy;
+    }
+  }
+
+  /**
+   * Move curated cards (data-masonry-order, #pin-N tags) to the front
+   */
+  applyCuratedOrder() {
+    const order = parseOrder(this.grid.dataset.masonryOrder);
+    const slugs = this.getCardSlugs();
+
+    // Category tabs rebuild the grid without the fetched cards
+    this.curatedCards.forEach((card) => {
+      if (card.parentNode !== this.grid && !slugs.has(card.dataset.postSlug)) {
+        this.grid.appendChild(card);
+      }
+    });
+
+    const cards = Array.from(this.grid.querySelectorAll('.masonry-card'));
+
+    const ranked = cards.map((card, index) => ({
+      card,
+      index,
+      rank: getCuratedRank(
+        card.dataset.postSlug,
+        (card.dataset.internalTags || '').split(' '),
+        order,
+      ),
+    }));
+
+    if (ranked.every(({ rank }) => rank === null)) return;
+
+    ranked.sort((a, b) => {
+      if (a.rank !== null && b.rank !== null) return a.rank - b.rank;
+      if (a.rank !== null) return -1;
+      if (b.rank !== null) return 1;
+      return a.index - b.index;
+    });
+
+    // Cards go back after anything else in the grid, in their new order
+    const fragment = document.createDocumentFragment();
+    ranked.forEach(({ card }) => fragment.appendChild(card));
+    this.grid.appendChild(fragment);
+
+    log.debug(`📌 Applied curated order to ${cards.length} cards`);
+  }
+
+  /**
+   * Slugs of the posts in the grid
+   */
+  getCardSlugs() {
+    return new Set(
+      Array.from(
+        this.grid.querySelectorAll('.masonry-card'),
+        (card) => card.dataset.postSlug,
+      ),
+    );
+  }
+
+  /**
+   * Fetch curated posts the grid didn't render (it only has the newest
+   * page) and reset the grid so they go to the front
+   */
+  async loadCuratedPosts() {
+    const api = getContentApi();
+    if (!api.isConfigured()) return;
+
+    const order = parseOrder(this.grid.dataset.masonryOrder);
+    const shown = this.getCardSlugs();
+    const slugs = order.filter(
+      (slug) => !shown.has(slug) && /^[\w-]+$/.test(slug),
+    );
+    const pins = Array.from(
+      { length: MAX_PINS },
+      (_, index) => `hash-pin-${index + 1}`,
+    );
+    const filters = [`tag:[${pins.join(',')}]`];
+    if (slugs.length > 0) {
+      filters.push(`slug:[${slugs.join(',')}]`);
+    }
+
+    try {
+      const { posts = [] } = await api.posts({
+        filter: filters.join(','),
+        include: ['authors', 'tags'],
+        limit: slugs.length + MAX_PINS,
+      });
+      if (this.isDestroyed) return;
+
+      const current = this.getCardSlugs();
+      this.curatedCards = posts
+        .filter((post) => !current.has(post.slug))
+        .map((post) => buildMasonryCard(post));
+
+      if (this.curatedCards.length === 0 || !this.isCuratedView) return;
+
+      // Post actions and the editor pick up the new cards too
+      window.dispatchEvent(
+        new CustomEvent('masonryReset', {
+          detail: { grid: this.grid, view: 'all' },
+        }),
+      );
+
+      log.debug(`📌 Loaded ${this.curatedCards.length} curated posts`);
+    } catch (error) {
+      log.warn('Could not load curated posts:', error);
+    }
   }
 
   /**
@@ -46,15 +245,24 @@ export class MasonryGrid {
    */
   refreshCards() {
     this.cards = this.grid.querySelectorAll('.masonry-card');
-    console.log(`📦 Found ${this.cards.length} cards in grid`);
+    log.debug(`📦 Found ${this.cards.length} cards in grid`);
     return this.cards;
   }
 
   /**
-   * Reset and re-layout masonry grid (called by category tabs)
+   * Reset and re-layout masonry grid (called by category tabs, whose
+   * masonryReset events say which view the grid shows)
    */
-  reset() {
-    console.log('🔄 Resetting masonry layout...');
+  reset(detail = null) {
+    log.debug('🔄 Resetting masonry layout...');
+
+    // The curated order only applies to the unfiltered "All" view
+    if (detail && detail.view) {
+      this.isCuratedView = this.isCurated && detail.view === 'all';
+    }
+    if (this.isCuratedView) {
+      this.applyCuratedOrder();
+    }
 
     // Get fresh cards from DOM
     this.refreshCards();
@@ -66,12 +274,21 @@ export class MasonryGrid {
       card.style.left = '';
       card.style.width = '';
       card.style.transform = '';
+      card.style.gridColumn = '';
       card.classList.remove('positioned');
     });
 
     // Reset grid height
     this.grid.style.height = '';
 
+    // Forget old placements until the next full layout
+    this.layoutState = null;
+    this.placements = [];
+    this.placementByCard.clear();
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+
     // Disconnect existing observer
     if (this.observer) {
       this.observer.disconnect();
@@ -87,11 +304,13 @@ export class MasonryGrid {
   }
 
   /**
-   * Wait for all images in cards to load
+   * Wait for all images in cards (or the whole grid) to load
    */
-  waitForImages() {
-    const images = this.grid.querySelectorAll('img');
-    const imagePromises = Array.from(images).map((img) => {
+  waitForImages(cards = null) {
+    const images = cards
+      ? cards.flatMap((card) => Array.from(card.querySelectorAll('img')))
+      : Array.from(this.grid.querySelectorAll('img'));
+    const imagePromises = images.map((img) => {
       return new Promise((resolve) => {
         if (img.complete) {
           resolve();
@@ -106,25 +325,49 @@ export class MasonryGrid {
   }
 
   /**
-   * Calculate number of columns based on screen size
+   * Calculate number of columns and gap for the current screen size
    */
   calculateColumns() {
     const screenWidth = window.innerWidth;
 
-    if (screenWidth <= 767) {
-      this.columnCount = 1;
-      this.gap = 16;
-    } else {
-      this.columnCount = 2;
-      this.gap = 24;
-    }
+    this.columnCount = Math.max(
+      1,
+      Math.round(resolveBreakpoint(this.settings.columns, screenWidth, 1)),
+    );
+    this.gap = resolveBreakpoint(this.settings.gap, screenWidth, 0);
+
+    // One column, or a list/compact/magazine view, keeps cards in normal flow
+    const isFlow = this.isFlowLayout();
+    this.grid.classList.toggle('is-stacked', isFlow);
+    this.grid.classList.toggle(
+      'is-css-masonry',
+      this.strategy === 'grid' && !isFlow,
+    );
+    this.grid.style.setProperty('--masonry-columns', this.columnCount);
+    this.grid.style.setProperty('--masonry-gap', `${this.gap}px`);
 
     // Initialize column heights
     this.columns = new Array(this.columnCount).fill(0);
   }
 
   /**
-   * Main masonry layout function
+   * Whether cards are left in normal flow instead of positioned
+   */
+  isFlowLayout() {
+    const view = this.grid.dataset.view || 'masonry';
+    return this.columnCount === 1 || view !== 'masonry';
+  }
+
+  /**
+   * Columns a card covers (featured cards may span several)
+   */
+  getCardSpan(card) {
+    const span = parseInt(card.dataset.masonrySpan, 10) || 1;
+    return Math.min(Math.max(span, 1), this.columnCount);
+  }
+
+  /**
+   * Main masonry layout function - measures and positions every card
    */
   layoutMasonry() {
     if (this.isLayouting) return;
@@ -132,61 +375,185 @@ export class MasonryGrid {
 
     // Refresh cards in case they changed
     this.refreshCards();
+    const cards = Array.from(this.cards);
 
-    // Reset column heights
-    this.columns = new Array(this.columnCount).fill(0);
+    // Unloaded cards have to be measured with their contents
+    if (this.virtualizer) {
+      this.virtualizer.attachAll();
+    }
 
-    // Calculate card width
-    const containerWidth = this.grid.offsetWidth;
-    const cardWidth =
-      (containerWidth - this.gap * (this.columnCount - 1)) / this.columnCount;
+    this.layoutState = createLayoutState(this.columnCount);
+    this.placements = [];
+    this.placementByCard.clear();
+    this.gridWidth = this.grid.offsetWidth;
 
-    // Position each card
-    this.cards.forEach((card, index) => {
-      this.positionCard(card, cardWidth, index);
-    });
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
 
-    // Set grid container height
-    const maxColumnHeight = Math.max(...this.columns);
-    this.grid.style.height = `${maxColumnHeight}px`;
+    if (this.isFlowLayout()) {
+      this.layoutStacked(cards);
+      this.grid.style.height = '';
+    } else if (this.strategy === 'grid') {
+      this.layoutCssGrid(cards);
+      this.grid.style.height = '';
+    } else {
+      this.placeCards(cards);
+    }
+
+    if (this.virtualizer) {
+      this.virtualizer.refresh();
+    }
 
     this.isLayouting = false;
-    console.log('✅ Masonry layout complete');
+    log.debug('✅ Masonry layout complete');
+  }
+
+  /**
+   * Lay out cards added after the last layout, below the existing ones
+   */
+  append(cards) {
+    if (!this.grid) return;
+
+    // A fetched curated card already shows the post at the top
+    const curated = new Set(
+      this.curatedCards
+        .filter((card) => card.parentNode === this.grid)
+        .map((card) => card.dataset.postSlug),
+    );
+    Array.from(cards).forEach((card) => {
+      if (curated.has(card.dataset.postSlug)) card.remove();
+    });
+
+    const newCards = Array.from(cards).filter(
+      (card) =>
+        card.parentNode === this.grid && !this.placementByCard.has(card),
+    );
+    if (newCards.length === 0) return;
+
+    this.refreshCards();
+
+    if (this.observer) {
+      newCards.forEach((card) => this.observer.observe(card));
+    }
+
+    // Without per-card resize events, measure once images are in
+    if (!this.resizeObserver || !this.layoutState) {
+      this.waitForImages(newCards).then(() => this.layoutMasonry());
+      return;
+    }
+
+    if (this.isFlowLayout()) {
+      this.layoutStacked(newCards);
+    } else if (this.strategy === 'grid') {
+      this.layoutCssGrid(newCards);
+    } else {
+      this.placeCards(newCards);
+    }
+
+    if (this.virtualizer) {
+      this.virtualizer.observeItems(newCards);
+    }
+
+    log.debug(`➕ Appended ${newCards.length} cards`);
   }
 
   /**
-   * Position individual card in the shortest column
+   * Single column: cards stack in normal flow
    */
-  positionCard(card, cardWidth, index) {
-    // Skip positioning on mobile (cards stack naturally)
-    if (window.innerWidth <= 767) {
+  layoutStacked(cards) {
+    cards.forEach((card) => {
       card.style.position = '';
       card.style.top = '';
       card.style.left = '';
       card.style.width = '';
+      card.style.gridColumn = '';
       card.classList.add('positioned');
-      return;
-    }
+    });
+  }
 
-    // Find shortest column
-    const shortestColumnIndex = this.columns.indexOf(Math.min(...this.columns));
-    const shortestColumnHeight = this.columns[shortestColumnIndex];
+  /**
+   * Native grid-template-rows: masonry, spans set per card
+   */
+  layoutCssGrid(cards) {
+    cards.forEach((card) => {
+      const span = this.getCardSpan(card);
 
-    // Calculate position
-    const left = shortestColumnIndex * (cardWidth + this.gap);
-    const top = shortestColumnHeight;
+      card.style.position = '';
+      card.style.top = '';
+      card.style.left = '';
+      card.style.width = '';
+      card.style.gridColumn = span > 1 ? `span ${span}` : '';
+      card.classList.add('positioned');
+    });
+  }
 
-    // Apply positioning
-    card.style.position = 'absolute';
-    card.style.left = `${left}px`;
-    card.style.top = `${top}px`;
-    card.style.width = `${cardWidth}px`;
+  /**
+   * Width of one column at the current layout
+   */
+  getColumnWidth() {
+    return (
+      (this.gridWidth - this.gap * (this.columnCount - 1)) / this.columnCount
+    );
+  }
+
+  /**
+   * Measure and absolutely position cards after those already placed
+   */
+  placeCards(cards) {
+    const columnWidth = this.getColumnWidth();
+    const spans = cards.map((card) => this.getCardSpan(card));
+
+    // Write all widths, then read all heights in a single layout pass
+    cards.forEach((card, index) => {
+      card.style.position = 'absolute';
+      card.style.gridColumn = '';
+      card.style.width = `${
+        columnWidth * spans[index] + this.gap * (spans[index] - 1)
+      }px`;
+    });
+
+    const items = cards.map((card, index) => ({
+      span: spans[index],
+      height: card.offsetHeight,
+    }));
+
+    const { positions, height } = placeItems(items, {
+      columns: this.columnCount,
+      gap: this.gap,
+      strategy: this.strategy,
+      state: this.layoutState,
+    });
 
-    // Get card height
-    const cardHeight = card.offsetHeight;
+    cards.forEach((card, index) => {
+      const placement = {
+        card,
+        index: this.placements.length,
+        ...items[index],
+        ...positions[index],
+      };
 
-    // Update column height
-    this.columns[shortestColumnIndex] += cardHeight + this.gap;
+      this.placements.push(placement);
+      this.placementByCard.set(card, placement);
+      this.positionCard(card, placement, columnWidth, index);
+
+      if (this.resizeObserver) {
+        this.resizeObserver.observe(card);
+      }
+    });
+
+    this.columns = this.layoutState.heights;
+
+    // Set grid container height
+    this.grid.style.height = `${height}px`;
+  }
+
+  /**
+   * Place a card at its column and offset
+   */
+  positionCard(card, { column, top }, columnWidth, index) {
+    card.style.left = `${column * (columnWidth + this.gap)}px`;
+    card.style.top = `${top}px`;
 
     // Add entrance animation with stagger
     setTimeout(() => {
@@ -194,12 +561,152 @@ export class MasonryGrid {
     }, index * 5);
   }
 
+  /**
+   * Load the reorder editor when staff open the page with ?curate
+   */
+  async setupEditor() {
+    if (this.editor || !isCurateRequested()) return;
+
+    try {
+      const { MasonryEditor } = await import('./masonry-editor');
+      if (this.isDestroyed) return;
+
+      this.editor = new MasonryEditor(this);
+      this.onDestroy(() => {
+        this.editor.destroy();
+        this.editor = null;
+      });
+    } catch (error) {
+      log.error('Could not load the masonry editor:', error);
+    }
+  }
+
+  /**
+   * Opt-in virtualization for very long grids
+   */
+  setupVirtualizer() {
+    if (
+      this.virtualizer ||
+      this.isDestroyed ||
+      !this.grid.hasAttribute('data-virtualize') ||
+      !('IntersectionObserver' in window)
+    ) {
+      return;
+    }
+
+    this.virtualizer = new FeedVirtualizer(this.grid, {
+      itemSelector: '.masonry-card',
+      margin: FeedVirtualizer.parseMargin(this.grid.dataset.virtualize),
+    });
+
+    this.onDestroy(() => {
+      this.virtualizer.destroy();
+      this.virtualizer = null;
+    });
+
+    log.debug('🪟 Masonry virtualization enabled');
+  }
+
+  /**
+   * Watch each positioned card for height changes (late images, embeds)
+   */
+  setupResizeObserver() {
+    if (!('ResizeObserver' in window)) {
+      return;
+    }
+
+    this.resizeObserver = this.observe(
+      new ResizeObserver((entries) => this.handleCardResize(entries)),
+    );
+
+    this.onDestroy(() => cancelAnimationFrame(this.reflowFrame));
+  }
+
+  /**
+   * Reflow from the first card whose height changed
+   */
+  handleCardResize(entries) {
+    let from = Infinity;
+
+    entries.forEach((entry) => {
+      const placement = this.placementByCard.get(entry.target);
+      if (!placement) return;
+
+      const box = entry.borderBoxSize && entry.borderBoxSize[0];
+      const height = box ? box.blockSize : entry.target.offsetHeight;
+
+      if (Math.abs(height - placement.height) < 1) return;
+
+      placement.height = height;
+      from = Math.min(from, placement.index);
+    });
+
+    if (from !== Infinity) {
+      this.scheduleReflow(from);
+    }
+  }
+
+  /**
+   * Batch reflows into the next animation frame
+   */
+  scheduleReflow(from) {
+    this.reflowFrom =
+      this.reflowFrom === null ? from : Math.min(this.reflowFrom, from);
+
+    if (this.reflowFrame) return;
+
+    this.reflowFrame = requestAnimationFrame(() => {
+      const start = this.reflowFrom;
+      this.reflowFrame = null;
+      this.reflowFrom = null;
+      this.reflow(start);
+    });
+  }
+
+  /**
+   * Move cards from an index on using their recorded heights (no measuring)
+   */
+  reflow(from) {
+    if (!this.layoutState || this.placements.length === 0) return;
+
+    const options = {
+      columns: this.columnCount,
+      gap: this.gap,
+      strategy: this.strategy,
+      state: createLayoutState(this.columnCount),
+    };
+    const toItem = ({ span, height }) => ({ span, height });
+
+    // Replay the unchanged cards to get the column heights above "from"
+    placeItems(this.placements.slice(0, from).map(toItem), options);
+
+    const moved = this.placements.slice(from);
+    const { positions, height } = placeItems(moved.map(toItem), options);
+    const columnWidth = this.getColumnWidth();
+
+    moved.forEach((placement, index) => {
+      const { column, top } = positions[index];
+      if (column === placement.column && top === placement.top) return;
+
+      placement.column = column;
+      placement.top = top;
+      placement.card.style.left = `${column * (columnWidth + this.gap)}px`;
+      placement.card.style.top = `${top}px`;
+    });
+
+    this.layoutState = options.state;
+    this.columns = this.layoutState.heights;
+    this.grid.style.height = `${height}px`;
+
+    log.debug(`↕️ Reflowed ${moved.length} cards`);
+  }
+
   /**
    * Bind event listeners
    */
   bindEvents() {
     // Card click handlers
-    this.grid.addEventListener('click', (e) => {
+    this.listen(this.grid, 'click', (e) => {
       const card = e.target.closest('.masonry-card');
       if (card) {
         this.handleCardClick(e);
@@ -207,7 +714,8 @@ export class MasonryGrid {
     });
 
     // Window resize handler with debounce
-    window.addEventListener(
+    this.listen(
+      window,
       'resize',
       debounce(() => {
         this.handleResize();
@@ -215,18 +723,31 @@ export class MasonryGrid {
     );
 
     // Custom masonry reset event (from category tabs)
-    window.addEventListener('masonryReset', () => {
-      console.log('📡 Received masonryReset event');
-      this.reset();
+    this.listen(window, 'masonryReset', (e) => {
+      log.debug('📡 Received masonryReset event');
+      this.reset(e.detail);
     });
 
     // Custom masonry update event (for filtering)
-    window.addEventListener('masonryUpdate', (e) => {
+    this.listen(window, 'masonryUpdate', (e) => {
       this.handleMasonryUpdate(e.detail);
     });
 
     // Images loaded event
-    window.addEventListener('load', () => {
+    this.listen(window, 'load', () => {
+      if (!this.resizeObserver) {
+        this.layoutMasonry();
+      }
+    });
+
+    // New cards from category tabs' load more
+    this.listen(window, 'masonryAppend', (e) => {
+      this.append(e.detail.cards);
+    });
+
+    // Reader picked another view (see view-switcher.js)
+    this.listen(document, 'feedViewChange', () => {
+      this.calculateColumns();
       this.layoutMasonry();
     });
   }
@@ -237,6 +758,11 @@ export class MasonryGrid {
   handleCardClick(event) {
     const card = event.target.closest('.masonry-card');
 
+    // Cards are being reordered, not opened
+    if (this.grid.classList.contains('is-curating')) {
+      return;
+    }
+
     // Don't navigate if clicking on the overlay link
     if (event.target.classList.contains('masonry-link')) {
       return;
@@ -345,7 +871,11 @@ export class MasonryGrid {
 
       img.addEventListener('load', () => {
         img.style.opacity = '1';
-        this.layoutMasonry();
+
+        // The card's ResizeObserver picks up the new height
+        if (!this.resizeObserver) {
+          this.layoutMasonry();
+        }
       });
     });
   }
@@ -355,6 +885,7 @@ export class MasonryGrid {
    */
   handleResize() {
     const oldColumnCount = this.columnCount;
+    const oldGap = this.gap;
     this.calculateColumns();
 
     if (oldColumnCount !== this.columnCount) {
@@ -365,7 +896,11 @@ export class MasonryGrid {
       setTimeout(() => {
         this.layoutMasonry();
       }, 100);
-    } else {
+    } else if (
+      this.gap !== oldGap ||
+      this.grid.offsetWidth !== this.gridWidth
+    ) {
+      // Card heights change with width; otherwise nothing moved
       this.layoutMasonry();
     }
   }
@@ -374,7 +909,7 @@ export class MasonryGrid {
    * Handle initial layout
    */
   handleInitialLayout() {
-    console.log('🎯 2-Column Masonry layout complete');
+    log.debug(`🎯 ${this.columnCount}-column masonry layout complete`);
   }
 
   /**
@@ -398,13 +933,11 @@ export class MasonryGrid {
   trackCardClick(card) {
     const title = card.querySelector('.masonry-title');
 
-    if (typeof window.trackEvent === 'function') {
-      window.trackEvent(
-        'Masonry Grid',
-        'Card Click',
-        title ? title.textContent : 'Unknown',
-      );
-    }
+    trackEvent(
+      'Masonry Grid',
+      'Card Click',
+      title ? title.textContent.trim() : 'Unknown',
+    );
   }
 
   /**
@@ -420,12 +953,34 @@ export class MasonryGrid {
     return {
       totalCards,
       visibleCards,
+      placedCards: this.placements.length,
+      detachedCards: this.virtualizer ? this.virtualizer.detached.size : 0,
       columnCount: this.columnCount,
+      gap: this.gap,
+      strategy: this.strategy,
       gridWidth: this.grid ? this.grid.offsetWidth : 0,
       gridHeight: this.grid ? this.grid.offsetHeight : 0,
     };
   }
 
+  /**
+   * Refresh cards and re-layout (lifecycle contract)
+   */
+  refresh() {
+    if (!this.grid) return;
+    this.reset();
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      ...(this.grid ? this.getGridStats() : {}),
+    };
+  }
+
   /**
    * Destroy masonry grid
    */
@@ -433,8 +988,18 @@ export class MasonryGrid {
     // Disconnect observer
     if (this.observer) {
       this.observer.disconnect();
+      this.observer = null;
+    }
+
+    super.destroy();
+    this.resizeObserver = null;
+    this.placementByCard.clear();
+
+    // Clean up global reference
+    if (window.MasonryGrid === this) {
+      delete window.MasonryGrid;
     }
 
-    console.log('🧱 Masonry Grid destroyed');
+    log.debug('🧱 Masonry Grid destroyed');
   }
 }
@@ -0,0 +1,227 @@
+/**
+ * Masonry Layout Engine
+ * Placement strategies and responsive settings used by MasonryGrid.
+ *
+ * Settings come from data attributes on the grid, each a list of
+ * "minWidth:value" steps (a bare value applies from 0px):
+ *
+ * <div class="masonry-grid"
+ *      data-masonry-columns="1 768:2 1200:3 1600:4"
+ *      data-masonry-gap="16 768:24"
+ *      data-masonry-strategy="shortest">
+ *   <article class="masonry-card" data-masonry-span="2">...</article>
+ *
+ * Strategies:
+ * - shortest  each card goes into the shortest column (default)
+ * - ordered   cards fill columns left to right, keeping reading order
+ * - grid      native CSS grid masonry where supported, else "shortest"
+ *
+ * Curated order: cards whose slug is listed in data-masonry-order (a JSON
+ * array or comma-separated slugs) come first, in that order, followed by
+ * posts with the internal tags #pin-1, #pin-2, ...; the rest keep their place.
+ *
+ * Add your own with registerStrategy(name, place), where
+ * place(items, { columns, gap, state }) receives [{ span, height }] and returns
+ * [{ column, top }]. It continues from state ({ heights, cursor }, see
+ * createLayoutState) and updates it, so new cards can be placed under
+ * earlier ones without measuring those again.
+ */
+
+export const DEFAULT_SETTINGS = {
+  columns: '1 768:2',
+  gap: '16 768:24',
+  strategy: 'shortest',
+};
+
+// Theme setting labels -> strategy names
+const STRATEGY_ALIASES = {
+  'shortest column': 'shortest',
+  'left to right': 'ordered',
+  'css grid masonry': 'grid',
+};
+
+const strategies = new Map();
+
+/**
+ * Parse "1 768:2 1200:3" into [{ minWidth, value }], smallest first
+ */
+export function parseBreakpoints(spec) {
+  return String(spec || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((step) => {
+      const [first, second] = step.split(':');
+      return second === undefined
+        ? { minWidth: 0, value: parseFloat(first) }
+        : { minWidth: parseFloat(first), value: parseFloat(second) };
+    })
+    .filter((step) => !isNaN(step.minWidth) && !isNaN(step.value))
+    .sort((a, b) => a.minWidth - b.minWidth);
+}
+
+/**
+ * Value of the last step that applies at a width
+ */
+export function resolveBreakpoint(breakpoints, width, fallback) {
+  let value = fallback;
+
+  breakpoints.forEach((step) => {
+    if (width >= step.minWidth) value = step.value;
+  });
+
+  return value;
+}
+
+/**
+ * Strategy name from a data attribute or theme setting label
+ */
+export function normalizeStrategy(value) {
+  const name = String(value || '').trim().toLowerCase();
+  const resolved = STRATEGY_ALIASES[name] || name;
+
+  return resolved === 'grid' || strategies.has(resolved)
+    ? resolved
+    : DEFAULT_SETTINGS.strategy;
+}
+
+/**
+ * Whether the browser lays out grid-template-rows: masonry natively
+ */
+export function supportsCssMasonry() {
+  return (
+    typeof CSS !== 'undefined' &&
+    typeof CSS.supports === 'function' &&
+    CSS.supports('grid-template-rows', 'masonry')
+  );
+}
+
+/**
+ * Add a placement strategy
+ */
+export function registerStrategy(name, place) {
+  strategies.set(name, place);
+}
+
+/**
+ * Placement function for a strategy (falls back to "shortest")
+ */
+export function getStrategy(name) {
+  return strategies.get(name) || strategies.get(DEFAULT_SETTINGS.strategy);
+}
+
+/**
+ * Empty columns: bottom edge of each column and the "ordered" cursor
+ */
+export function createLayoutState(columns) {
+  return { heights: new Array(columns).fill(0), cursor: 0 };
+}
+
+/**
+ * Column and top offset for each item, continuing from state
+ */
+export function placeItems(items, { columns, gap, strategy, state }) {
+  const place = getStrategy(strategy);
+  const layoutState = state || createLayoutState(columns);
+
+  const positions = place(
+    items.map((item) => ({
+      ...item,
+      span: Math.min(Math.max(item.span || 1, 1), columns),
+    })),
+    { columns, gap, state: layoutState },
+  );
+
+  return { positions, height: Math.max(0, ...layoutState.heights) };
+}
+
+/**
+ * Tallest column in a range
+ */
+function topOf(heights, column, span) {
+  return Math.max(...heights.slice(column, column + span));
+}
+
+/**
+ * Fill the columns a card covers up to its bottom edge
+ */
+function fill(heights, column, span, bottom) {
+  for (let i = column; i < column + span; i++) {
+    heights[i] = bottom;
+  }
+}
+
+// Each card goes where it can sit highest
+registerStrategy('shortest', (items, { columns, gap, state }) => {
+  const { heights } = state;
+
+  return items.map(({ span, height }) => {
+    let column = 0;
+    let top = Infinity;
+
+    for (let i = 0; i <= columns - span; i++) {
+      const candidate = topOf(heights, i, span);
+      if (candidate < top) {
+        top = candidate;
+        column = i;
+      }
+    }
+
+    fill(heights, column, span, top + height + gap);
+    return { column, top };
+  });
+});
+
+// Cards fill columns left to right, wrapping like text
+registerStrategy('ordered', (items, { columns, gap, state }) => {
+  const { heights } = state;
+
+  return items.map(({ span, height }) => {
+    if (state.cursor + span > columns) state.cursor = 0;
+
+    const column = state.cursor;
+    const top = topOf(heights, column, span);
+
+    fill(heights, column, span, top + height + gap);
+    state.cursor = (state.cursor + span) % columns;
+
+    return { column, top };
+  });
+});
+
+/**
+ * Post slugs from a curated order: a JSON array or a comma-separated list
+ */
+export function parseOrder(value) {
+  const text = String(value || '').trim();
+  if (!text) return [];
+
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      return Array.isArray(list) ? list.map(String).filter(Boolean) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return text.split(/[\s,]+/).filter(Boolean);
+}
+
+// Internal tag #pin-3 has the slug hash-pin-3
+const PIN_TAG = /^hash-pin-(\d+)$/;
+
+/**
+ * Curated position of a post: listed slugs first, then #pin-N tags.
+ * Null for posts that keep their normal place.
+ */
+export function getCuratedRank(slug, internalTags, order) {
+  const index = order.indexOf(slug);
+  if (index !== -1) return index;
+
+  const pins = (internalTags || [])
+    .map((tag) => PIN_TAG.exec(tag))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+
+  return pins.length ? order.length + Math.min(...pins) : null;
+}
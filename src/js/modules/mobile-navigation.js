@@ -2,14 +2,19 @@
  * Mobile Navigation Module
  */
 
-import { debounce } from './theme';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
 
-export class MobileNavigation {
+const log = createLogger('mobile-navigation');
+
+export class MobileNavigation extends ThemeModule {
 	constructor() {
-		this.sidebar = document.querySelector('.sidebar');
-		this.overlay = document.querySelector('.sidebar-overlay');
-		this.menuBtn = document.querySelector('.mobile-menu-btn');
-		this.sidebarLinks = document.querySelectorAll('.sidebar-link');
+		super('mobile-navigation');
+		this.sidebar = null;
+		this.overlay = null;
+		this.menuBtn = null;
+		this.sidebarLinks = [];
 
 		this.isOpen = false;
 		this.breakpoint = 767;
@@ -21,15 +26,24 @@ export class MobileNavigation {
 	 * Initialize mobile navigation
 	 */
 	init() {
+		this.sidebar = document.querySelector('.sidebar');
+		this.overlay = document.querySelector('.sidebar-overlay');
+		this.menuBtn = document.querySelector('.mobile-menu-btn');
+		this.sidebarLinks = document.querySelectorAll('.sidebar-link');
+
 		if (!this.sidebar) {
-			console.warn('Sidebar element not found');
+			log.warn('Sidebar element not found');
 			return;
 		}
 
 		this.bindEvents();
 		this.handleInitialState();
 
-		console.log('📱 Mobile Navigation initialized');
+		// Make mobile navigation globally available (used by inline onclick handlers)
+		this.boundToggleSidebar = this.toggleSidebar.bind(this);
+		window.toggleSidebar = this.boundToggleSidebar;
+
+		log.info('📱 Mobile Navigation initialized');
 	}
 
 	/**
@@ -38,12 +52,12 @@ export class MobileNavigation {
 	bindEvents() {
 		// Overlay click to close
 		if (this.overlay) {
-			this.overlay.addEventListener('click', () => this.closeSidebar());
+			this.listen(this.overlay, 'click', () => this.closeSidebar());
 		}
 
 		// Sidebar links click to close on mobile
 		this.sidebarLinks.forEach(link => {
-			link.addEventListener('click', () => {
+			this.listen(link, 'click', () => {
 				if (window.innerWidth <= this.breakpoint) {
 					this.closeSidebar();
 				}
@@ -51,19 +65,19 @@ export class MobileNavigation {
 		});
 
 		// Window resize handler
-		window.addEventListener('resize', debounce(() => {
+		this.listen(window, 'resize', debounce(() => {
 			this.handleResize();
 		}, 150));
 
 		// Escape key to close
-		document.addEventListener('keydown', (e) => {
+		this.listen(document, 'keydown', (e) => {
 			if (e.key === 'Escape' && this.isOpen) {
 				this.closeSidebar();
 			}
 		});
 
 		// Custom theme resize event
-		window.addEventListener('themeResize', (e) => {
+		this.listen(window, 'themeResize', (e) => {
 			const { isMobile } = e.detail;
 			if (!isMobile && this.isOpen) {
 				this.closeSidebar();
@@ -203,9 +217,7 @@ export class MobileNavigation {
 	 * Track analytics events
 	 */
 	trackEvent(category, action, label = '') {
-		if (typeof window.trackEvent === 'function') {
-			window.trackEvent(category, action, label);
-		}
+		trackEvent(category, action, label);
 	}
 
 	/**
@@ -213,6 +225,7 @@ export class MobileNavigation {
 	 */
 	getState() {
 		return {
+			...super.getState(),
 			isOpen: this.isOpen,
 			isMobile: window.innerWidth <= this.breakpoint
 		};
@@ -222,22 +235,18 @@ export class MobileNavigation {
 	 * Destroy the mobile navigation
 	 */
 	destroy() {
-		// Remove event listeners
-		if (this.overlay) {
-			this.overlay.removeEventListener('click', this.closeSidebar);
+		if (this.isOpen) {
+			this.closeSidebar();
 		}
 
-		this.sidebarLinks.forEach(link => {
-			link.removeEventListener('click', this.closeSidebar);
-		});
-
 		this.removeFocusTrap();
+		super.destroy();
 
 		// Clean up global reference
-		if (window.toggleSidebar === this.toggleSidebar) {
+		if (window.toggleSidebar === this.boundToggleSidebar) {
 			delete window.toggleSidebar;
 		}
 
-		console.log('📱 Mobile Navigation destroyed');
+		log.debug('📱 Mobile Navigation destroyed');
 	}
 }
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Module Manifest
+ * Registers every lazily loaded theme module with the module registry.
+ * Templates opt into a module either by matching its selector or with
+ * a data-module="name" attribute.
+ */
+
+/**
+ * Register theme modules
+ */
+export function registerThemeModules(registry) {
+  registry
+    .register('category-tabs', {
+      selector: '.category-tab',
+      load: () => import('./category-tabs'),
+      mount: ({ CategoryTabs }) => new CategoryTabs(),
+    })
+    .register('subscribe-buttons', {
+      selector: '.subscribe-btn, [data-portal]',
+      load: () => import('./subscribe-buttons'),
+      mount: ({ SubscribeButtons }) => new SubscribeButtons(),
+    })
+    .register('portal-integration', {
+      selector: '.subscribe-btn, [data-portal]',
+      load: () => import('./portal-integration'),
+      mount: ({ PortalIntegration }) => new PortalIntegration(),
+    })
+    .register('post-actions', {
+      selector: '.post-action, [data-like-count]',
+      load: () => import('./post-actions'),
+      mount: ({ PostActions }) => new PostActions(),
+    })
+    .register('masonry-grid', {
+      selector: '.masonry-grid',
+      load: () => import('./masonry-grid'),
+      mount: ({ MasonryGrid }) => {
+        // Stored globally for InfiniteScroll and CategoryTabs
+        window.MasonryGrid = new MasonryGrid();
+        return window.MasonryGrid;
+      },
+    })
+    .register('virtual-feed', {
+      selector: '[data-virtualize]:not(.masonry-grid)',
+      load: () => import('./virtual-feed'),
+      mount: ({ VirtualFeed }) => new VirtualFeed(),
+    })
+    .register('view-switcher', {
+      selector: '[data-view-switcher]',
+      load: () => import('./view-switcher'),
+      mount: ({ ViewSwitcher }) => new ViewSwitcher(),
+    })
+    .register('reading-list-page', {
+      selector: '[data-reading-list]',
+      load: () => import('./reading-list-page'),
+      mount: ({ ReadingListPage }) => new ReadingListPage(),
+    })
+    .register('the-pile', {
+      selector: '.the-pile',
+      load: () => import('./the-pile'),
+      mount: ({ ThePile }) => new ThePile(),
+    })
+    .register('search', {
+      selector: '.search-trigger, .search-container, .search-bar',
+      load: () => import('./search'),
+      mount: ({ SearchHandler }) => new SearchHandler(),
+    })
+    .register('search-results', {
+      selector: '[data-search-results]',
+      load: () => import('./search-results'),
+      mount: ({ SearchResults }) => new SearchResults(),
+    })
+    .register('horizontal-scroll', {
+      selector: '.horizontal-scroll-section',
+      load: () => import('./horizontal-scroll'),
+      mount: ({ HorizontalScroll }) => new HorizontalScroll(),
+    })
+    .register('sidebar-dropdown', {
+      selector: '.has-dropdown',
+      load: () => import('./sidebar-dropdown'),
+      mount: ({ SidebarDropdown }) => new SidebarDropdown(),
+    })
+    .register('infinite-scroll', {
+      selector: '#load-more-btn',
+      load: () => import('./infinite-scroll'),
+      mount: ({ InfiniteScroll }) => new InfiniteScroll(),
+    })
+    .register('watched-movies', {
+      selector: '.movies-container',
+      load: () => import('./watched-movies'),
+      mount: ({ WatchedMovies }) => new WatchedMovies(),
+    })
+    .register('breadcrumb-dropdown', {
+      selector: '.breadcrumb-dropdown',
+      load: () => import('./breadcrumb-dropdown'),
+      mount: ({ BreadcrumbDropdown }) => new BreadcrumbDropdown(),
+    })
+    .register('blog-post-display', {
+      selector: '.post-container, .blog-post',
+      load: () => import('./blog-post-display'),
+      mount: ({ BlogPostDisplay }) => new BlogPostDisplay(),
+    })
+    .register('consent-banner', {
+      selector: '[data-consent-banner]',
+      load: () => import('./consent-banner'),
+      mount: ({ ConsentBanner }) => new ConsentBanner(),
+    })
+    .register('external-embeds', {
+      selector: 'lite-youtube',
+      load: () => import('./external-embeds'),
+      mount: ({ ExternalEmbeds }) => new ExternalEmbeds(),
+    })
+    .register('page-router', {
+      selector: '[data-page-transitions]',
+      load: () => import('./page-router'),
+      mount: ({ PageRouter }) => new PageRouter(),
+    });
+
+  // ============================================
+  // DEFERRED: Mounted when the browser is idle (not critical)
+  // ============================================
+
+  registry
+    .register('social-sharing', {
+      selector: 'body',
+      defer: true,
+      load: () => import('./social-sharing'),
+      mount: ({ initSocialSharing }) => initSocialSharing(),
+    })
+    .register('testimonials', {
+      selector: '.testimonials, .testimonial-widget',
+      defer: true,
+      load: () => import('./testimonials'),
+      mount: ({ initTestimonials }) => initTestimonials(),
+    })
+    .register('weather-display', {
+      selector: '[data-weather]',
+      defer: true,
+      load: () => import('./weather-display'),
+      mount: ({ initWeatherDisplay }) => initWeatherDisplay(),
+    })
+    .register('knicks-counter', {
+      selector: '[data-knicks-counter]',
+      defer: true,
+      load: () => import('./knicks-counter'),
+      mount: ({ initKnicksCounter }) => initKnicksCounter(),
+    })
+    .register('price-toggle', {
+      selector: '[data-price-toggle]',
+      defer: true,
+      load: () => import('./price-toggle'),
+      mount: ({ initPriceToggle }) => initPriceToggle(),
+    })
+    .register('current-time', {
+      selector: '[data-current-time]',
+      defer: true,
+      load: () => import('./current-time'),
+      mount: ({ initCurrentTime }) => initCurrentTime(),
+    })
+    .register('rotating-quotes', {
+      selector: '.end-credits',
+      defer: true,
+      load: () => import('./rotating-quotes'),
+      mount: ({ initRotatingQuotes }) => initRotatingQuotes(),
+    })
+    .register('offline-reading', {
+      selector: 'body',
+      defer: true,
+      load: () => import('./offline-reading'),
+      mount: ({ OfflineReading }) => new OfflineReading(),
+    })
+    .register('offline-library', {
+      selector: '[data-offline-library]',
+      defer: true,
+      load: () => import('./offline-library'),
+      mount: ({ OfflineLibrary }) => new OfflineLibrary(),
+    });
+
+  return registry;
+}
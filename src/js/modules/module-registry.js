@@ -0,0 +1,345 @@
+/**
+ * Module Registry
+ * Maps data-module attributes or selectors to lazily loaded modules.
+ * Modules are mounted when matching elements appear in the DOM (including
+ * elements inserted later by InfiniteScroll or CategoryTabs) and destroyed
+ * when those elements are removed. A page module is only destroyed once
+ * nothing on the page matches it.
+ *
+ * Usage:
+ * registry.register('masonry-grid', {
+ *   selector: '.masonry-grid',
+ *   load: () => import('./masonry-grid'),
+ *   mount: ({ MasonryGrid }) => new MasonryGrid(),
+ * });
+ *
+ * <div data-module="masonry-grid"></div>
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('module-registry');
+
+const DEFAULT_DEFINITION = {
+  // Extra selector matched in addition to [data-module~="name"]
+  selector: null,
+  // 'page' mounts one instance while any match exists,
+  // 'element' mounts one instance per matching element
+  scope: 'page',
+  // Wait for the browser to be idle before mounting
+  defer: false,
+  // How many times to retry a failed dynamic import
+  retries: 1,
+  retryDelay: 500,
+};
+
+export class ModuleRegistry {
+  constructor(root = document) {
+    this.root = root;
+    this.definitions = new Map();
+    this.mounted = new Map(); // name -> Map(element -> instance)
+    this.modules = new Map(); // name -> Promise of loaded exports
+    this.observer = null;
+    this.isStarted = false;
+  }
+
+  /**
+   * Register a module definition
+   */
+  register(name, definition) {
+    if (typeof definition.load !== 'function') {
+      throw new Error(`Module "${name}" needs a load() function`);
+    }
+
+    this.definitions.set(name, {
+      ...DEFAULT_DEFINITION,
+      mount: (exports) => exports,
+      ...definition,
+      name,
+    });
+    this.mounted.set(name, new Map());
+
+    // Late registrations mount right away
+    if (this.isStarted) {
+      this.scanDefinition(this.definitions.get(name), this.root);
+    }
+
+    return this;
+  }
+
+  /**
+   * Mount everything currently in the DOM and watch for changes
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    this.scan(this.root);
+    this.observe();
+  }
+
+  /**
+   * Stop watching the DOM and destroy every mounted module
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.destroyAll();
+    this.isStarted = false;
+  }
+
+  /**
+   * Watch for inserted and removed elements
+   */
+  observe() {
+    if (!('MutationObserver' in window)) return;
+
+    this.observer = new MutationObserver((mutations) => {
+      let hasRemovals = false;
+
+      mutations.forEach((mutation) => {
+        if (mutation.removedNodes.length > 0) {
+          hasRemovals = true;
+        }
+
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.scan(node);
+          }
+        });
+      });
+
+      if (hasRemovals) {
+        this.sweep();
+      }
+    });
+
+    this.observer.observe(this.root.body || this.root, {
+      childList: true,
+      subtree: true,
+    });
+  }
+
+  /**
+   * Build the full selector for a definition
+   */
+  getSelector(definition) {
+    const attribute = `[data-module~="${definition.name}"]`;
+    return definition.selector
+      ? `${attribute}, ${definition.selector}`
+      : attribute;
+  }
+
+  /**
+   * Find elements matching a definition within (and including) a node
+   */
+  findMatches(definition, node) {
+    const selector = this.getSelector(definition);
+    const matches = [];
+
+    if (node.matches && node.matches(selector)) {
+      matches.push(node);
+    }
+
+    if (node.querySelectorAll) {
+      matches.push(...node.querySelectorAll(selector));
+    }
+
+    return matches;
+  }
+
+  /**
+   * Mount every registered module that matches within a node
+   */
+  scan(node) {
+    this.definitions.forEach((definition) => {
+      this.scanDefinition(definition, node);
+    });
+  }
+
+  /**
+   * Mount a single definition on its matches within a node
+   */
+  scanDefinition(definition, node) {
+    const matches = this.findMatches(definition, node);
+    if (matches.length === 0) return;
+
+    const instances = this.mounted.get(definition.name);
+
+    if (definition.scope === 'element') {
+      matches
+        .filter((element) => !instances.has(element))
+        .forEach((element) => this.schedule(definition, element));
+    } else if (instances.size === 0) {
+      this.schedule(definition, matches[0]);
+    }
+  }
+
+  /**
+   * Mount now, or when the browser is idle for deferred modules
+   */
+  schedule(definition, element) {
+    // Reserve the slot so repeated scans don't mount twice
+    this.mounted.get(definition.name).set(element, null);
+
+    if (!definition.defer) {
+      this.mount(definition, element);
+      return;
+    }
+
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(() => this.mount(definition, element), {
+        timeout: 2000,
+      });
+    } else {
+      setTimeout(() => this.mount(definition, element), 1);
+    }
+  }
+
+  /**
+   * Load a module and mount it on an element
+   */
+  async mount(definition, element) {
+    const instances = this.mounted.get(definition.name);
+
+    try {
+      const exports = await this.load(definition);
+
+      // The element may have left the DOM while the chunk was loading
+      if (!instances.has(element) || !element.isConnected) {
+        instances.delete(element);
+        return;
+      }
+
+      const instance = await definition.mount(exports, element, this);
+      instances.set(element, instance || {});
+
+      log.debug(`📦 Module mounted: ${definition.name}`);
+    } catch (error) {
+      instances.delete(element);
+      log.error(`❌ Failed to mount module "${definition.name}":`, error);
+    }
+  }
+
+  /**
+   * Load a module's exports, retrying failed imports
+   */
+  load(definition) {
+    if (!this.modules.has(definition.name)) {
+      const attempt = (retriesLeft) =>
+        definition.load().catch((error) => {
+          if (retriesLeft <= 0) throw error;
+
+          return new Promise((resolve) =>
+            setTimeout(resolve, definition.retryDelay),
+          ).then(() => attempt(retriesLeft - 1));
+        });
+
+      const promise = attempt(definition.retries).catch((error) => {
+        // Allow a later scan to try again
+        this.modules.delete(definition.name);
+        throw error;
+      });
+
+      this.modules.set(definition.name, promise);
+    }
+
+    return this.modules.get(definition.name);
+  }
+
+  /**
+   * Destroy modules whose elements have left the DOM
+   */
+  sweep() {
+    this.mounted.forEach((instances, name) => {
+      const definition = this.definitions.get(name);
+
+      instances.forEach((instance, element) => {
+        if (element.isConnected) return;
+
+        // Page modules stay alive as long as any match remains (cards are
+        // emptied by virtual feeds and rebuilt by category tabs)
+        if (definition.scope === 'page' && instance) {
+          const [match] = this.findMatches(definition, this.root);
+
+          if (match) {
+            instances.delete(element);
+            instances.set(match, instance);
+            return;
+          }
+        }
+
+        this.destroyInstance(name, element);
+
+        // A page module still loading starts again on another match
+        if (definition.scope === 'page') {
+          this.scanDefinition(definition, this.root);
+        }
+      });
+    });
+  }
+
+  /**
+   * Destroy a single mounted instance
+   */
+  destroyInstance(name, element) {
+    const instances = this.mounted.get(name);
+    const instance = instances.get(element);
+    instances.delete(element);
+
+    if (instance && typeof instance.destroy === 'function') {
+      try {
+        instance.destroy();
+      } catch (error) {
+        log.error(`❌ Failed to destroy module "${name}":`, error);
+      }
+    }
+  }
+
+  /**
+   * Destroy every instance of a module
+   */
+  unmount(name) {
+    const instances = this.mounted.get(name);
+    if (!instances) return;
+
+    Array.from(instances.keys()).forEach((element) => {
+      this.destroyInstance(name, element);
+    });
+  }
+
+  /**
+   * Destroy every mounted module
+   */
+  destroyAll() {
+    this.mounted.forEach((instances, name) => this.unmount(name));
+  }
+
+  /**
+   * Get the mounted instances of a module
+   */
+  getInstances(name) {
+    const instances = this.mounted.get(name);
+    if (!instances) return [];
+
+    return Array.from(instances.values()).filter(Boolean);
+  }
+
+  /**
+   * Get registry state for debugging
+   */
+  getState() {
+    const mounted = {};
+    this.mounted.forEach((instances, name) => {
+      mounted[name] = instances.size;
+    });
+
+    return {
+      registered: Array.from(this.definitions.keys()),
+      mounted,
+    };
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * NQL Filter Builder
+ * Turns a set of post filters into a Ghost NQL filter string.
+ * https://ghost.org/docs/content-api/#filtering
+ *
+ * Usage:
+ * buildPostFilter({ tags: ['poem', 'cartoon'], tagMode: 'and', type: 'article' });
+ * // => "tag:poem+tag:cartoon+tag:-[hash-note,hash-watched]"
+ */
+
+// Internal tags that mark post types
+export const POST_TYPES = {
+  article: 'tag:-[hash-note,hash-watched]',
+  note: 'tag:hash-note',
+  watched: 'tag:hash-watched',
+};
+
+export const TAG_MODES = ['or', 'and'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Keep only characters valid in a Ghost slug
+ */
+export function sanitizeSlug(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+/**
+ * A YYYY-MM-DD date, or null
+ */
+function sanitizeDate(value) {
+  return DATE_PATTERN.test(value || '') ? value : null;
+}
+
+/**
+ * Fill defaults and drop invalid values
+ */
+export function normalizeFilters(filters = {}) {
+  const tags = Array.from(
+    new Set((filters.tags || []).map(sanitizeSlug).filter(Boolean)),
+  );
+
+  let from = sanitizeDate(filters.from);
+  let to = sanitizeDate(filters.to);
+
+  // Swap a reversed range rather than returning nothing
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+
+  return {
+    tags,
+    tagMode: TAG_MODES.includes(filters.tagMode) ? filters.tagMode : 'or',
+    author: sanitizeSlug(filters.author) || null,
+    from,
+    to,
+    type: POST_TYPES[filters.type] ? filters.type : null,
+  };
+}
+
+/**
+ * Whether no filter is set
+ */
+export function isEmptyFilter(filters) {
+  const normalized = normalizeFilters(filters);
+
+  return (
+    normalized.tags.length === 0 &&
+    !normalized.author &&
+    !normalized.from &&
+    !normalized.to &&
+    !normalized.type
+  );
+}
+
+/**
+ * Build the NQL string; baseFilter applies when no tags or type are chosen
+ */
+export function buildPostFilter(filters, { baseFilter = null } = {}) {
+  const { tags, tagMode, author, from, to, type } = normalizeFilters(filters);
+  const parts = [];
+
+  if (tags.length === 1) {
+    parts.push(`tag:${tags[0]}`);
+  } else if (tags.length > 1 && tagMode === 'and') {
+    parts.push(...tags.map((tag) => `tag:${tag}`));
+  } else if (tags.length > 1) {
+    parts.push(`tag:[${tags.join(',')}]`);
+  } else if (baseFilter && !type) {
+    // Post types cut across the base selection, so they replace it
+    parts.push(baseFilter);
+  }
+
+  if (author) {
+    parts.push(`author:${author}`);
+  }
+
+  if (from) {
+    parts.push(`published_at:>='${from} 00:00:00'`);
+  }
+
+  if (to) {
+    parts.push(`published_at:<='${to} 23:59:59'`);
+  }
+
+  if (type) {
+    parts.push(POST_TYPES[type]);
+  }
+
+  return parts.join('+');
+}
@@ -0,0 +1,191 @@
+/**
+ * Offline Library
+ * Lists the posts saved for offline reading on the library page
+ * (page-library.hbs), with how much space they use, and lets readers
+ * remove posts or clear the whole library.
+ */
+
+import {
+  clearOfflineLibrary,
+  isOfflineReadingEnabled,
+  isOfflineSupported,
+  listOfflinePosts,
+  removePostOffline,
+} from './offline-store';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('offline-library');
+
+/**
+ * Human readable byte count
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export class OfflineLibrary extends ThemeModule {
+  constructor() {
+    super('offline-library');
+    this.root = null;
+    this.list = null;
+    this.usage = null;
+    this.empty = null;
+    this.clearButton = null;
+    this.count = 0;
+
+    this.init();
+  }
+
+  /**
+   * Initialize library
+   */
+  init() {
+    this.root = document.querySelector('[data-offline-library]');
+    if (!this.root) return;
+
+    this.list = this.root.querySelector('.offline-library-list');
+    this.usage = this.root.querySelector('.offline-library-usage');
+    this.empty = this.root.querySelector('.offline-library-empty');
+    this.clearButton = this.root.querySelector('.offline-library-clear');
+
+    if (!isOfflineReadingEnabled()) {
+      this.usage.textContent = isOfflineSupported()
+        ? 'Offline reading is turned off for this site.'
+        : "This browser can't save posts for offline reading.";
+      return;
+    }
+
+    this.listen(this.clearButton, 'click', () => this.clear());
+    this.listen(this.list, 'click', (e) => {
+      const button = e.target.closest('[data-remove-url]');
+      if (button) this.remove(button.dataset.removeUrl);
+    });
+    this.listen(document, 'offlineLibraryChange', () => this.render());
+
+    this.render();
+
+    log.info('📚 Offline library initialized');
+  }
+
+  /**
+   * Draw the saved posts and storage usage
+   */
+  async render() {
+    let posts = [];
+
+    try {
+      posts = await listOfflinePosts();
+    } catch (error) {
+      log.error('Failed to read offline library:', error);
+    }
+
+    if (this.isDestroyed) return;
+
+    this.count = posts.length;
+    this.list.replaceChildren(...posts.map((post) => this.renderPost(post)));
+    this.empty.hidden = posts.length > 0;
+    this.clearButton.hidden = posts.length === 0;
+
+    this.renderUsage(posts);
+  }
+
+  /**
+   * One saved post: link, save date, size and a remove button
+   */
+  renderPost(post) {
+    const item = document.createElement('li');
+    item.className = 'offline-library-item';
+
+    const link = document.createElement('a');
+    link.className = 'offline-library-link';
+    link.href = post.url;
+    link.textContent = post.title;
+
+    const meta = document.createElement('p');
+    meta.className = 'offline-library-meta';
+
+    if (post.savedAt) {
+      const date = new Date(post.savedAt).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      });
+      const time = document.createElement('time');
+      time.dateTime = post.savedAt;
+      time.textContent = `Saved ${date}`;
+      meta.append(time, ' · ');
+    }
+    meta.append(formatBytes(post.size));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'offline-library-remove';
+    remove.dataset.removeUrl = post.url;
+    remove.textContent = 'Remove';
+    remove.setAttribute(
+      'aria-label',
+      `Remove ${post.title} from offline library`,
+    );
+
+    item.append(link, meta, remove);
+    return item;
+  }
+
+  /**
+   * Space used by the site's caches, where the browser reports it
+   */
+  async renderUsage(posts) {
+    const label = `${posts.length} ${posts.length === 1 ? 'post' : 'posts'}`;
+
+    if (!navigator.storage || !navigator.storage.estimate) {
+      this.usage.textContent = label;
+      return;
+    }
+
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      this.usage.textContent = quota
+        ? `${label} · ${formatBytes(usage)} of ${formatBytes(quota)} used`
+        : `${label} · ${formatBytes(usage)} used`;
+    } catch (error) {
+      this.usage.textContent = label;
+    }
+  }
+
+  /**
+   * Remove one post
+   */
+  async remove(url) {
+    try {
+      await removePostOffline(url);
+    } catch (error) {
+      log.error('Failed to remove offline post:', error);
+    }
+  }
+
+  /**
+   * Remove every saved post and cached page, after confirming
+   */
+  async clear() {
+    if (!window.confirm('Remove every post saved for offline reading?')) {
+      return;
+    }
+
+    try {
+      await clearOfflineLibrary();
+      log.info('📚 Offline library cleared');
+    } catch (error) {
+      log.error('Failed to clear offline library:', error);
+    }
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      posts: this.count,
+    };
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Offline Reading Module
+ * Registers the service worker (src/js/service-worker.js) when the
+ * "Offline reading" theme setting is on, which adds
+ * data-offline-reading="<worker URL>" to <body>.
+ *
+ * The worker is built into assets/built, so it can only control the whole
+ * site when the server sends Service-Worker-Allowed (see DEVELOPMENT.md).
+ * Turning the setting off unregisters the worker and drops its caches.
+ */
+
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+import { deleteOfflineCaches, isOfflineSupported } from './offline-store';
+
+const log = createLogger('offline-reading');
+
+// Identifies our worker among any others registered for the site
+const WORKER_PATH = '/assets/built/sw.js';
+
+export class OfflineReading extends ThemeModule {
+  constructor() {
+    super('offline-reading');
+    this.registration = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!isOfflineSupported()) {
+      return;
+    }
+
+    const workerUrl = document.body.dataset.offlineReading;
+
+    if (workerUrl) {
+      this.register(workerUrl);
+    } else {
+      this.unregister();
+    }
+  }
+
+  /**
+   * Site root, which the worker should control
+   */
+  getScope() {
+    const siteUrl = document.body.dataset.ghostApiUrl || '/';
+    const { pathname } = new URL(siteUrl, window.location.origin);
+
+    return pathname.endsWith('/') ? pathname : `${pathname}/`;
+  }
+
+  /**
+   * Register the service worker for the whole site
+   */
+  async register(workerUrl) {
+    try {
+      this.registration = await navigator.serviceWorker.register(workerUrl, {
+        scope: this.getScope(),
+      });
+      log.info('📴 Offline reading enabled');
+    } catch (error) {
+      // Usually the Service-Worker-Allowed header is missing
+      log.warn('Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Remove a worker left over from when the setting was on
+   */
+  async unregister() {
+    try {
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      const ours = registrations.filter((registration) => {
+        const worker =
+          registration.active ||
+          registration.waiting ||
+          registration.installing;
+        return worker && worker.scriptURL.includes(WORKER_PATH);
+      });
+
+      if (ours.length === 0) return;
+
+      await Promise.all(ours.map((registration) => registration.unregister()));
+      await deleteOfflineCaches();
+      log.info('📴 Offline reading disabled, caches removed');
+    } catch (error) {
+      log.warn('Failed to remove service worker:', error);
+    }
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      registered: !!this.registration,
+    };
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Offline Store
+ * Posts saved for offline reading, kept in Cache Storage where the service
+ * worker (src/js/service-worker.js) serves them without a connection.
+ *
+ * A saved post is its page plus the images in it. The cached page carries
+ * its title, save date and image list in headers, so the library can be
+ * listed without parsing every page:
+ *
+ * await savePostOffline(url, { title });
+ * const posts = await listOfflinePosts(); // [{ url, title, savedAt, size }]
+ */
+
+export const ASSETS_CACHE_PREFIX = 'theme-assets-';
+export const PAGES_CACHE = 'theme-pages';
+export const SAVED_CACHE = 'theme-saved-posts';
+
+// Ghost answers this with error.hbs, which doubles as the offline page
+export const OFFLINE_PATH = '__offline__/';
+
+const HEADER_TITLE = 'X-Offline-Title';
+const HEADER_SAVED = 'X-Offline-Saved';
+const HEADER_IMAGES = 'X-Offline-Images';
+
+// Feature image and content images; srcset can list many sizes
+const IMAGE_SELECTOR = '.post-hero-image img, .post-content img';
+const MAX_IMAGES = 40;
+
+/**
+ * Whether this browser can keep posts offline
+ */
+export function isOfflineSupported() {
+  return 'caches' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Whether the Offline reading setting is on and the browser supports it
+ */
+export function isOfflineReadingEnabled() {
+  return !!document.body.dataset.offlineReading && isOfflineSupported();
+}
+
+/**
+ * Absolute URL without the hash, as the cache key for a page
+ */
+function pageKey(url) {
+  const key = new URL(url, window.location.href);
+  key.hash = '';
+  return key.href;
+}
+
+function notifyChange() {
+  document.dispatchEvent(new CustomEvent('offlineLibraryChange'));
+}
+
+/**
+ * Every URL a post's images may load from (src and srcset candidates)
+ */
+function getImageUrls(doc, baseUrl) {
+  const urls = new Set();
+
+  doc.querySelectorAll(IMAGE_SELECTOR).forEach((img) => {
+    const candidates = (img.getAttribute('srcset') || '')
+      .split(',')
+      .map((candidate) => candidate.trim().split(/\s+/)[0]);
+
+    [img.getAttribute('src'), ...candidates].filter(Boolean).forEach((src) => {
+      urls.add(new URL(src, baseUrl).href);
+    });
+  });
+
+  return Array.from(urls).slice(0, MAX_IMAGES);
+}
+
+/**
+ * Download a post and its images for offline reading
+ */
+export async function savePostOffline(url, { title = '' } = {}) {
+  const key = pageKey(url);
+  const response = await fetch(key, { credentials: 'same-origin' });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const images = getImageUrls(doc, key);
+  const cache = await caches.open(SAVED_CACHE);
+
+  await Promise.all(
+    images.map(async (imageUrl) => {
+      try {
+        // Images on another host come back opaque, which caches fine
+        const isLocal = new URL(imageUrl).origin === window.location.origin;
+        const image = await fetch(imageUrl, isLocal ? {} : { mode: 'no-cors' });
+
+        if (image.ok || image.type === 'opaque') {
+          await cache.put(imageUrl, image);
+        }
+      } catch (error) {
+        // A missing image shouldn't stop the post being saved
+      }
+    }),
+  );
+
+  await cache.put(
+    key,
+    new Response(html, {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        [HEADER_TITLE]: encodeURIComponent(title || doc.title),
+        [HEADER_SAVED]: new Date().toISOString(),
+        [HEADER_IMAGES]: JSON.stringify(images),
+      },
+    }),
+  );
+
+  notifyChange();
+}
+
+/**
+ * Remove a saved post and its images
+ */
+export async function removePostOffline(url) {
+  const key = pageKey(url);
+  const cache = await caches.open(SAVED_CACHE);
+  const response = await cache.match(key);
+
+  if (response) {
+    let images = [];
+    try {
+      images = JSON.parse(response.headers.get(HEADER_IMAGES)) || [];
+    } catch (error) {
+      // Saved without an image list
+    }
+
+    await Promise.all(images.map((imageUrl) => cache.delete(imageUrl)));
+  }
+
+  await cache.delete(key);
+  notifyChange();
+}
+
+/**
+ * Saved posts, newest first
+ */
+export async function listOfflinePosts() {
+  const cache = await caches.open(SAVED_CACHE);
+  const requests = await cache.keys();
+
+  const posts = await Promise.all(
+    requests.map(async (request) => {
+      const response = await cache.match(request);
+      const title = response && response.headers.get(HEADER_TITLE);
+      if (!title) return null;
+
+      const blob = await response.blob();
+
+      return {
+        url: request.url,
+        title: decodeURIComponent(title),
+        savedAt: response.headers.get(HEADER_SAVED),
+        size: blob.size,
+      };
+    }),
+  );
+
+  return posts
+    .filter(Boolean)
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Whether a post is saved for offline reading
+ */
+export async function isSavedOffline(url) {
+  const cache = await caches.open(SAVED_CACHE);
+  return !!(await cache.match(pageKey(url)));
+}
+
+/**
+ * Forget every saved post and cached page
+ */
+export async function clearOfflineLibrary() {
+  await Promise.all([caches.delete(SAVED_CACHE), caches.delete(PAGES_CACHE)]);
+  notifyChange();
+}
+
+/**
+ * Remove everything the service worker cached (when offline reading is off)
+ */
+export async function deleteOfflineCaches() {
+  const names = await caches.keys();
+
+  await Promise.all(
+    names
+      .filter(
+        (name) =>
+          name.startsWith(ASSETS_CACHE_PREFIX) ||
+          name === PAGES_CACHE ||
+          name === SAVED_CACHE,
+      )
+      .map((name) => caches.delete(name)),
+  );
+}
@@ -0,0 +1,411 @@
+/**
+ * Page Router Module
+ * Optional client-side page transitions. Internal links fetch the next
+ * page, swap #main-content and keep the sidebar, header widgets and
+ * module state alive. Modules inside the swapped content are destroyed
+ * and re-mounted by the module registry as their elements leave and
+ * enter the DOM.
+ *
+ * Enabled with the "Page transitions" theme setting, which adds
+ * data-page-transitions to <body>. Links can opt out with data-no-router.
+ */
+
+import { fetchDocument, throttle } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('page-router');
+
+// Head elements that describe the current page and are swapped on navigation
+const PAGE_HEAD_SELECTORS = [
+  'meta[name="description"]',
+  'meta[property^="og:"]',
+  'meta[property^="article:"]',
+  'meta[name^="twitter:"]',
+  'link[rel="canonical"]',
+  'link[rel="next"]',
+  'link[rel="prev"]',
+  'link[rel="amphtml"]',
+  'script[type="application/ld+json"]',
+].join(', ');
+
+// Paths that must always be loaded by the browser
+const EXCLUDED_PATHS = /^\/(ghost|members|rss|content|assets|sitemap)/;
+
+// Non-executable script types that are safe to swap in
+const DATA_SCRIPT_TYPES = ['application/json', 'application/ld+json'];
+
+// Scroll positions survive reloads within the tab
+const SCROLL_STORAGE_KEY = 'router-scroll-positions';
+const MAX_SCROLL_ENTRIES = 50;
+
+/**
+ * Create a unique key for a history entry
+ */
+function createEntryKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class PageRouter extends ThemeModule {
+  constructor(options = {}) {
+    super('page-router');
+    this.options = {
+      contentSelector: '#main-content',
+      navigatingClass: 'is-navigating',
+      ...options,
+    };
+
+    this.main = null;
+    this.currentUrl = null;
+    this.currentKey = null;
+    this.scrollPositions = new Map();
+    this.abortController = null;
+    this.isNavigating = false;
+
+    this.init();
+  }
+
+  /**
+   * Initialize router
+   */
+  init() {
+    this.main = document.querySelector(this.options.contentSelector);
+
+    if (!this.main || !('pushState' in window.history)) {
+      log.warn('Page router: content container not found, disabled');
+      return;
+    }
+
+    this.currentUrl = new URL(window.location.href);
+
+    // We restore scroll positions ourselves
+    this.previousScrollRestoration = history.scrollRestoration;
+    history.scrollRestoration = 'manual';
+
+    this.loadScrollPositions();
+
+    // Make the current entry restorable
+    const state = history.state || {};
+    this.currentKey = state.routerKey || createEntryKey();
+    history.replaceState({ ...state, routerKey: this.currentKey }, '');
+
+    this.listen(document, 'click', (e) => this.handleLinkClick(e));
+    this.listen(window, 'popstate', (e) => this.handlePopState(e));
+    this.listen(
+      window,
+      'scroll',
+      throttle(() => this.saveScrollPosition(), 100),
+      { passive: true },
+    );
+    this.listen(window, 'pagehide', () => this.persistScrollPositions());
+
+    log.info('🧭 Page Router initialized');
+  }
+
+  /**
+   * Intercept clicks on internal links
+   */
+  handleLinkClick(event) {
+    const link = event.target.closest('a[href]');
+    if (!link || !this.shouldHandleLink(link, event)) return;
+
+    event.preventDefault();
+    this.navigate(link.href);
+  }
+
+  /**
+   * Decide whether a link click should become a client-side transition
+   */
+  shouldHandleLink(link, event) {
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return false;
+    }
+
+    if (link.target && link.target !== '_self') return false;
+    if (link.hasAttribute('download')) return false;
+    if (link.closest('[data-no-router]')) return false;
+
+    const url = new URL(link.href, window.location.href);
+
+    if (url.origin !== window.location.origin) return false;
+    if (EXCLUDED_PATHS.test(url.pathname)) return false;
+
+    // Files such as feeds, images or downloads
+    if (/\.[a-z0-9]+$/i.test(url.pathname) && !/\.html?$/i.test(url.pathname)) {
+      return false;
+    }
+
+    // In-page anchors and Portal links (#/portal/...) stay with the browser
+    if (url.hash && this.isSamePage(url)) return false;
+
+    return true;
+  }
+
+  /**
+   * Check whether a URL points at the page currently shown
+   */
+  isSamePage(url) {
+    return (
+      url.pathname === this.currentUrl.pathname &&
+      url.search === this.currentUrl.search
+    );
+  }
+
+  /**
+   * Handle back/forward navigation
+   */
+  handlePopState(event) {
+    const url = new URL(window.location.href);
+    const key = event.state && event.state.routerKey;
+
+    // Hash-only changes, and entries that modules pushed on top of the
+    // current page (keeping its routerKey), don't need a fetch
+    if (this.isSamePage(url) || (key && key === this.currentKey)) {
+      this.currentUrl = url;
+      return;
+    }
+
+    this.navigate(url.href, { push: false, key });
+  }
+
+  /**
+   * Fetch a page and swap it in
+   */
+  async navigate(href, { push = true, key = null } = {}) {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+
+    const controller = new AbortController();
+    this.abortController = controller;
+    this.saveScrollPosition();
+    this.setNavigating(true);
+
+    try {
+      const { doc, url } = await fetchDocument(href, {
+        signal: controller.signal,
+      });
+
+      const newContent = doc.querySelector(this.options.contentSelector);
+
+      // Pages that need their own scripts get a normal page load
+      if (!newContent || this.hasPageScripts(doc, newContent)) {
+        window.location.assign(href);
+        return;
+      }
+
+      const finalUrl = new URL(url, window.location.href);
+      finalUrl.hash = new URL(href, window.location.href).hash;
+
+      const scrollY = key ? this.scrollPositions.get(key) || 0 : 0;
+      this.currentKey = key || createEntryKey();
+
+      if (push) {
+        history.pushState({ routerKey: this.currentKey }, '', finalUrl.href);
+      }
+
+      this.currentUrl = finalUrl;
+      this.swapContent(doc, newContent);
+      this.restoreScroll(finalUrl, scrollY);
+
+      document.dispatchEvent(
+        new CustomEvent('pageTransition', {
+          detail: { url: finalUrl.href, title: document.title },
+        }),
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      log.error('❌ Page transition failed, falling back:', error);
+      window.location.assign(href);
+    } finally {
+      if (this.abortController === controller) {
+        this.abortController = null;
+        this.setNavigating(false);
+      }
+    }
+  }
+
+  /**
+   * Check for scripts the new page needs that can't be swapped in safely
+   */
+  hasPageScripts(doc, newContent) {
+    const isExecutable = (script) =>
+      !DATA_SCRIPT_TYPES.includes(script.type || '');
+
+    // Inline or external scripts inside the content itself
+    const contentScripts = Array.from(
+      newContent.querySelectorAll('script'),
+    ).filter(isExecutable);
+    if (contentScripts.length > 0) return true;
+
+    // Scripts outside the content that the current page doesn't already have
+    const currentScripts = new Set(
+      Array.from(document.scripts).map(
+        (script) => script.src || script.textContent.trim(),
+      ),
+    );
+
+    return Array.from(doc.scripts)
+      .filter((script) => isExecutable(script) && !newContent.contains(script))
+      .some(
+        (script) => !currentScripts.has(script.src || script.textContent.trim()),
+      );
+  }
+
+  /**
+   * Replace content, title, page meta tags and body classes
+   */
+  swapContent(doc, newContent) {
+    document.title = doc.title;
+    document.body.className = doc.body.className;
+
+    this.swapHeadElements(doc);
+
+    this.main.replaceChildren(
+      ...Array.from(newContent.childNodes).map((node) =>
+        document.importNode(node, true),
+      ),
+    );
+  }
+
+  /**
+   * Swap page-specific meta tags and add any new stylesheets
+   */
+  swapHeadElements(doc) {
+    document.head
+      .querySelectorAll(PAGE_HEAD_SELECTORS)
+      .forEach((element) => element.remove());
+
+    doc.head.querySelectorAll(PAGE_HEAD_SELECTORS).forEach((element) => {
+      document.head.appendChild(document.importNode(element, true));
+    });
+
+    const currentStyles = new Set(
+      Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(
+        (link) => link.href,
+      ),
+    );
+
+    doc.head.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      if (!currentStyles.has(link.href)) {
+        document.head.appendChild(document.importNode(link, true));
+      }
+    });
+  }
+
+  /**
+   * Scroll to the hash target, a restored position or the top
+   */
+  restoreScroll(url, scrollY) {
+    const target = url.hash
+      ? document.getElementById(decodeURIComponent(url.hash.slice(1)))
+      : null;
+
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, scrollY || 0);
+    }
+
+    // Move focus to the new content for keyboard and screen reader users
+    if (!this.main.hasAttribute('tabindex')) {
+      this.main.setAttribute('tabindex', '-1');
+    }
+    this.main.focus({ preventScroll: true });
+  }
+
+  /**
+   * Remember the scroll position of the current history entry
+   */
+  saveScrollPosition() {
+    if (!this.currentKey || this.isNavigating) return;
+
+    // Re-insert so the most recent entries are kept when trimming
+    this.scrollPositions.delete(this.currentKey);
+    this.scrollPositions.set(this.currentKey, window.scrollY);
+
+    if (this.scrollPositions.size > MAX_SCROLL_ENTRIES) {
+      const oldestKey = this.scrollPositions.keys().next().value;
+      this.scrollPositions.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Load scroll positions saved before a reload
+   */
+  loadScrollPositions() {
+    try {
+      const stored = sessionStorage.getItem(SCROLL_STORAGE_KEY);
+      this.scrollPositions = new Map(stored ? JSON.parse(stored) : []);
+    } catch (error) {
+      log.warn('Could not load scroll positions:', error);
+    }
+  }
+
+  /**
+   * Save scroll positions for the rest of the session
+   */
+  persistScrollPositions() {
+    this.saveScrollPosition();
+
+    try {
+      sessionStorage.setItem(
+        SCROLL_STORAGE_KEY,
+        JSON.stringify(Array.from(this.scrollPositions)),
+      );
+    } catch (error) {
+      log.warn('Could not save scroll positions:', error);
+    }
+  }
+
+  /**
+   * Toggle the loading state
+   */
+  setNavigating(isNavigating) {
+    this.isNavigating = isNavigating;
+    document.documentElement.classList.toggle(
+      this.options.navigatingClass,
+      isNavigating,
+    );
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      currentUrl: this.currentUrl ? this.currentUrl.href : null,
+      isNavigating: this.isNavigating,
+    };
+  }
+
+  /**
+   * Destroy router
+   */
+  destroy() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    this.persistScrollPositions();
+
+    if (this.previousScrollRestoration) {
+      history.scrollRestoration = this.previousScrollRestoration;
+    }
+
+    this.setNavigating(false);
+    super.destroy();
+
+    log.debug('🧭 Page Router destroyed');
+  }
+}
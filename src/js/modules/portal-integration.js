@@ -3,8 +3,15 @@
  * Handles Ghost member portal integration and authentication
  */
 
-export class PortalIntegration {
+import { trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('portal-integration');
+
+export class PortalIntegration extends ThemeModule {
 	constructor() {
+		super('portal-integration');
 		this.portalButtons = document.querySelectorAll('[data-portal]');
 		this.isPortalReady = false;
 		this.memberData = null;
@@ -21,7 +28,7 @@ export class PortalIntegration {
 		this.waitForPortal();
 		this.checkMemberStatus();
 
-		console.log('👤 Portal Integration initialized');
+		log.info('👤 Portal Integration initialized');
 	}
 
 	/**
@@ -30,17 +37,17 @@ export class PortalIntegration {
 	bindEvents() {
 		// Portal button clicks
 		this.portalButtons.forEach(button => {
-			button.addEventListener('click', (e) => this.handlePortalButtonClick(e));
+			this.listen(button, 'click', (e) => this.handlePortalButtonClick(e));
 		});
 
 		// Custom email submit events
-		window.addEventListener('email-submit', (e) => this.handleEmailSubmit(e));
+		this.listen(window, 'email-submit', (e) => this.handleEmailSubmit(e));
 
 		// Listen for member updates
-		window.addEventListener('storage', (e) => this.handleStorageChange(e));
+		this.listen(window, 'storage', (e) => this.handleStorageChange(e));
 
 		// Portal ready event
-		window.addEventListener('message', (e) => this.handlePortalMessage(e));
+		this.listen(window, 'message', (e) => this.handlePortalMessage(e));
 	}
 
 	/**
@@ -53,7 +60,7 @@ export class PortalIntegration {
 				this.portalInstance = window.ghost.portal;
 				this.setupPortalListeners();
 				window.dispatchEvent(new CustomEvent('portal-ready'));
-				console.log('👤 Ghost Portal ready');
+				log.debug('👤 Ghost Portal ready');
 			} else {
 				setTimeout(checkPortal, 100);
 			}
@@ -115,14 +122,14 @@ export class PortalIntegration {
 	 */
 	openPortal(action = 'signup') {
 		if (!this.isPortalReady) {
-			console.warn('Portal not ready');
+			log.warn('Portal not ready');
 			return;
 		}
 
 		try {
 			this.portalInstance.open(action);
 		} catch (error) {
-			console.error('Failed to open portal:', error);
+			log.error('Failed to open portal:', error);
 			this.showPortalError('Unable to open subscription portal');
 		}
 	}
@@ -141,9 +148,9 @@ export class PortalIntegration {
 		// Use portal to handle email subscription
 		try {
 			this.portalInstance.open('signup', { email });
-			this.trackPortalAction('Email Submit', email);
+			this.trackPortalAction('Email Submit');
 		} catch (error) {
-			console.error('Failed to submit email:', error);
+			log.error('Failed to submit email:', error);
 			this.showPortalError('Unable to process subscription');
 		} finally {
 			if (button) {
@@ -166,7 +173,7 @@ export class PortalIntegration {
 		}));
 
 		this.trackPortalAction('Signin', 'Success');
-		console.log('👤 Member signed in:', member);
+		log.debug('👤 Member signed in:', member);
 	}
 
 	/**
@@ -184,7 +191,7 @@ export class PortalIntegration {
 		}));
 
 		this.trackPortalAction('Signup', 'Success');
-		console.log('👤 Member signed up:', member);
+		log.debug('👤 Member signed up:', member);
 	}
 
 	/**
@@ -198,7 +205,7 @@ export class PortalIntegration {
 		window.dispatchEvent(new CustomEvent('portal-signout'));
 
 		this.trackPortalAction('Signout', 'Success');
-		console.log('👤 Member signed out');
+		log.debug('👤 Member signed out');
 	}
 
 	/**
@@ -211,7 +218,7 @@ export class PortalIntegration {
 		}
 
 		this.trackPortalAction('Subscription Change', subscription.status);
-		console.log('👤 Subscription updated:', subscription);
+		log.debug('👤 Subscription updated:', subscription);
 	}
 
 	/**
@@ -303,7 +310,7 @@ export class PortalIntegration {
 				return JSON.parse(decodeURIComponent(memberCookie));
 			}
 		} catch (error) {
-			console.warn('Could not parse member data:', error);
+			log.warn('Could not parse member data:', error);
 		}
 
 		return null;
@@ -510,9 +517,7 @@ export class PortalIntegration {
 	 * Track portal analytics
 	 */
 	trackPortalAction(action, label, value) {
-		if (typeof window.trackEvent === 'function') {
-			window.trackEvent('Portal', action, label, value);
-		}
+		trackEvent('Portal', action, label, value);
 	}
 
 	/**
@@ -535,7 +540,7 @@ export class PortalIntegration {
 			try {
 				this.portalInstance.refresh();
 			} catch (error) {
-				console.warn('Could not refresh portal:', error);
+				log.warn('Could not refresh portal:', error);
 			}
 		}
 	}
@@ -545,13 +550,7 @@ export class PortalIntegration {
 	 */
 	destroy() {
 		// Remove event listeners
-		this.portalButtons.forEach(button => {
-			button.removeEventListener('click', this.handlePortalButtonClick);
-		});
-
-		window.removeEventListener('email-submit', this.handleEmailSubmit);
-		window.removeEventListener('storage', this.handleStorageChange);
-		window.removeEventListener('message', this.handlePortalMessage);
+		super.destroy();
 
 		// Clean up portal listeners
 		if (this.portalInstance) {
@@ -561,10 +560,10 @@ export class PortalIntegration {
 				this.portalInstance.off('signout');
 				this.portalInstance.off('subscription');
 			} catch (error) {
-				console.warn('Could not clean up portal listeners:', error);
+				log.warn('Could not clean up portal listeners:', error);
 			}
 		}
 
-		console.log('👤 Portal Integration destroyed');
+		log.debug('👤 Portal Integration destroyed');
 	}
 }
\ No newline at end of file
@@ -1,12 +1,38 @@
 /**
  * Post Actions Module
  * Handles like, share, save, and comment interactions
+ *
+ * Saved posts go on the reading list (reading-list.js). Likes go through a
+ * likes adapter (likes.js): this browser only, or a likes endpoint that
+ * also gives the counts shown on cards ([data-like-count]).
  */
 
-export class PostActions {
+import { consent } from './consent';
+import { createLikesAdapter } from './likes';
+import {
+	isOfflineReadingEnabled,
+	removePostOffline,
+	savePostOffline
+} from './offline-store';
+import { getReadingList } from './reading-list';
+import { trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('post-actions');
+
+// Elements that stand for one post, on feeds and on the post page
+const POST_SELECTOR = '.post-card, .post-container, .masonry-card';
+
+export class PostActions extends ThemeModule {
 	constructor() {
-		this.actions = document.querySelectorAll('.post-action');
+		super('post-actions');
+		this.actions = [];
 		this.actionStates = new Map();
+		this.readingList = getReadingList();
+		this.likes = createLikesAdapter();
+		this.likeStates = new Map();
+		this.pendingLikes = new Set();
 
 		this.init();
 	}
@@ -15,15 +41,20 @@ export class PostActions {
 	 * Initialize post actions
 	 */
 	init() {
-		if (this.actions.length === 0) {
-			console.warn('No post actions found');
+		// Queried on every init so refresh() binds buttons added since
+		this.actions = document.querySelectorAll('.post-action');
+
+		if (this.actions.length === 0 && !document.querySelector('[data-like-count]')) {
+			log.warn('No post actions found');
 			return;
 		}
 
 		this.bindEvents();
 		this.loadActionStates();
+		this.readingList.load().then(() => this.applySavedStates());
+		this.loadLikes();
 
-		console.log('👍 Post Actions initialized');
+		log.info('👍 Post Actions initialized');
 	}
 
 	/**
@@ -31,8 +62,13 @@ export class PostActions {
 	 */
 	bindEvents() {
 		this.actions.forEach(action => {
-			action.addEventListener('click', (e) => this.handleActionClick(e));
+			this.listen(action, 'click', (e) => this.handleActionClick(e));
 		});
+
+		// Cards added by infinite scroll or category tabs need their counts
+		this.listen(document, 'newPostsLoaded', () => this.loadLikes());
+		this.listen(window, 'masonryAppend', () => this.loadLikes());
+		this.listen(window, 'masonryReset', () => this.loadLikes());
 	}
 
 	/**
@@ -44,7 +80,7 @@ export class PostActions {
 
 		const action = event.target.closest('.post-action');
 		const actionType = action.getAttribute('data-action');
-		const postElement = action.closest('.post-card, .post-container');
+		const postElement = action.closest(POST_SELECTOR);
 
 		if (!actionType) {
 			// For actions without data-action, provide visual feedback
@@ -71,43 +107,135 @@ export class PostActions {
 	}
 
 	/**
-	 * Handle like action
+	 * Handle like action: show the change at once, undo it if saving fails
 	 */
-	handleLikeAction(action, postElement) {
+	async handleLikeAction(action, postElement) {
 		const postId = this.getPostId(postElement);
-		const isLiked = this.actionStates.get(`like-${postId}`) || false;
+		if (this.pendingLikes.has(postId)) return;
 
-		if (isLiked) {
-			this.setUnliked(action, postId);
-		} else {
-			this.setLiked(action, postId);
+		// Likes on the endpoint belong to members
+		if (!this.likes.canLike()) {
+			window.location.hash = '#/portal/signin';
+			return;
+		}
+
+		const previous = this.likeStates.get(postId) || { liked: false, count: null };
+		const liked = !previous.liked;
+		const count = previous.count === null ? null : Math.max(0, previous.count + (liked ? 1 : -1));
+
+		this.pendingLikes.add(postId);
+		this.applyLike(postId, { liked, count });
+		if (liked) this.animateAction(action, 'like');
+
+		try {
+			this.applyLike(postId, await this.likes.setLiked(postId, liked));
+			this.trackAction('like', postId, liked);
+		} catch (error) {
+			log.warn('Could not save like, undoing:', error);
+			this.applyLike(postId, previous);
+		} finally {
+			this.pendingLikes.delete(postId);
+		}
+	}
+
+	/**
+	 * Fetch likes for posts showing a like button or count
+	 */
+	async loadLikes() {
+		const ids = new Set();
+
+		document.querySelectorAll(POST_SELECTOR).forEach(postElement => {
+			if (!postElement.querySelector('[data-action="like"], [data-like-count]')) return;
+
+			const postId = this.getPostId(postElement);
+			if (this.likeStates.has(postId)) {
+				this.renderLike(postElement, this.likeStates.get(postId));
+			} else if (postId !== 'unknown') {
+				ids.add(postId);
+			}
+		});
+
+		if (ids.size === 0) return;
+
+		try {
+			const likes = await this.likes.getLikes(Array.from(ids));
+			Object.entries(likes).forEach(([postId, like]) => {
+				// A click while loading wins over the loaded state
+				if (!this.pendingLikes.has(postId)) this.applyLike(postId, like);
+			});
+		} catch (error) {
+			log.warn('Could not load likes:', error);
+		}
+	}
+
+	/**
+	 * Remember a post's like state and show it everywhere the post appears
+	 */
+	applyLike(postId, like) {
+		this.likeStates.set(postId, like);
+
+		document.querySelectorAll(POST_SELECTOR).forEach(postElement => {
+			if (this.getPostId(postElement) === postId) {
+				this.renderLike(postElement, like);
+			}
+		});
+	}
+
+	/**
+	 * Show like state on a post's like button and count
+	 */
+	renderLike(postElement, { liked, count }) {
+		const likeAction = postElement.querySelector('[data-action="like"]');
+		if (likeAction) {
+			if (liked) {
+				this.setLiked(likeAction, count);
+			} else {
+				this.setUnliked(likeAction, count);
+			}
 		}
 
-		this.saveActionStates();
-		this.trackAction('like', postId, !isLiked);
+		// Blog feed cards have a count in both their preview and full version
+		postElement.querySelectorAll('[data-like-count]').forEach((likeCount) => {
+			likeCount.hidden = !count;
+			likeCount.textContent = count ? `❤️ ${count}` : '';
+			likeCount.title = count ? `${count} ${count === 1 ? 'like' : 'likes'}` : '';
+		});
 	}
 
 	/**
 	 * Set liked state
 	 */
-	setLiked(action, postId) {
+	setLiked(action, count = null) {
 		action.innerHTML = '❤️ Liked';
 		action.style.color = 'var(--color-error)';
 		action.classList.add('liked');
+		action.setAttribute('aria-pressed', 'true');
 
-		this.actionStates.set(`like-${postId}`, true);
-		this.animateAction(action, 'like');
+		this.appendLikeCount(action, count);
 	}
 
 	/**
 	 * Set unliked state
 	 */
-	setUnliked(action, postId) {
+	setUnliked(action, count = null) {
 		action.innerHTML = '👍 Like';
 		action.style.color = '';
 		action.classList.remove('liked');
+		action.setAttribute('aria-pressed', 'false');
+
+		this.appendLikeCount(action, count);
+	}
 
-		this.actionStates.set(`like-${postId}`, false);
+	/**
+	 * Add the like count to a like button, when the adapter knows it
+	 */
+	appendLikeCount(action, count) {
+		if (count === null) return;
+
+		const countElement = document.createElement('span');
+		countElement.className = 'post-action-count';
+		countElement.textContent = count;
+		action.append(' ', countElement);
 	}
 
 	/**
@@ -136,7 +264,7 @@ export class PostActions {
 			this.trackAction('share', postData.id, 'clipboard');
 
 		} catch (error) {
-			console.warn('Share failed, trying fallback:', error);
+			log.warn('Share failed, trying fallback:', error);
 			this.fallbackShare(postData);
 			this.trackAction('share', postData.id, 'fallback');
 		}
@@ -145,41 +273,65 @@ export class PostActions {
 	/**
 	 * Handle save action
 	 */
-	handleSaveAction(action, postElement) {
+	async handleSaveAction(action, postElement) {
 		const postId = this.getPostId(postElement);
-		const isSaved = this.actionStates.get(`save-${postId}`) || false;
+
+		// Saving before the list loads would be overwritten by it
+		await this.readingList.load();
+		const isSaved = this.readingList.has(postId);
 
 		if (isSaved) {
-			this.setUnsaved(action, postId);
+			this.readingList.remove(postId);
+			this.setUnsaved(action);
 		} else {
-			this.setSaved(action, postId);
+			this.readingList.add(this.getPostData(postElement));
+			this.setSaved(action);
 		}
 
-		this.saveActionStates();
+		this.updateOfflineCopy(postElement, !isSaved);
 		this.trackAction('save', postId, !isSaved);
 	}
 
+	/**
+	 * Download or remove a saved post's offline copy (Offline reading setting)
+	 */
+	async updateOfflineCopy(postElement, saved) {
+		if (!isOfflineReadingEnabled()) {
+			return;
+		}
+
+		const { url, title } = this.getPostData(postElement);
+
+		try {
+			if (saved) {
+				await savePostOffline(url, { title });
+				log.info('📴 Saved for offline reading:', title);
+			} else {
+				await removePostOffline(url);
+			}
+		} catch (error) {
+			log.warn('Failed to update offline copy:', error);
+		}
+	}
+
 	/**
 	 * Set saved state
 	 */
-	setSaved(action, postId) {
+	setSaved(action) {
 		action.innerHTML = '💾 Saved';
 		action.style.color = 'var(--color-warning)';
 		action.classList.add('saved');
 
-		this.actionStates.set(`save-${postId}`, true);
 		this.animateAction(action, 'save');
 	}
 
 	/**
 	 * Set unsaved state
 	 */
-	setUnsaved(action, postId) {
+	setUnsaved(action) {
 		action.innerHTML = '⭐ Save';
 		action.style.color = '';
 		action.classList.remove('saved');
-
-		this.actionStates.set(`save-${postId}`, false);
 	}
 
 	/**
@@ -361,15 +513,21 @@ export class PostActions {
 	 */
 	getPostData(postElement) {
 		const titleElement = postElement.querySelector('.post-title a, .masonry-title a');
+		const heading = postElement.querySelector('.post-hero-title, .post-title');
 		const url = titleElement ? titleElement.href : window.location.href;
-		const title = titleElement ? titleElement.textContent : document.title;
+		const title = (titleElement || heading || {}).textContent || document.title;
 		const excerpt = postElement.querySelector('.post-excerpt, .masonry-excerpt');
+		const image = postElement.querySelector('.post-hero-image img, .masonry-image img, .post-preview-image img');
+
+		// The post page has no excerpt element, but it has a description
+		const description = !titleElement && document.querySelector('meta[name="description"]');
 
 		return {
 			id: this.getPostId(postElement),
 			url,
-			title,
-			excerpt: excerpt ? excerpt.textContent : ''
+			title: title.trim(),
+			excerpt: excerpt ? excerpt.textContent.trim() : (description ? description.content : ''),
+			image: image ? image.currentSrc || image.src : null
 		};
 	}
 
@@ -407,10 +565,9 @@ export class PostActions {
 			if (stored) {
 				const states = JSON.parse(stored);
 				this.actionStates = new Map(Object.entries(states));
-				this.applyStoredStates();
 			}
 		} catch (error) {
-			console.warn('Could not load action states:', error);
+			log.warn('Could not load action states:', error);
 		}
 	}
 
@@ -418,31 +575,35 @@ export class PostActions {
 	 * Save action states to localStorage
 	 */
 	saveActionStates() {
+		if (!consent.has('preferences')) return;
+
 		try {
 			const states = Object.fromEntries(this.actionStates);
 			localStorage.setItem('postActionStates', JSON.stringify(states));
 		} catch (error) {
-			console.warn('Could not save action states:', error);
+			log.warn('Could not save action states:', error);
 		}
 	}
 
 	/**
-	 * Apply stored states to actions
+	 * Mark posts on the reading list as saved. Saves from before the
+	 * reading list only kept the post id, so they move onto it when seen.
 	 */
-	applyStoredStates() {
-		document.querySelectorAll('.post-card, .post-container').forEach(postElement => {
+	applySavedStates() {
+		document.querySelectorAll(POST_SELECTOR).forEach(postElement => {
+			const saveAction = postElement.querySelector('[data-action="save"]');
+			if (!saveAction) return;
+
 			const postId = this.getPostId(postElement);
 
-			// Apply like state
-			const likeAction = postElement.querySelector('[data-action="like"]');
-			if (likeAction && this.actionStates.get(`like-${postId}`)) {
-				this.setLiked(likeAction, postId);
+			if (this.actionStates.get(`save-${postId}`)) {
+				this.readingList.add(this.getPostData(postElement));
+				this.actionStates.delete(`save-${postId}`);
+				this.saveActionStates();
 			}
 
-			// Apply save state
-			const saveAction = postElement.querySelector('[data-action="save"]');
-			if (saveAction && this.actionStates.get(`save-${postId}`)) {
-				this.setSaved(saveAction, postId);
+			if (this.readingList.has(postId)) {
+				this.setSaved(saveAction);
 			}
 		});
 	}
@@ -451,20 +612,16 @@ export class PostActions {
 	 * Track analytics events
 	 */
 	trackAction(action, postId, value) {
-		if (typeof window.trackEvent === 'function') {
-			window.trackEvent('Post Actions', action, postId, value);
-		}
+		trackEvent('Post Actions', action, postId, value);
 	}
 
 	/**
 	 * Destroy post actions
 	 */
 	destroy() {
-		this.actions.forEach(action => {
-			action.removeEventListener('click', this.handleActionClick);
-		});
+		super.destroy();
 
-		console.log('👍 Post Actions destroyed');
+		log.debug('👍 Post Actions destroyed');
 	}
 }
 
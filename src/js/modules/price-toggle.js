@@ -3,6 +3,10 @@
  * Handles toggling between yearly and monthly pricing displays
  */
 
+import { createLogger } from './logger';
+
+const log = createLogger('price-toggle');
+
 // ARIA attributes for accessibility
 const ARIA_ATTRS = {
 	CHECKED: 'aria-checked',
@@ -23,7 +27,7 @@ export function initPriceToggle() {
 	const toggle = document.querySelector('.membership-toggle');
 
 	if (!toggle) {
-		console.log('Price toggle element not found');
+		log.debug('Price toggle element not found');
 		return;
 	}
 
@@ -32,7 +36,7 @@ export function initPriceToggle() {
 	const monthlyElements = document.querySelectorAll('[data-monthly]');
 
 	if (toggleButtons.length === 0) {
-		console.log('No toggle buttons found');
+		log.debug('No toggle buttons found');
 		return;
 	}
 
@@ -75,5 +79,5 @@ export function initPriceToggle() {
 		});
 	});
 
-	console.log('✅ Price toggle initialized');
+	log.info('✅ Price toggle initialized');
 }
\ No newline at end of file
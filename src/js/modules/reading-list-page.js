@@ -0,0 +1,325 @@
+/**
+ * Reading List Page
+ * The reader's saved posts on page-reading-list.hbs: search, sorting,
+ * mark as read, removal, and import/export (JSON or bookmarks file).
+ *
+ * The search and sort live in the URL so the view survives a reload:
+ * /reading-list/?q=rain&sort=unread
+ */
+
+import {
+  isOfflineReadingEnabled,
+  removePostOffline,
+} from './offline-store';
+import { READING_LIST_SORTS, getReadingList } from './reading-list';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('reading-list-page');
+
+const EXPORTS = {
+  json: {
+    type: 'application/json',
+    filename: 'reading-list.json',
+    build: (list) => list.exportJson(),
+  },
+  bookmarks: {
+    type: 'text/html',
+    filename: 'reading-list-bookmarks.html',
+    build: (list) => list.exportBookmarks(),
+  },
+};
+
+/**
+ * Offer text as a file download
+ */
+function download(text, { type, filename }) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Short date, e.g. "Mar 3, 2026"
+ */
+function formatDate(time) {
+  return new Date(time).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+export class ReadingListPage extends ThemeModule {
+  constructor() {
+    super('reading-list-page');
+    this.root = null;
+    this.form = null;
+    this.input = null;
+    this.sortSelect = null;
+    this.summary = null;
+    this.list = null;
+    this.empty = null;
+    this.importInput = null;
+    this.readingList = getReadingList();
+    this.state = { q: '', sort: 'newest' };
+
+    this.init();
+  }
+
+  /**
+   * Initialize reading list page
+   */
+  init() {
+    this.root = document.querySelector('[data-reading-list]');
+    if (!this.root) return;
+
+    this.form = this.root.querySelector('.reading-list-controls');
+    this.input = this.root.querySelector('.reading-list-search');
+    this.sortSelect = this.root.querySelector('.reading-list-sort');
+    this.summary = this.root.querySelector('.reading-list-summary');
+    this.list = this.root.querySelector('.reading-list-items');
+    this.empty = this.root.querySelector('.reading-list-empty');
+    this.importInput = this.root.querySelector('.reading-list-import');
+
+    this.state = this.readUrl();
+    this.input.value = this.state.q;
+    this.sortSelect.value = this.state.sort;
+
+    this.bindEvents();
+    this.onDestroy(this.readingList.onChange(() => this.render()));
+
+    this.readingList.load().then(() => this.render());
+
+    log.info('📖 Reading list initialized');
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const search = debounce(() => this.update({ q: this.input.value }), 200);
+
+    this.listen(this.form, 'submit', (e) => e.preventDefault());
+    this.listen(this.input, 'input', search);
+    this.listen(this.sortSelect, 'change', () =>
+      this.update({ sort: this.sortSelect.value }),
+    );
+
+    this.listen(this.list, 'click', (e) => {
+      const readButton = e.target.closest('[data-read-id]');
+      const removeButton = e.target.closest('[data-remove-id]');
+
+      if (readButton) {
+        const { readId, read } = readButton.dataset;
+        this.readingList.setRead(readId, read === 'true');
+      } else if (removeButton) {
+        this.remove(removeButton.dataset.removeId);
+      }
+    });
+
+    const exportButtons = this.root.querySelectorAll(
+      '[data-reading-list-export]',
+    );
+    exportButtons.forEach((button) => {
+      this.listen(button, 'click', () =>
+        this.exportList(button.dataset.readingListExport),
+      );
+    });
+
+    this.listen(this.importInput, 'change', () => this.importList());
+  }
+
+  /**
+   * Search and sort from the URL
+   */
+  readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+
+    return {
+      q: params.get('q') || '',
+      sort: READING_LIST_SORTS.includes(sort) ? sort : 'newest',
+    };
+  }
+
+  /**
+   * Change the search or sort, keeping the URL in step
+   */
+  update(changes) {
+    this.state = { ...this.state, ...changes };
+
+    const { q, sort } = this.state;
+    const url = new URL(window.location.href);
+    url.searchParams.delete('q');
+    url.searchParams.delete('sort');
+    if (q.trim()) url.searchParams.set('q', q.trim());
+    if (sort !== 'newest') url.searchParams.set('sort', sort);
+
+    history.replaceState({ ...history.state }, '', url);
+    this.render();
+  }
+
+  /**
+   * Draw the entries that match
+   */
+  render() {
+    if (this.isDestroyed) return;
+
+    const total = this.readingList.entries.length;
+    const entries = this.readingList.getEntries({
+      sort: this.state.sort,
+      query: this.state.q,
+    });
+    const { unread } = this.readingList.getState();
+    const query = this.state.q.trim();
+
+    this.list.replaceChildren(
+      ...entries.map((entry) => this.renderEntry(entry)),
+    );
+    this.empty.hidden = total > 0;
+
+    if (total === 0) {
+      this.summary.textContent = '';
+    } else if (query) {
+      this.summary.textContent = `${entries.length} of ${total} saved posts match "${query}"`;
+    } else {
+      const posts = total === 1 ? 'post' : 'posts';
+      this.summary.textContent = `${total} saved ${posts}, ${unread} unread`;
+    }
+  }
+
+  /**
+   * One saved post: image, title, excerpt, dates and actions
+   */
+  renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'reading-list-item';
+    item.classList.toggle('is-read', !!entry.readAt);
+
+    if (entry.image) {
+      const image = document.createElement('img');
+      image.className = 'reading-list-image';
+      image.src = entry.image;
+      image.alt = '';
+      image.loading = 'lazy';
+      image.decoding = 'async';
+      item.classList.add('has-image');
+      item.append(image);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'reading-list-body';
+
+    const link = document.createElement('a');
+    link.className = 'reading-list-link';
+    link.href = entry.url;
+    link.textContent = entry.title;
+    body.append(link);
+
+    if (entry.excerpt) {
+      const excerpt = document.createElement('p');
+      excerpt.className = 'reading-list-excerpt';
+      excerpt.textContent = entry.excerpt;
+      body.append(excerpt);
+    }
+
+    const meta = document.createElement('p');
+    meta.className = 'reading-list-meta';
+    meta.textContent = entry.readAt
+      ? `Saved ${formatDate(entry.savedAt)} · Read ${formatDate(entry.readAt)}`
+      : `Saved ${formatDate(entry.savedAt)}`;
+    body.append(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'reading-list-actions';
+
+    const readButton = document.createElement('button');
+    readButton.type = 'button';
+    readButton.className = 'reading-list-button';
+    readButton.dataset.readId = entry.id;
+    readButton.dataset.read = String(!entry.readAt);
+    readButton.textContent = entry.readAt ? 'Mark as unread' : 'Mark as read';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'reading-list-button';
+    removeButton.dataset.removeId = entry.id;
+    removeButton.textContent = 'Remove';
+    removeButton.setAttribute('aria-label', `Remove ${entry.title}`);
+
+    actions.append(readButton, removeButton);
+    item.append(body, actions);
+
+    return item;
+  }
+
+  /**
+   * Remove an entry, and its offline copy if there is one
+   */
+  async remove(id) {
+    const entry = this.readingList.entries.find((item) => item.id === id);
+    if (!entry) return;
+
+    this.readingList.remove(id);
+    trackEvent('Reading List', 'Remove', id);
+
+    if (isOfflineReadingEnabled()) {
+      try {
+        await removePostOffline(entry.url);
+      } catch (error) {
+        log.warn('Failed to remove offline copy:', error);
+      }
+    }
+  }
+
+  /**
+   * Download the list in one of the export formats
+   */
+  exportList(format) {
+    const exporter = EXPORTS[format];
+    if (!exporter) return;
+
+    download(exporter.build(this.readingList), exporter);
+    trackEvent('Reading List', 'Export', format);
+  }
+
+  /**
+   * Add entries from a chosen JSON export
+   */
+  async importList() {
+    const [file] = this.importInput.files;
+    if (!file) return;
+
+    try {
+      await this.readingList.load();
+      const added = this.readingList.importJson(await file.text());
+      const posts = added === 1 ? 'post' : 'posts';
+      this.summary.textContent = `Imported ${added} new ${posts}.`;
+      trackEvent('Reading List', 'Import', 'json', added);
+    } catch (error) {
+      log.warn('Could not import reading list:', error);
+      this.summary.textContent = "That file isn't a reading list export.";
+    }
+
+    // Allow picking the same file again
+    this.importInput.value = '';
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      ...this.state,
+      ...this.readingList.getState(),
+    };
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Reading List
+ * Posts a reader saved with the ⭐ Save action, with what's needed to show
+ * them later: title, URL, excerpt, image, when they were saved and when
+ * they were read. Stored through the storage layer, so signed-in members
+ * get the same list on every device when sync is set up.
+ *
+ * The list can be exported as JSON (and imported back) or as a Netscape
+ * bookmarks file, which Pocket, Raindrop and browsers can import.
+ */
+
+import { createStore } from './storage';
+
+const STORAGE_KEY = 'readingList';
+const EXPORT_VERSION = 1;
+
+export const READING_LIST_SORTS = ['newest', 'oldest', 'title', 'unread'];
+
+/**
+ * Only web links are kept; anything else could run script when clicked
+ */
+function toWebUrl(value) {
+  try {
+    const url = new URL(String(value), window.location.href);
+    return url.protocol === 'http:' || url.protocol === 'https:'
+      ? url.href
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Timestamp from a number or date string, or null
+ */
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * A clean entry from stored or imported data, or null if unusable
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const url = toWebUrl(entry.url);
+  if (!url) return null;
+
+  return {
+    id: String(entry.id || url),
+    url,
+    title: String(entry.title || url).trim(),
+    excerpt: String(entry.excerpt || '').trim(),
+    image: entry.image ? toWebUrl(entry.image) : null,
+    savedAt: toTime(entry.savedAt) || Date.now(),
+    readAt: toTime(entry.readAt),
+  };
+}
+
+/**
+ * Escape text for the bookmarks file
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class ReadingList {
+  constructor() {
+    this.store = createStore(STORAGE_KEY, { category: 'preferences' });
+    this.entries = [];
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the saved (and synced) list once
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.load().then((value) => {
+        this.entries = (Array.isArray(value) ? value : [])
+          .map(normalizeEntry)
+          .filter(Boolean);
+        this.notify();
+        return this;
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  has(id) {
+    return this.entries.some((entry) => entry.id === String(id));
+  }
+
+  /**
+   * Entries matching the search text, in the given order
+   */
+  getEntries({ sort = 'newest', query = '' } = {}) {
+    const needle = query.trim().toLowerCase();
+    const matches = needle
+      ? this.entries.filter((entry) =>
+          `${entry.title} ${entry.excerpt} ${entry.url}`
+            .toLowerCase()
+            .includes(needle),
+        )
+      : [...this.entries];
+
+    const newest = (a, b) => b.savedAt - a.savedAt;
+    const comparators = {
+      newest,
+      oldest: (a, b) => a.savedAt - b.savedAt,
+      title: (a, b) => a.title.localeCompare(b.title),
+      unread: (a, b) => !!a.readAt - !!b.readAt || newest(a, b),
+    };
+
+    return matches.sort(comparators[sort] || newest);
+  }
+
+  /**
+   * Save a post; saving it again keeps the original date
+   */
+  add(post) {
+    const entry = normalizeEntry({ ...post, savedAt: Date.now() });
+    if (!entry || this.has(entry.id)) return;
+
+    this.entries.unshift(entry);
+    this.save();
+  }
+
+  /**
+   * Delete one entry
+   */
+  remove(id) {
+    this.entries = this.entries.filter((entry) => entry.id !== String(id));
+    this.save();
+  }
+
+  /**
+   * Mark an entry read or unread
+   */
+  setRead(id, read = true) {
+    const entry = this.entries.find((item) => item.id === String(id));
+    if (!entry) return;
+
+    entry.readAt = read ? Date.now() : null;
+    this.save();
+  }
+
+  /**
+   * Add entries from an export; returns how many were new
+   */
+  importJson(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data && data.items;
+
+    if (!Array.isArray(items)) {
+      throw new Error('Not a reading list export');
+    }
+
+    const known = new Set(this.entries.map((entry) => entry.id));
+    let added = 0;
+
+    items.map(normalizeEntry).forEach((entry) => {
+      if (!entry || known.has(entry.id)) return;
+
+      known.add(entry.id);
+      this.entries.push(entry);
+      added += 1;
+    });
+
+    if (added > 0) {
+      this.save();
+    }
+
+    return added;
+  }
+
+  /**
+   * The whole list as JSON, for backup or another device
+   */
+  exportJson() {
+    const items = this.getEntries().map((entry) => ({
+      ...entry,
+      savedAt: new Date(entry.savedAt).toISOString(),
+      readAt: entry.readAt ? new Date(entry.readAt).toISOString() : null,
+    }));
+
+    return JSON.stringify(
+      { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), items },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * The whole list as a Netscape bookmarks file; read posts are tagged "read"
+   */
+  exportBookmarks() {
+    const bookmarks = this.getEntries().map((entry) => {
+      const attributes = [
+        `HREF="${escapeHtml(entry.url)}"`,
+        `ADD_DATE="${Math.floor(entry.savedAt / 1000)}"`,
+        entry.readAt ? 'TAGS="read"' : '',
+      ].filter(Boolean);
+      const title = escapeHtml(entry.title);
+      const link = `<DT><A ${attributes.join(' ')}>${title}</A>`;
+
+      return entry.excerpt
+        ? `${link}\n<DD>${escapeHtml(entry.excerpt)}`
+        : link;
+    });
+
+    return [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Reading List</TITLE>',
+      '<H1>Reading List</H1>',
+      '<DL><p>',
+      ...bookmarks,
+      '</DL><p>',
+      '',
+    ].join('\n');
+  }
+
+  save() {
+    this.store.save(this.entries);
+    this.notify();
+  }
+
+  /**
+   * Listen for changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  getState() {
+    return {
+      entries: this.entries.length,
+      unread: this.entries.filter((entry) => !entry.readAt).length,
+      isSynced: this.store.isSynced(),
+    };
+  }
+}
+
+let sharedList = null;
+
+/**
+ * Shared reading list for the page
+ */
+export function getReadingList() {
+  if (!sharedList) {
+    sharedList = new ReadingList();
+  }
+
+  return sharedList;
+}
@@ -3,6 +3,10 @@
  * Displays a random quote from an array on each page load
  */
 
+import { createLogger } from './logger';
+
+const log = createLogger('rotating-quotes');
+
 export function initRotatingQuotes() {
   // Array of quotes - each quote is an object with text, author, and optional link
   const quotes = [
@@ -80,5 +84,5 @@ export function initRotatingQuotes() {
   // Update the paragraph content
   endCredits.innerHTML = quoteHTML;
 
-  console.log('💬 Rotating Quotes initialized');
+  log.info('💬 Rotating Quotes initialized');
 }
@@ -0,0 +1,226 @@
+/**
+ * Search History
+ * Recent and pinned searches with the time they were made. Stored through
+ * the storage layer, so signed-in members get the same history on every
+ * device when sync is set up.
+ *
+ * Privacy mode turns history off and deletes what was saved.
+ */
+
+import { createStore } from './storage';
+import { createLogger } from './logger';
+
+const log = createLogger('search-history');
+
+const STORAGE_KEY = 'searchHistory';
+// Remembering that history is off is needed to honour it, so it is not
+// gated by consent
+const PRIVACY_KEY = 'search-history-off';
+const MAX_RECENT = 20;
+
+/**
+ * Entries from any stored format (older versions kept plain strings)
+ */
+function normalizeEntries(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map((entry) =>
+      typeof entry === 'string'
+        ? { query: entry, time: null, pinned: false }
+        : {
+            query: String(entry.query || ''),
+            time: entry.time || null,
+            pinned: !!entry.pinned,
+          },
+    )
+    .filter((entry) => entry.query);
+}
+
+/**
+ * Short relative time: "just now", "5m", "3h", "2d" or a date
+ */
+export function formatSearchTime(time) {
+  if (!time) return '';
+
+  const seconds = Math.floor((Date.now() - time) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+  return new Date(time).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+export class SearchHistory {
+  constructor() {
+    this.store = createStore(STORAGE_KEY, { category: 'preferences' });
+    this.entries = [];
+    this.listeners = new Set();
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load saved (and synced) history once
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.store.load().then((value) => {
+        this.entries = this.isPaused() ? [] : normalizeEntries(value);
+        this.notify();
+        return this;
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Whether privacy mode is on
+   */
+  isPaused() {
+    try {
+      return localStorage.getItem(PRIVACY_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Turn privacy mode on (clearing history) or off
+   */
+  setPaused(paused) {
+    try {
+      if (paused) {
+        localStorage.setItem(PRIVACY_KEY, 'true');
+      } else {
+        localStorage.removeItem(PRIVACY_KEY);
+      }
+    } catch (error) {
+      log.warn('Could not save privacy mode:', error);
+    }
+
+    if (paused) {
+      this.entries = [];
+      this.store.clear();
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Pinned entries first, then the most recent
+   */
+  getEntries() {
+    const byTime = (a, b) => (b.time || 0) - (a.time || 0);
+
+    return [
+      ...this.entries.filter((entry) => entry.pinned).sort(byTime),
+      ...this.entries.filter((entry) => !entry.pinned).sort(byTime),
+    ];
+  }
+
+  /**
+   * Entries containing the text
+   */
+  find(text) {
+    const needle = text.toLowerCase();
+    return this.getEntries().filter((entry) =>
+      entry.query.toLowerCase().includes(needle),
+    );
+  }
+
+  /**
+   * Record a search, moving repeats to the top
+   */
+  add(query) {
+    const text = String(query || '').trim();
+    if (!text || this.isPaused()) return;
+
+    const existing = this.entries.find((entry) => entry.query === text);
+
+    if (existing) {
+      existing.time = Date.now();
+    } else {
+      this.entries.unshift({ query: text, time: Date.now(), pinned: false });
+    }
+
+    // Pinned entries are kept; only recent ones are trimmed
+    const recent = this.entries
+      .filter((entry) => !entry.pinned)
+      .sort((a, b) => (b.time || 0) - (a.time || 0));
+    const dropped = new Set(recent.slice(MAX_RECENT));
+    this.entries = this.entries.filter((entry) => !dropped.has(entry));
+
+    this.save();
+  }
+
+  /**
+   * Delete one entry
+   */
+  remove(query) {
+    this.entries = this.entries.filter((entry) => entry.query !== query);
+    this.save();
+  }
+
+  /**
+   * Pin or unpin an entry
+   */
+  togglePin(query) {
+    const entry = this.entries.find((item) => item.query === query);
+    if (!entry) return;
+
+    entry.pinned = !entry.pinned;
+    this.save();
+  }
+
+  /**
+   * Delete all entries, optionally keeping pinned ones
+   */
+  clear({ keepPinned = false } = {}) {
+    this.entries = keepPinned ? this.entries.filter((entry) => entry.pinned) : [];
+    this.save();
+  }
+
+  save() {
+    this.store.save(this.entries);
+    this.notify();
+  }
+
+  /**
+   * Listen for changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  getState() {
+    return {
+      entries: this.entries.length,
+      pinned: this.entries.filter((entry) => entry.pinned).length,
+      isPaused: this.isPaused(),
+      isSynced: this.store.isSynced(),
+    };
+  }
+}
+
+let sharedHistory = null;
+
+/**
+ * Shared history for the page
+ */
+export function getSearchHistory() {
+  if (!sharedHistory) {
+    sharedHistory = new SearchHistory();
+  }
+
+  return sharedHistory;
+}
@@ -0,0 +1,788 @@
+/**
+ * Search Index
+ * A local full-text index of posts, tags and authors built from the
+ * Content API and cached in IndexedDB.
+ *
+ * The first visit downloads everything; later visits load the cached index
+ * and only fetch posts updated since the last sync. A full rebuild runs once
+ * a day, which also drops deleted and unpublished posts (the API can't
+ * report those incrementally).
+ *
+ * Usage:
+ * import { getSearchIndex } from './search-index';
+ * const index = await getSearchIndex().ready();
+ * const results = index.search('poem about rain', { limit: 20 });
+ */
+
+import { ContentApiClient, readApiConfig } from './content-api';
+import { createLogger } from './logger';
+
+const log = createLogger('search-index');
+
+const DB_NAME = 'theme-search';
+const DB_VERSION = 1;
+// Bump when the stored document shape changes to force a rebuild
+const INDEX_VERSION = 2;
+const PAGE_SIZE = 100;
+// Characters of post text kept for full-text search and snippets
+const MAX_CONTENT_LENGTH = 10000;
+
+export const DOCUMENT_TYPES = ['post', 'tag', 'author'];
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 6,
+  authors: 4,
+  excerpt: 1,
+  content: 0.5,
+};
+
+// Fields that allow typos and subsequences
+const FUZZY_FIELDS = ['title', 'tags', 'authors'];
+
+const WORD_PATTERN = /[a-z0-9\u00c0-\uffff]+/g;
+
+/**
+ * Lowercase and strip accents, keeping string length so match
+ * positions line up with the original text
+ */
+export function fold(text) {
+  let folded = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const base = text[i].normalize('NFD')[0];
+    const lower = base.toLowerCase();
+    folded += lower.length === 1 ? lower : base;
+  }
+
+  return folded;
+}
+
+/**
+ * Split a query into folded search terms
+ */
+export function tokenize(query) {
+  return fold(String(query || '')).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Whether two words differ by at most one edit (including swapping
+ * two neighbouring letters)
+ */
+function isOneEditAway(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  if (a.length === b.length) {
+    const diffs = [];
+    for (let i = 0; i < a.length && diffs.length <= 2; i++) {
+      if (a[i] !== b[i]) diffs.push(i);
+    }
+
+    if (
+      diffs.length === 2 &&
+      diffs[1] === diffs[0] + 1 &&
+      a[diffs[0]] === b[diffs[1]] &&
+      a[diffs[1]] === b[diffs[0]]
+    ) {
+      return true;
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+
+    if (++edits > 1) return false;
+
+    if (a.length > b.length) {
+      i++;
+    } else if (b.length > a.length) {
+      j++;
+    } else {
+      i++;
+      j++;
+    }
+  }
+
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Whether the term's letters appear in order within the word
+ */
+function isSubsequence(term, word) {
+  let i = 0;
+
+  for (let j = 0; j < word.length && i < term.length; j++) {
+    if (word[j] === term[i]) i++;
+  }
+
+  return i === term.length;
+}
+
+/**
+ * Whether a character belongs to a word
+ */
+function isWordChar(char) {
+  WORD_PATTERN.lastIndex = 0;
+  return !!char && WORD_PATTERN.test(char);
+}
+
+/**
+ * Folded text for one field, plus word positions for fuzzy matching
+ */
+function prepareField(value, { fuzzy = false } = {}) {
+  const text = fold(value || '');
+  if (!fuzzy) return { text, words: null };
+
+  const words = [];
+  let match;
+
+  WORD_PATTERN.lastIndex = 0;
+  while ((match = WORD_PATTERN.exec(text))) {
+    words.push({ word: match[0], start: match.index });
+  }
+
+  return { text, words };
+}
+
+/**
+ * Score one term against one field; returns { score, ranges } or null
+ *
+ * Whole words score 1, word starts 0.8 and other substrings 0.5. Fields
+ * with word positions also allow a typo or a subsequence ("rbw" → rainbow).
+ */
+function matchField(term, field) {
+  const { text, words } = field;
+  const ranges = [];
+  let best = 0;
+  let index = text.indexOf(term);
+
+  while (index !== -1) {
+    const end = index + term.length;
+    ranges.push([index, end]);
+
+    if (!isWordChar(text[index - 1])) {
+      best = Math.max(best, isWordChar(text[end]) ? 0.8 : 1);
+    } else {
+      best = Math.max(best, 0.5);
+    }
+
+    index = text.indexOf(term, end);
+  }
+
+  if (best > 0) return { score: best, ranges };
+  if (!words) return null;
+
+  let fuzzyRange = null;
+
+  for (const { word, start } of words) {
+    if (term.length >= 4 && isOneEditAway(term, word)) {
+      best = 0.4;
+      fuzzyRange = [start, start + word.length];
+      break;
+    }
+
+    if (
+      term.length >= 3 &&
+      term.length <= word.length &&
+      isSubsequence(term, word)
+    ) {
+      const score = 0.25 * (term.length / word.length);
+      if (score > best) {
+        best = score;
+        fuzzyRange = [start, start + word.length];
+      }
+    }
+  }
+
+  return best > 0 ? { score: best, ranges: [fuzzyRange] } : null;
+}
+
+/**
+ * Promise for an IndexedDB request
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promise for a finished IndexedDB transaction
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (and create) the search database
+ */
+function openDatabase() {
+  if (!('indexedDB' in window)) {
+    return Promise.reject(new Error('IndexedDB is not supported'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains('documents')) {
+      db.createObjectStore('documents', { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains('meta')) {
+      db.createObjectStore('meta', { keyPath: 'key' });
+    }
+  };
+
+  return promisify(request);
+}
+
+/**
+ * NQL date literal for the API
+ */
+function toNqlDate(iso) {
+  return new Date(iso).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+export class SearchIndex {
+  constructor(options = {}) {
+    this.options = {
+      // Full rebuild after this long (ms)
+      maxAge: 24 * 60 * 60 * 1000,
+      // Check for updated posts after this long (ms)
+      refreshInterval: 10 * 60 * 1000,
+      ...options,
+    };
+
+    // IndexedDB is the cache, so skip the client's own response cache
+    this.api =
+      this.options.api ||
+      new ContentApiClient({ ...readApiConfig(), cacheTtl: 0 });
+
+    this.entries = new Map();
+    this.meta = null;
+    this.db = null;
+    this.readyPromise = null;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Whether an index can be built (needs a Content API key)
+   */
+  isAvailable() {
+    return this.api.isConfigured();
+  }
+
+  /**
+   * Load or build the index once; resolves to the index
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.load().catch((error) => {
+        // Allow a retry on the next call
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+
+    return this.readyPromise;
+  }
+
+  /**
+   * Read the cached index, then rebuild or refresh it as needed
+   */
+  async load() {
+    await this.loadFromDatabase();
+
+    if (this.needsRebuild()) {
+      await this.rebuild();
+    } else {
+      log.debug(`Loaded ${this.entries.size} cached documents`);
+      this.refreshIfStale();
+    }
+
+    return this;
+  }
+
+  /**
+   * Whether the cached index is missing, outdated or too old
+   */
+  needsRebuild() {
+    return (
+      !this.meta ||
+      this.meta.version !== INDEX_VERSION ||
+      this.entries.size === 0 ||
+      Date.now() - this.meta.builtAt > this.options.maxAge
+    );
+  }
+
+  /**
+   * Download everything and replace the index
+   */
+  async rebuild() {
+    log.debug('Building search index...');
+
+    const [posts, tags, authors] = await Promise.all([
+      this.fetchAll('posts', this.getPostParams()),
+      this.fetchTaxonomy('tags'),
+      this.fetchTaxonomy('authors'),
+    ]);
+
+    const documents = [
+      ...posts.map((post) => this.toDocument('post', post)),
+      ...tags.map((tag) => this.toDocument('tag', tag)),
+      ...authors.map((author) => this.toDocument('author', author)),
+    ];
+
+    this.entries.clear();
+    documents.forEach((doc) => this.addEntry(doc));
+
+    const now = Date.now();
+    this.meta = {
+      key: 'state',
+      version: INDEX_VERSION,
+      builtAt: now,
+      syncedAt: now,
+      lastUpdatedAt: this.getLastUpdatedAt(posts),
+    };
+
+    await this.saveToDatabase(documents, { replace: true });
+    log.info(`🔎 Search index built with ${documents.length} documents`);
+  }
+
+  /**
+   * Fetch posts updated since the last sync, plus current tags and authors
+   */
+  refresh() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    this.refreshPromise = this.fetchUpdates()
+      .catch((error) => log.warn('Search index refresh failed:', error))
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Refresh in the background when the last sync is old enough
+   */
+  refreshIfStale() {
+    if (
+      this.meta &&
+      Date.now() - this.meta.syncedAt > this.options.refreshInterval
+    ) {
+      this.refresh();
+    }
+  }
+
+  async fetchUpdates() {
+    const params = this.getPostParams();
+    if (this.meta.lastUpdatedAt) {
+      params.filter = `updated_at:>'${toNqlDate(this.meta.lastUpdatedAt)}'`;
+    }
+
+    const [posts, tags, authors] = await Promise.all([
+      this.fetchAll('posts', params),
+      this.fetchTaxonomy('tags'),
+      this.fetchTaxonomy('authors'),
+    ]);
+
+    // Tags and authors are small, so they are always replaced in full
+    Array.from(this.entries.keys())
+      .filter((key) => !key.startsWith('post:'))
+      .forEach((key) => this.entries.delete(key));
+
+    const documents = [
+      ...posts.map((post) => this.toDocument('post', post)),
+      ...tags.map((tag) => this.toDocument('tag', tag)),
+      ...authors.map((author) => this.toDocument('author', author)),
+    ];
+    documents.forEach((doc) => this.addEntry(doc));
+
+    this.meta = {
+      ...this.meta,
+      syncedAt: Date.now(),
+      lastUpdatedAt: this.getLastUpdatedAt(posts) || this.meta.lastUpdatedAt,
+    };
+
+    await this.saveToDatabase(documents, { replaceTaxonomy: true });
+    log.debug(`Search index refreshed: ${posts.length} updated posts`);
+  }
+
+  getPostParams() {
+    return {
+      fields: [
+        'id',
+        'title',
+        'url',
+        'excerpt',
+        'custom_excerpt',
+        'feature_image',
+        'published_at',
+        'updated_at',
+        'plaintext',
+      ],
+      formats: ['plaintext'],
+      include: ['tags', 'authors'],
+    };
+  }
+
+  /**
+   * Public tags or authors with their post counts
+   */
+  fetchTaxonomy(resource) {
+    return this.fetchAll(resource, {
+      filter: resource === 'tags' ? 'visibility:public' : null,
+      include: ['count.posts'],
+    });
+  }
+
+  /**
+   * Fetch every page of a resource
+   */
+  async fetchAll(resource, params = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page) {
+      const data = await this.api.browse(resource, {
+        ...params,
+        limit: PAGE_SIZE,
+        page,
+      });
+
+      items.push(...(data[resource] || []));
+
+      const pagination = data.meta && data.meta.pagination;
+      page = pagination && pagination.next ? pagination.next : null;
+    }
+
+    return items;
+  }
+
+  getLastUpdatedAt(posts) {
+    return posts.reduce(
+      (latest, post) =>
+        post.updated_at && (!latest || post.updated_at > latest)
+          ? post.updated_at
+          : latest,
+      null,
+    );
+  }
+
+  /**
+   * Convert an API item into a stored document
+   */
+  toDocument(type, item) {
+    const doc = {
+      key: `${type}:${item.id}`,
+      type,
+      id: item.id,
+      slug: item.slug || null,
+      title: item.title || item.name || '',
+      url: item.url,
+      excerpt: '',
+      content: '',
+      tags: [],
+      authors: [],
+      image: null,
+      date: null,
+      count: item.count ? item.count.posts : null,
+    };
+
+    if (type === 'post') {
+      doc.excerpt = item.custom_excerpt || item.excerpt || '';
+      doc.content = (item.plaintext || '').slice(0, MAX_CONTENT_LENGTH);
+      doc.tags = (item.tags || [])
+        .filter((tag) => tag.visibility !== 'internal')
+        .map((tag) => tag.name);
+      doc.authors = (item.authors || []).map((author) => author.name);
+      doc.image = item.feature_image || null;
+      doc.date = item.published_at || null;
+    } else if (type === 'tag') {
+      doc.excerpt = item.description || '';
+    } else {
+      doc.excerpt = item.bio || '';
+      doc.image = item.profile_image || null;
+    }
+
+    return doc;
+  }
+
+  /**
+   * Store a document with its prepared search fields
+   */
+  addEntry(doc) {
+    const values = {
+      title: doc.title,
+      tags: doc.tags.join(', '),
+      authors: doc.authors.join(', '),
+      excerpt: doc.excerpt,
+      content: doc.content,
+    };
+    const fields = {};
+
+    Object.keys(values).forEach((name) => {
+      fields[name] = prepareField(values[name], {
+        fuzzy: FUZZY_FIELDS.includes(name),
+      });
+    });
+
+    this.entries.set(doc.key, { doc, fields });
+  }
+
+  /**
+   * All documents, optionally of one type
+   */
+  getDocuments(type = null) {
+    return Array.from(this.entries.values())
+      .map((entry) => entry.doc)
+      .filter((doc) => !type || doc.type === type);
+  }
+
+  /**
+   * Ranked matches for a query
+   *
+   * Every term must match somewhere. Results look like
+   * { doc, score, matches: { title: [[start, end]], excerpt: [...], ... } }
+   */
+  search(query, { limit = 20, types = DOCUMENT_TYPES } = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const phrase = terms.join(' ');
+    const results = [];
+
+    this.entries.forEach(({ doc, fields }) => {
+      if (!types.includes(doc.type)) return;
+
+      const matches = {};
+      Object.keys(FIELD_WEIGHTS).forEach((name) => {
+        matches[name] = [];
+      });
+      let score = 0;
+
+      for (const term of terms) {
+        let termScore = 0;
+
+        Object.keys(FIELD_WEIGHTS).forEach((name) => {
+          const match = matchField(term, fields[name]);
+          if (!match) return;
+
+          termScore = Math.max(termScore, match.score * FIELD_WEIGHTS[name]);
+          matches[name].push(...match.ranges);
+        });
+
+        if (termScore === 0) return;
+        score += termScore;
+      }
+
+      // Whole query in the title, more if it starts the title
+      const titleIndex = fields.title.text.indexOf(phrase);
+      if (titleIndex !== -1) {
+        const next = fields.title.text[titleIndex + phrase.length];
+        score += isWordChar(next) ? 1 : 4;
+        if (titleIndex === 0) score += 2;
+      }
+
+      score += this.getBoost(doc);
+      results.push({ doc, score, matches });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Favour recent posts and busy tags/authors
+   */
+  getBoost(doc) {
+    if (doc.type === 'post') {
+      const years = doc.date
+        ? (Date.now() - new Date(doc.date).getTime()) / 31536000000
+        : 10;
+      return 2 / (1 + Math.max(years, 0));
+    }
+
+    return Math.log10((doc.count || 0) + 1);
+  }
+
+  /**
+   * Load documents and sync state from IndexedDB
+   */
+  async loadFromDatabase() {
+    try {
+      this.db = this.db || (await openDatabase());
+
+      const transaction = this.db.transaction(['documents', 'meta'], 'readonly');
+      const [documents, meta] = await Promise.all([
+        promisify(transaction.objectStore('documents').getAll()),
+        promisify(transaction.objectStore('meta').get('state')),
+      ]);
+
+      this.meta = meta || null;
+      this.entries.clear();
+      documents.forEach((doc) => this.addEntry(doc));
+    } catch (error) {
+      // Private browsing or blocked storage: keep the index in memory only
+      log.debug('Search cache unavailable:', error);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Write documents and sync state to IndexedDB
+   */
+  async saveToDatabase(documents, { replace = false, replaceTaxonomy = false } = {}) {
+    if (!this.db) return;
+
+    try {
+      const transaction = this.db.transaction(['documents', 'meta'], 'readwrite');
+      const store = transaction.objectStore('documents');
+
+      if (replace) {
+        store.clear();
+      } else if (replaceTaxonomy) {
+        const keys = await promisify(store.getAllKeys());
+        keys
+          .filter((key) => !key.startsWith('post:'))
+          .forEach((key) => store.delete(key));
+      }
+
+      documents.forEach((doc) => store.put(doc));
+      transaction.objectStore('meta').put(this.meta);
+
+      await transactionDone(transaction);
+    } catch (error) {
+      log.warn('Could not save search index:', error);
+    }
+  }
+
+  /**
+   * Drop the cached index
+   */
+  async clear() {
+    this.entries.clear();
+    this.meta = null;
+    this.readyPromise = null;
+
+    if (!this.db) return;
+
+    const transaction = this.db.transaction(['documents', 'meta'], 'readwrite');
+    transaction.objectStore('documents').clear();
+    transaction.objectStore('meta').clear();
+    await transactionDone(transaction);
+  }
+
+  getState() {
+    return {
+      documents: this.entries.size,
+      builtAt: this.meta ? new Date(this.meta.builtAt).toISOString() : null,
+      syncedAt: this.meta ? new Date(this.meta.syncedAt).toISOString() : null,
+      hasCache: !!this.db,
+    };
+  }
+}
+
+let sharedIndex = null;
+
+/**
+ * Shared index for the page
+ */
+export function getSearchIndex() {
+  if (!sharedIndex) {
+    sharedIndex = new SearchIndex();
+  }
+
+  return sharedIndex;
+}
+
+/**
+ * Merge overlapping [start, end] ranges
+ */
+export function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Cut a window of text around the first match
+ */
+export function getSnippet(text, ranges, length = 160) {
+  if (text.length <= length) return { text, ranges };
+
+  const first = ranges.length > 0 ? mergeRanges(ranges)[0][0] : 0;
+  const start = Math.max(0, Math.min(first - 40, text.length - length));
+  const end = start + length;
+
+  return {
+    text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges
+      .filter(([s, e]) => e > start && s < end)
+      .map(([s, e]) => [
+        Math.max(s, start) - start + (start > 0 ? 1 : 0),
+        Math.min(e, end) - start + (start > 0 ? 1 : 0),
+      ]),
+  };
+}
+
+/**
+ * Snippet for a search result: the excerpt, or the post text around a
+ * match when only the text matched
+ */
+export function getMatchSnippet(doc, matches, length = 160) {
+  if (matches.excerpt.length === 0 && matches.content.length > 0) {
+    return getSnippet(doc.content, matches.content, length);
+  }
+
+  return doc.excerpt ? getSnippet(doc.excerpt, matches.excerpt, length) : null;
+}
+
+/**
+ * Fill an element with text, wrapping matched ranges in <mark>
+ */
+export function renderHighlighted(element, text, ranges = []) {
+  element.replaceChildren();
+  let position = 0;
+
+  mergeRanges(ranges).forEach(([start, end]) => {
+    if (start > position) {
+      element.append(text.slice(position, start));
+    }
+
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+
+  if (position < text.length) {
+    element.append(text.slice(position));
+  }
+}
@@ -0,0 +1,501 @@
+/**
+ * Search Overlay
+ * Command-palette style search over the local search index: fuzzy,
+ * ranked results grouped by type, with highlighted matches and
+ * keyboard navigation (↑/↓, Home/End, Enter, Esc).
+ *
+ * Opened by SearchHandler with Ctrl/Cmd+K or from the header search bar.
+ */
+
+import { formatSearchTime } from './search-history';
+import {
+  getMatchSnippet,
+  getSearchIndex,
+  renderHighlighted,
+} from './search-index';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('search-overlay');
+
+// Result groups in display order
+const GROUPS = [
+  { type: 'post', label: 'Posts', limit: 8 },
+  { type: 'tag', label: 'Tags', limit: 4 },
+  { type: 'author', label: 'Authors', limit: 3 },
+];
+
+export class SearchOverlay extends ThemeModule {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onSubmit - called with the query when Enter
+   *   is pressed without a result (e.g. to run a full search)
+   * @param {Function} options.getResultsUrl - URL of the full results for a
+   *   query, shown as a last "See all results" option
+   * @param {SearchHistory} options.history - recent searches, shown before
+   *   anything is typed and updated when a result is picked
+   */
+  constructor(options = {}) {
+    super('search-overlay');
+    this.options = options;
+    this.index = getSearchIndex();
+    this.dialog = null;
+    this.input = null;
+    this.resultsList = null;
+    this.status = null;
+    this.resultOptions = [];
+    this.resultCount = 0;
+    this.activeIndex = -1;
+    this.query = '';
+    this.lastFocus = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize overlay
+   */
+  init() {
+    this.dialog = this.createDialog();
+    document.body.appendChild(this.dialog);
+    this.onDestroy(() => this.dialog.remove());
+
+    this.input = this.dialog.querySelector('.search-overlay-input');
+    this.resultsList = this.dialog.querySelector('.search-overlay-results');
+    this.status = this.dialog.querySelector('.search-overlay-status');
+
+    this.listen(this.input, 'input', debounce(() => this.update(), 120));
+    this.listen(this.input, 'keydown', (e) => this.handleKeydown(e));
+    this.listen(this.resultsList, 'mousemove', (e) => this.handlePointer(e));
+    this.listen(this.resultsList, 'click', (e) => this.handleResultClick(e));
+    this.listen(this.dialog, 'click', (e) => {
+      // Clicks on the backdrop land on the dialog itself
+      if (e.target === this.dialog) this.close();
+    });
+    this.listen(this.dialog, 'close', () => this.handleClose());
+
+    log.debug('Search overlay ready');
+  }
+
+  /**
+   * Build the dialog markup
+   */
+  createDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'search-overlay';
+    dialog.setAttribute('aria-label', 'Search');
+
+    dialog.innerHTML = `
+      <div class="search-overlay-panel">
+        <div class="search-overlay-header">
+          <input
+            type="search"
+            class="search-overlay-input"
+            placeholder="Search posts, tags and authors"
+            autocomplete="off"
+            spellcheck="false"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded="false"
+            aria-controls="search-overlay-results"
+          />
+          <kbd class="search-overlay-esc">Esc</kbd>
+        </div>
+        <div id="search-overlay-results" class="search-overlay-results" role="listbox" aria-label="Search results"></div>
+        <div class="search-overlay-footer">
+          <span class="search-overlay-status" role="status"></span>
+          <span class="search-overlay-keys">
+            <kbd>↑</kbd><kbd>↓</kbd> navigate <kbd>↵</kbd> open <kbd>Esc</kbd> close
+          </span>
+        </div>
+      </div>
+    `;
+
+    return dialog;
+  }
+
+  isOpen() {
+    return !!this.dialog && this.dialog.open;
+  }
+
+  /**
+   * Show the overlay, optionally with a query filled in
+   */
+  open(query = '') {
+    if (this.isOpen()) {
+      this.input.focus();
+      return;
+    }
+
+    this.lastFocus = document.activeElement;
+    this.input.value = query;
+    this.dialog.showModal();
+    document.documentElement.classList.add('search-overlay-open');
+    this.input.focus();
+
+    trackEvent('Search', 'Open Overlay');
+    this.loadIndex();
+    this.update();
+  }
+
+  close() {
+    if (this.isOpen()) {
+      this.dialog.close();
+    }
+  }
+
+  handleClose() {
+    document.documentElement.classList.remove('search-overlay-open');
+
+    if (this.lastFocus && typeof this.lastFocus.focus === 'function') {
+      this.lastFocus.focus();
+    }
+  }
+
+  /**
+   * Load (or build) the index, showing progress the first time
+   */
+  async loadIndex() {
+    if (this.index.entries.size === 0) {
+      this.setStatus('Building search index…');
+    }
+
+    try {
+      await this.index.ready();
+      if (this.isDestroyed) return;
+
+      this.setStatus('');
+      this.update();
+    } catch (error) {
+      log.error('Could not load search index:', error);
+      this.setStatus('Search is unavailable right now. Press Enter to search anyway.');
+    }
+  }
+
+  /**
+   * Search for the current input and render results
+   */
+  update() {
+    this.query = this.input.value.trim();
+
+    if (!this.query) {
+      this.renderHistory();
+      if (this.index.entries.size > 0) this.setStatus('');
+      return;
+    }
+
+    if (this.index.entries.size === 0) {
+      this.renderResults([]);
+      return;
+    }
+
+    const results = this.index.search(this.query, { limit: 50 });
+    this.renderResults(results);
+
+    const shown = this.resultCount;
+    if (shown === 0) {
+      this.setStatus(`No results for “${this.query}”`);
+    } else {
+      this.setStatus(`${shown} result${shown === 1 ? '' : 's'}`);
+    }
+  }
+
+  /**
+   * Render results in their type groups
+   */
+  renderResults(results) {
+    this.resultsList.replaceChildren();
+    this.resultOptions = [];
+    this.activeIndex = -1;
+
+    GROUPS.forEach(({ type, label, limit }) => {
+      const groupResults = results
+        .filter((result) => result.doc.type === type)
+        .slice(0, limit);
+
+      if (groupResults.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'search-overlay-group';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-label', label);
+
+      const heading = document.createElement('div');
+      heading.className = 'search-overlay-group-title';
+      heading.setAttribute('aria-hidden', 'true');
+      heading.textContent = label;
+      group.appendChild(heading);
+
+      groupResults.forEach((result) => {
+        const option = this.createResult(result, this.resultOptions.length);
+        this.resultOptions.push(option);
+        group.appendChild(option);
+      });
+
+      this.resultsList.appendChild(group);
+    });
+
+    this.resultCount = this.resultOptions.length;
+
+    if (this.resultCount > 0 && typeof this.options.getResultsUrl === 'function') {
+      const option = this.createAllResultsLink(this.resultOptions.length);
+      this.resultOptions.push(option);
+      this.resultsList.appendChild(option);
+    }
+
+    const hasResults = this.resultOptions.length > 0;
+    this.input.setAttribute('aria-expanded', hasResults ? 'true' : 'false');
+    this.setActive(hasResults ? 0 : -1);
+  }
+
+  /**
+   * Recent and pinned searches, before anything is typed
+   */
+  renderHistory() {
+    this.renderResults([]);
+
+    const { history } = this.options;
+    const entries = history && !history.isPaused() ? history.getEntries().slice(0, 6) : [];
+    if (entries.length === 0) return;
+
+    const group = document.createElement('div');
+    group.className = 'search-overlay-group';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Recent searches');
+
+    const heading = document.createElement('div');
+    heading.className = 'search-overlay-group-title';
+    heading.setAttribute('aria-hidden', 'true');
+    heading.textContent = 'Recent searches';
+    group.appendChild(heading);
+
+    entries.forEach((entry) => {
+      const index = this.resultOptions.length;
+      const option = document.createElement('a');
+      option.className = 'search-overlay-result search-overlay-history';
+      option.id = `search-overlay-option-${index}`;
+      option.href = '#';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = index;
+      option.dataset.query = entry.query;
+
+      const title = document.createElement('span');
+      title.className = 'search-overlay-result-title';
+      title.textContent = `${entry.pinned ? '📌' : '🕐'} ${entry.query}`;
+      option.appendChild(title);
+
+      const time = formatSearchTime(entry.time);
+      if (time) {
+        const meta = document.createElement('span');
+        meta.className = 'search-overlay-result-meta';
+        meta.textContent = time;
+        option.appendChild(meta);
+      }
+
+      this.resultOptions.push(option);
+      group.appendChild(option);
+    });
+
+    this.resultsList.appendChild(group);
+    this.input.setAttribute('aria-expanded', 'true');
+    this.setActive(-1);
+  }
+
+  /**
+   * Build one result link
+   */
+  createResult({ doc, matches }, index) {
+    const option = document.createElement('a');
+    option.className = `search-overlay-result search-overlay-result-${doc.type}`;
+    option.id = `search-overlay-option-${index}`;
+    option.href = doc.url;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.dataset.index = index;
+
+    const title = document.createElement('span');
+    title.className = 'search-overlay-result-title';
+    renderHighlighted(title, doc.title, matches.title);
+    option.appendChild(title);
+
+    const snippet = getMatchSnippet(doc, matches);
+    if (snippet) {
+      const excerpt = document.createElement('span');
+      excerpt.className = 'search-overlay-result-excerpt';
+      renderHighlighted(excerpt, snippet.text, snippet.ranges);
+      option.appendChild(excerpt);
+    }
+
+    const meta = this.getResultMeta(doc);
+    if (meta) {
+      const metaEl = document.createElement('span');
+      metaEl.className = 'search-overlay-result-meta';
+      metaEl.textContent = meta;
+      option.appendChild(metaEl);
+    }
+
+    return option;
+  }
+
+  /**
+   * Link to the full results page for the query
+   */
+  createAllResultsLink(index) {
+    const option = document.createElement('a');
+    option.className = 'search-overlay-result search-overlay-all';
+    option.id = `search-overlay-option-${index}`;
+    option.href = this.options.getResultsUrl(this.query);
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.dataset.index = index;
+    option.textContent = `See all results for “${this.query}” →`;
+
+    return option;
+  }
+
+  /**
+   * Secondary line: authors and tags for posts, counts otherwise
+   */
+  getResultMeta(doc) {
+    if (doc.type === 'post') {
+      return [doc.authors.join(', '), doc.tags.slice(0, 3).join(' · ')]
+        .filter(Boolean)
+        .join(' — ');
+    }
+
+    if (doc.count !== null) {
+      return `${doc.count} post${doc.count === 1 ? '' : 's'}`;
+    }
+
+    return '';
+  }
+
+  /**
+   * Keyboard navigation inside the input
+   */
+  handleKeydown(event) {
+    const count = this.resultOptions.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (count) this.setActive((this.activeIndex + 1) % count);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (count) this.setActive((this.activeIndex - 1 + count) % count);
+        break;
+      case 'Home':
+        if (count && event.ctrlKey) {
+          event.preventDefault();
+          this.setActive(0);
+        }
+        break;
+      case 'End':
+        if (count && event.ctrlKey) {
+          event.preventDefault();
+          this.setActive(count - 1);
+        }
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.submit();
+        break;
+    }
+  }
+
+  handlePointer(event) {
+    const option = event.target.closest('.search-overlay-result');
+    if (option) {
+      this.setActive(Number(option.dataset.index), { scroll: false });
+    }
+  }
+
+  handleResultClick(event) {
+    const option = event.target.closest('.search-overlay-result');
+    if (!option) return;
+
+    // Recent searches fill in the query
+    if (option.dataset.query !== undefined) {
+      event.preventDefault();
+      this.input.value = option.dataset.query;
+      this.update();
+      this.input.focus();
+      return;
+    }
+
+    if (this.options.history && this.query) {
+      this.options.history.add(this.query);
+    }
+
+    this.trackResult(option);
+    this.close();
+  }
+
+  /**
+   * Open the active result, or hand the query on
+   */
+  submit() {
+    const option = this.resultOptions[this.activeIndex];
+
+    if (option) {
+      // Click so the page router (if enabled) handles the navigation
+      option.click();
+      return;
+    }
+
+    if (this.query && typeof this.options.onSubmit === 'function') {
+      this.close();
+      this.options.onSubmit(this.query);
+    }
+  }
+
+  /**
+   * Highlight an option for keyboard and screen readers
+   */
+  setActive(index, { scroll = true } = {}) {
+    const previous = this.resultOptions[this.activeIndex];
+    if (previous) {
+      previous.classList.remove('is-active');
+      previous.setAttribute('aria-selected', 'false');
+    }
+
+    this.activeIndex = index;
+    const option = this.resultOptions[index];
+
+    if (!option) {
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    option.classList.add('is-active');
+    option.setAttribute('aria-selected', 'true');
+    this.input.setAttribute('aria-activedescendant', option.id);
+
+    if (scroll) {
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  setStatus(text) {
+    if (this.status) {
+      this.status.textContent = text;
+    }
+  }
+
+  trackResult(option) {
+    trackEvent('Search', 'Select Result', option.getAttribute('href'));
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      isOpen: this.isOpen(),
+      query: this.query,
+      results: this.resultCount,
+      index: this.index.getState(),
+    };
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * Search Results Page
+ * Full results for a query on the search page (page-search.hbs), using the
+ * local search index: facet counts by tag, author and year, sorting by
+ * relevance or date, highlighted snippets and pagination.
+ *
+ * The query and filters live in the URL so results can be shared:
+ * /search/?q=rain&tag=Poetry&year=2024&sort=date&page=2
+ */
+
+import { getSearchHistory } from './search-history';
+import {
+  getMatchSnippet,
+  getSearchIndex,
+  renderHighlighted,
+} from './search-index';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('search-results');
+
+const PAGE_SIZE = 10;
+const SORTS = ['relevance', 'date'];
+
+// Facets in display order; limit caps the values shown
+const FACETS = [
+  { name: 'tag', label: 'Tags', limit: 12 },
+  { name: 'author', label: 'Authors', limit: 8 },
+  { name: 'year', label: 'Year', limit: 20 },
+];
+
+const DEFAULT_STATE = {
+  q: '',
+  tag: null,
+  author: null,
+  year: null,
+  sort: 'relevance',
+  page: 1,
+};
+
+export class SearchResults extends ThemeModule {
+  constructor() {
+    super('search-results');
+    this.root = null;
+    this.form = null;
+    this.input = null;
+    this.sortSelect = null;
+    this.summary = null;
+    this.list = null;
+    this.pagination = null;
+    this.facetsContainer = null;
+    this.index = getSearchIndex();
+    this.state = { ...DEFAULT_STATE };
+    this.isReady = false;
+
+    this.init();
+  }
+
+  /**
+   * Initialize results page
+   */
+  init() {
+    this.root = document.querySelector('[data-search-results]');
+    if (!this.root) return;
+
+    this.form = this.root.querySelector('.search-results-form');
+    this.input = this.root.querySelector('.search-results-input');
+    this.sortSelect = this.root.querySelector('.search-results-sort');
+    this.summary = this.root.querySelector('.search-results-summary');
+    this.list = this.root.querySelector('.search-results-list');
+    this.pagination = this.root.querySelector('.search-results-pagination');
+    this.facetsContainer = this.root.querySelector('.search-facets');
+
+    this.state = this.readUrl();
+    this.syncForm();
+
+    this.listen(this.form, 'submit', (e) => {
+      e.preventDefault();
+      const q = this.input.value.trim();
+      if (q) {
+        trackEvent('Search', 'Query', q);
+        getSearchHistory().add(q);
+      }
+      this.setState({ q, page: 1 });
+    });
+    this.listen(
+      this.input,
+      'input',
+      debounce(() => {
+        this.setState({ q: this.input.value.trim(), page: 1 }, { replace: true });
+      }, 250),
+    );
+    this.listen(this.sortSelect, 'change', () => {
+      this.setState({ sort: this.sortSelect.value, page: 1 });
+    });
+    this.listen(this.facetsContainer, 'click', (e) => this.handleFacetClick(e));
+    this.listen(this.pagination, 'click', (e) => this.handlePageClick(e));
+    this.listen(window, 'popstate', () => {
+      this.state = this.readUrl();
+      this.syncForm();
+      this.render();
+    });
+
+    if (!this.index.isAvailable()) {
+      this.setSummary(
+        'Search needs a Content API key in the theme settings.',
+      );
+      return;
+    }
+
+    this.load();
+    log.info('🔎 Search results initialized');
+  }
+
+  /**
+   * Load the index, then show results
+   */
+  async load() {
+    this.setSummary('Loading search index…');
+
+    try {
+      await this.index.ready();
+      if (this.isDestroyed) return;
+
+      this.isReady = true;
+      this.render();
+    } catch (error) {
+      log.error('Could not load search index:', error);
+      this.setSummary('Search is unavailable right now. Please try again later.');
+    }
+  }
+
+  /**
+   * Query and filters from the URL
+   */
+  readUrl() {
+    const params = new URL(window.location.href).searchParams;
+    const sort = params.get('sort');
+
+    return {
+      q: (params.get('q') || '').trim(),
+      tag: params.get('tag'),
+      author: params.get('author'),
+      year: params.get('year'),
+      sort: SORTS.includes(sort) ? sort : DEFAULT_STATE.sort,
+      page: Math.max(parseInt(params.get('page'), 10) || 1, 1),
+    };
+  }
+
+  /**
+   * Write the state to the URL; typing replaces the entry instead of adding one
+   */
+  updateUrl({ replace = false } = {}) {
+    const url = new URL(window.location.href);
+
+    Object.keys(DEFAULT_STATE).forEach((name) => {
+      const value = this.state[name];
+
+      if (value && value !== DEFAULT_STATE[name]) {
+        url.searchParams.set(name, value);
+      } else {
+        url.searchParams.delete(name);
+      }
+    });
+
+    // Keep the existing state (e.g. the page router's key) on the entry
+    const method = replace ? 'replaceState' : 'pushState';
+    history[method]({ ...history.state }, '', url);
+  }
+
+  setState(changes, options = {}) {
+    const next = { ...this.state, ...changes };
+    const changed = Object.keys(next).some((name) => next[name] !== this.state[name]);
+    if (!changed) return;
+
+    this.state = next;
+    this.updateUrl(options);
+    this.render();
+  }
+
+  syncForm() {
+    if (this.input) this.input.value = this.state.q;
+    if (this.sortSelect) this.sortSelect.value = this.state.sort;
+  }
+
+  handleFacetClick(event) {
+    const button = event.target.closest('[data-facet]');
+    if (!button) return;
+
+    const { facet, value } = button.dataset;
+    this.setState({
+      [facet]: this.state[facet] === value ? null : value,
+      page: 1,
+    });
+  }
+
+  handlePageClick(event) {
+    const button = event.target.closest('[data-page]');
+    if (!button) return;
+
+    this.setState({ page: Number(button.dataset.page) });
+    this.root.scrollIntoView({ block: 'start' });
+  }
+
+  /**
+   * Posts matching the query, or all posts when only filtering
+   */
+  getMatches() {
+    if (this.state.q) {
+      return this.index.search(this.state.q, { types: ['post'], limit: Infinity });
+    }
+
+    const empty = { title: [], tags: [], authors: [], excerpt: [], content: [] };
+    return this.index
+      .getDocuments('post')
+      .map((doc) => ({ doc, score: 0, matches: empty }));
+  }
+
+  /**
+   * Values of a facet for one post
+   */
+  getFacetValues(doc, name) {
+    switch (name) {
+      case 'tag':
+        return doc.tags;
+      case 'author':
+        return doc.authors;
+      case 'year':
+        return doc.date ? [doc.date.slice(0, 4)] : [];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Whether a result passes the selected facets (optionally ignoring one)
+   */
+  passesFacets(result, except = null) {
+    return FACETS.every(
+      ({ name }) =>
+        name === except ||
+        !this.state[name] ||
+        this.getFacetValues(result.doc, name).includes(this.state[name]),
+    );
+  }
+
+  /**
+   * Count facet values; each facet counts results filtered by the others
+   */
+  getFacetCounts(matches) {
+    const counts = {};
+
+    FACETS.forEach(({ name }) => {
+      const values = new Map();
+
+      matches
+        .filter((result) => this.passesFacets(result, name))
+        .forEach((result) => {
+          this.getFacetValues(result.doc, name).forEach((value) => {
+            values.set(value, (values.get(value) || 0) + 1);
+          });
+        });
+
+      counts[name] = values;
+    });
+
+    return counts;
+  }
+
+  sortResults(results) {
+    if (this.state.sort === 'date') {
+      return [...results].sort((a, b) =>
+        (b.doc.date || '').localeCompare(a.doc.date || ''),
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Render results, facets and pagination for the current state
+   */
+  render() {
+    if (!this.isReady) return;
+
+    const hasFilters = FACETS.some(({ name }) => this.state[name]);
+
+    if (!this.state.q && !hasFilters) {
+      this.list.replaceChildren();
+      this.pagination.replaceChildren();
+      this.renderFacets(this.getFacetCounts(this.getMatches()));
+      this.setSummary('Type something to search, or pick a tag, author or year.');
+      return;
+    }
+
+    const matches = this.getMatches();
+    const results = this.sortResults(
+      matches.filter((result) => this.passesFacets(result)),
+    );
+    const pages = Math.max(Math.ceil(results.length / PAGE_SIZE), 1);
+    const page = Math.min(this.state.page, pages);
+    const pageResults = results.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+    this.renderFacets(this.getFacetCounts(matches));
+    this.renderList(pageResults);
+    this.renderPagination(page, pages);
+    this.setSummary(this.getSummary(results.length, page, pages));
+  }
+
+  getSummary(total, page, pages) {
+    const subject = this.state.q ? ` for “${this.state.q}”` : '';
+
+    if (total === 0) {
+      return `No results${subject}.`;
+    }
+
+    const count = `${total} result${total === 1 ? '' : 's'}${subject}`;
+    return pages > 1 ? `${count} — page ${page} of ${pages}` : count;
+  }
+
+  renderList(results) {
+    this.list.replaceChildren(...results.map((result) => this.createResult(result)));
+  }
+
+  /**
+   * Build one result
+   */
+  createResult({ doc, matches }) {
+    const item = document.createElement('li');
+    item.className = 'search-result';
+
+    const heading = document.createElement('h2');
+    heading.className = 'search-result-title';
+    const link = document.createElement('a');
+    link.href = doc.url;
+    renderHighlighted(link, doc.title, matches.title);
+    heading.appendChild(link);
+    item.appendChild(heading);
+
+    const snippet = getMatchSnippet(doc, matches, 240);
+    if (snippet) {
+      const text = document.createElement('p');
+      text.className = 'search-result-snippet';
+      renderHighlighted(text, snippet.text, snippet.ranges);
+      item.appendChild(text);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+
+    if (doc.date) {
+      const time = document.createElement('time');
+      time.dateTime = doc.date;
+      time.textContent = new Date(doc.date).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      });
+      meta.appendChild(time);
+    }
+
+    [doc.authors.join(', '), doc.tags.slice(0, 3).join(' · ')]
+      .filter(Boolean)
+      .forEach((text) => {
+        const span = document.createElement('span');
+        span.textContent = text;
+        meta.appendChild(span);
+      });
+
+    item.appendChild(meta);
+    return item;
+  }
+
+  /**
+   * Render facet buttons with counts
+   */
+  renderFacets(counts) {
+    if (!this.facetsContainer) return;
+
+    this.facetsContainer.replaceChildren();
+
+    FACETS.forEach(({ name, label, limit }) => {
+      const values = Array.from(counts[name].entries());
+      const selected = this.state[name];
+
+      // Keep the selected value visible even when nothing matches it
+      if (selected && !counts[name].has(selected)) {
+        values.push([selected, 0]);
+      }
+
+      if (values.length === 0) return;
+
+      if (name === 'year') {
+        values.sort((a, b) => b[0].localeCompare(a[0]));
+      } else {
+        values.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      }
+
+      const section = document.createElement('section');
+      section.className = 'search-facet';
+
+      const heading = document.createElement('h2');
+      heading.className = 'search-facet-title';
+      heading.textContent = label;
+      section.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.className = 'search-facet-values';
+
+      values
+        .filter(([value], i) => i < limit || value === selected)
+        .forEach(([value, count]) => {
+          const item = document.createElement('li');
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'search-facet-value';
+          button.dataset.facet = name;
+          button.dataset.value = value;
+          button.setAttribute('aria-pressed', value === selected ? 'true' : 'false');
+
+          const text = document.createElement('span');
+          text.textContent = value;
+          const badge = document.createElement('span');
+          badge.className = 'search-facet-count';
+          badge.textContent = count;
+
+          button.append(text, badge);
+          item.appendChild(button);
+          list.appendChild(item);
+        });
+
+      section.appendChild(list);
+      this.facetsContainer.appendChild(section);
+    });
+  }
+
+  /**
+   * Previous/next and numbered page buttons
+   */
+  renderPagination(page, pages) {
+    this.pagination.replaceChildren();
+    if (pages <= 1) return;
+
+    const addButton = (label, target, { current = false, disabled = false } = {}) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search-results-page';
+      button.textContent = label;
+      button.disabled = disabled;
+
+      if (current) {
+        button.setAttribute('aria-current', 'page');
+      } else if (!disabled) {
+        button.dataset.page = target;
+      }
+
+      this.pagination.appendChild(button);
+    };
+
+    addButton('← Previous', page - 1, { disabled: page === 1 });
+
+    for (let i = 1; i <= pages; i++) {
+      // First, last and the pages around the current one
+      if (i === 1 || i === pages || Math.abs(i - page) <= 2) {
+        addButton(String(i), i, { current: i === page });
+      } else if (Math.abs(i - page) === 3) {
+        const gap = document.createElement('span');
+        gap.className = 'search-results-gap';
+        gap.textContent = '…';
+        this.pagination.appendChild(gap);
+      }
+    }
+
+    addButton('Next →', page + 1, { disabled: page === pages });
+  }
+
+  setSummary(text) {
+    if (this.summary) {
+      this.summary.textContent = text;
+    }
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      ...this.state,
+      isReady: this.isReady,
+    };
+  }
+}
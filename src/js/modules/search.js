@@ -3,15 +3,25 @@
  * Handles search functionality and navigation
  */
 
-import { debounce } from './theme';
+import { formatSearchTime, getSearchHistory } from './search-history';
+import { getSearchIndex, renderHighlighted } from './search-index';
+import { SearchOverlay } from './search-overlay';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
 
-export class SearchHandler {
+const log = createLogger('search');
+
+export class SearchHandler extends ThemeModule {
 	constructor() {
+		super('search');
 		this.searchInput = document.querySelector('.search-input');
 		this.searchIcon = document.querySelector('.search-icon');
 		this.searchForm = document.querySelector('.search-form');
-		this.searchHistory = this.loadSearchHistory();
+		this.history = getSearchHistory();
 		this.currentQuery = '';
+		this.overlay = null;
+		this.index = null;
 
 		this.init();
 	}
@@ -21,14 +31,16 @@ export class SearchHandler {
 	 */
 	init() {
 		if (!this.searchInput) {
-			console.warn('Search input not found');
+			log.warn('Search input not found');
 			return;
 		}
 
+		this.setupOverlay();
 		this.bindEvents();
 		this.setupSearchBehavior();
+		this.history.load();
 
-		console.log('🔍 Search Handler initialized');
+		log.info('🔍 Search Handler initialized');
 	}
 
 	/**
@@ -36,23 +48,72 @@ export class SearchHandler {
 	 */
 	bindEvents() {
 		// Search input events
-		this.searchInput.addEventListener('keypress', (e) => this.handleKeypress(e));
-		this.searchInput.addEventListener('input', debounce((e) => this.handleInput(e), 300));
-		this.searchInput.addEventListener('focus', (e) => this.handleFocus(e));
-		this.searchInput.addEventListener('blur', (e) => this.handleBlur(e));
+		this.listen(this.searchInput, 'keypress', (e) => this.handleKeypress(e));
+		this.listen(this.searchInput, 'input', debounce((e) => this.handleInput(e), 300));
+		this.listen(this.searchInput, 'focus', (e) => this.handleFocus(e));
+		this.listen(this.searchInput, 'blur', (e) => this.handleBlur(e));
 
 		// Search icon click
 		if (this.searchIcon) {
-			this.searchIcon.addEventListener('click', () => this.handleSearchIconClick());
+			this.listen(this.searchIcon, 'click', () => this.handleSearchIconClick());
 		}
 
 		// Form submission
 		if (this.searchForm) {
-			this.searchForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+			this.listen(this.searchForm, 'submit', (e) => this.handleFormSubmit(e));
+		}
+
+		// Keyboard shortcuts (captured on window so they run before Ghost's search)
+		this.listen(window, 'keydown', (e) => this.handleKeyboardShortcuts(e), true);
+
+		if (this.overlay) {
+			// Search buttons open the overlay instead of Ghost's search popup
+			this.listen(window, 'click', (e) => this.handleSearchTriggerClick(e), true);
 		}
+	}
+
+	/**
+	 * Use the instant search overlay when a local index can be built
+	 */
+	setupOverlay() {
+		if (!getSearchIndex().isAvailable()) return;
 
-		// Keyboard shortcuts
-		document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
+		this.overlay = new SearchOverlay({
+			history: this.history,
+			getResultsUrl: (query) => this.buildSearchUrl(query),
+			onSubmit: (query) => {
+				this.currentQuery = query;
+				this.performSearch();
+			}
+		});
+
+		this.onDestroy(() => {
+			this.overlay.destroy();
+			this.overlay = null;
+		});
+	}
+
+	/**
+	 * Open the overlay, moving any typed text into it
+	 */
+	openOverlay(query = '') {
+		if (!this.overlay) return;
+
+		this.hideSearchSuggestions();
+		this.searchInput.value = '';
+		this.currentQuery = '';
+		this.overlay.open(query);
+	}
+
+	/**
+	 * Handle clicks on [data-ghost-search] triggers
+	 */
+	handleSearchTriggerClick(event) {
+		if (!event.target.closest('[data-ghost-search], .search-trigger')) return;
+
+		event.preventDefault();
+		event.stopPropagation();
+		this.openOverlay(this.searchInput.value.trim());
 	}
 
 	/**
@@ -88,8 +149,13 @@ export class SearchHandler {
 	handleFocus(event) {
 		this.searchInput.parentElement.classList.add('focused');
 
+		// Load suggestions the first time search is used
+		if (!this.index) {
+			this.preloadSearchData();
+		}
+
 		// Show recent searches if no current query
-		if (!this.currentQuery && this.searchHistory.length > 0) {
+		if (!this.currentQuery) {
 			this.showRecentSearches();
 		}
 	}
@@ -128,8 +194,18 @@ export class SearchHandler {
 	 * Handle keyboard shortcuts
 	 */
 	handleKeyboardShortcuts(event) {
-		// Ctrl/Cmd + K to focus search
+		// Ctrl/Cmd + K to open the overlay, or focus search
 		if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
+			if (this.overlay) {
+				event.preventDefault();
+				event.stopPropagation();
+				this.openOverlay();
+				return;
+			}
+
+			// Without an index, let Ghost's search popup handle it
+			if (this.hasGhostSearch()) return;
+
 			event.preventDefault();
 			this.focusSearch();
 		}
@@ -170,12 +246,12 @@ export class SearchHandler {
 	buildSearchUrl(query) {
 		const baseUrl = window.location.origin;
 
-		// Check if Ghost has built-in search
-		if (this.hasGhostSearch()) {
+		// The search page (page-search.hbs) needs the local index
+		if (getSearchIndex().isAvailable()) {
 			return `${baseUrl}/search/?q=${encodeURIComponent(query)}`;
 		}
 
-		// Fallback to tag-based search or Google site search
+		// Fallback to tag-based search
 		return this.buildFallbackSearchUrl(query);
 	}
 
@@ -183,8 +259,8 @@ export class SearchHandler {
 	 * Check if Ghost has built-in search
 	 */
 	hasGhostSearch() {
-		// This would be configured based on Ghost setup
-		return true; // Assume Ghost search is available
+		// Ghost adds its search script with {{ghost_head}}
+		return !!document.querySelector('script[data-sodo-search]');
 	}
 
 	/**
@@ -220,39 +296,69 @@ export class SearchHandler {
 		const suggestions = [];
 
 		// Add matching history items
-		const historyMatches = this.searchHistory.filter(item =>
-			item.toLowerCase().includes(query.toLowerCase())
-		).slice(0, 3);
-
-		suggestions.push(...historyMatches.map(item => ({
-			type: 'history',
-			text: item,
-			icon: '🕐'
-		})));
+		const historyMatches = this.history.find(query).slice(0, 2);
+		suggestions.push(...historyMatches.map(entry => this.toHistorySuggestion(entry)));
 
-		// Add tag suggestions (if available)
-		const tagSuggestions = this.getTagSuggestions(query);
-		suggestions.push(...tagSuggestions.slice(0, 3));
+		// Add tags, authors and post titles from the site
+		suggestions.push(...this.getSiteSuggestions(query));
 
-		return suggestions.slice(0, 5);
+		return suggestions.slice(0, 7);
 	}
 
 	/**
-	 * Get tag suggestions
+	 * Get tag, author and post suggestions from the search index
 	 */
-	getTagSuggestions(query) {
-		// This would ideally come from Ghost API or be pre-loaded
-		const commonTags = ['poetry', 'fiction', 'art', 'cartoon', 'essay', 'journal', 'story'];
+	getSiteSuggestions(query) {
+		if (!this.index) return [];
+
+		const icons = { tag: '🏷️', author: '👤', post: '📄' };
+		const limits = { tag: 2, author: 2, post: 3 };
+		const counts = { tag: 0, author: 0, post: 0 };
 
-		return commonTags
-			.filter(tag => tag.toLowerCase().includes(query.toLowerCase()))
-			.map(tag => ({
-				type: 'tag',
-				text: tag,
-				icon: '🏷️'
+		return this.index
+			.search(query, { limit: 20 })
+			.filter(({ doc }) => counts[doc.type]++ < limits[doc.type])
+			// Tags and authors first, then posts
+			.sort((a, b) => (a.doc.type === 'post') - (b.doc.type === 'post'))
+			.map(({ doc, matches }) => ({
+				type: doc.type,
+				text: doc.title,
+				url: doc.url,
+				count: doc.count,
+				ranges: matches.title,
+				icon: icons[doc.type]
 			}));
 	}
 
+	/**
+	 * Suggestion for a search history entry
+	 */
+	toHistorySuggestion(entry) {
+		return {
+			type: entry.pinned ? 'pinned' : 'recent',
+			text: entry.query,
+			time: entry.time,
+			pinned: entry.pinned,
+			isHistory: true,
+			icon: entry.pinned ? '📌' : '🕐'
+		};
+	}
+
+	/**
+	 * Label shown next to a suggestion
+	 */
+	getSuggestionLabel(suggestion) {
+		if (suggestion.isHistory) {
+			return formatSearchTime(suggestion.time) || suggestion.type;
+		}
+
+		if (suggestion.count === null || suggestion.count === undefined) {
+			return suggestion.type;
+		}
+
+		return `${suggestion.type} · ${suggestion.count}`;
+	}
+
 	/**
 	 * Create suggestion container
 	 */
@@ -279,6 +385,9 @@ export class SearchHandler {
 			container.appendChild(item);
 		});
 
+		// Keep focus in the input so buttons can be used without closing the list
+		container.addEventListener('mousedown', (e) => e.preventDefault());
+
 		return container;
 	}
 
@@ -299,13 +408,27 @@ export class SearchHandler {
 			transition: background-color var(--transition-base);
 		`;
 
-		item.innerHTML = `
-			<span class="suggestion-icon">${suggestion.icon}</span>
-			<span class="suggestion-text">${suggestion.text}</span>
-			<span class="suggestion-type" style="margin-left: auto; font-size: var(--font-size-sm); color: var(--color-text-medium);">
-				${suggestion.type}
-			</span>
-		`;
+		const icon = document.createElement('span');
+		icon.className = 'suggestion-icon';
+		icon.textContent = suggestion.icon;
+
+		const text = document.createElement('span');
+		text.className = 'suggestion-text';
+		renderHighlighted(text, suggestion.text, suggestion.ranges);
+
+		const type = document.createElement('span');
+		type.className = 'suggestion-type';
+		type.style.cssText = 'margin-left: auto; font-size: var(--font-size-sm); color: var(--color-text-medium);';
+		type.textContent = this.getSuggestionLabel(suggestion);
+
+		item.append(icon, text, type);
+
+		if (suggestion.isHistory) {
+			item.append(
+				this.createHistoryButton('pin', suggestion.text, suggestion.pinned ? 'Unpin' : 'Pin', suggestion.pinned ? '📍' : '📌'),
+				this.createHistoryButton('remove', suggestion.text, 'Remove from history', '×')
+			);
+		}
 
 		// Hover effects
 		item.addEventListener('mouseenter', () => {
@@ -317,7 +440,14 @@ export class SearchHandler {
 		});
 
 		// Click handler
-		item.addEventListener('click', () => {
+		item.addEventListener('click', (e) => {
+			const button = e.target.closest('[data-history-action]');
+			if (button) {
+				e.stopPropagation();
+				this.handleHistoryAction(button.dataset.historyAction, button.dataset.query);
+				return;
+			}
+
 			this.selectSuggestion(suggestion);
 		});
 
@@ -333,6 +463,14 @@ export class SearchHandler {
 	 * Select suggestion
 	 */
 	selectSuggestion(suggestion) {
+		// Tags, authors and posts go straight to their page
+		if (suggestion.url) {
+			trackEvent('Search', 'Select Suggestion', suggestion.type);
+			this.hideSearchSuggestions();
+			window.location.href = suggestion.url;
+			return;
+		}
+
 		this.searchInput.value = suggestion.text;
 		this.currentQuery = suggestion.text;
 		this.hideSearchSuggestions();
@@ -340,21 +478,107 @@ export class SearchHandler {
 	}
 
 	/**
-	 * Show recent searches
+	 * Small button for pinning, removing and history settings
+	 */
+	createHistoryButton(action, query, label, text) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = `search-history-btn search-history-${action}`;
+		button.dataset.historyAction = action;
+		if (query) {
+			button.dataset.query = query;
+			button.setAttribute('aria-label', `${label}: ${query}`);
+		}
+		button.textContent = text;
+		button.style.cssText = `
+			background: none;
+			border: none;
+			color: var(--color-text-medium);
+			cursor: pointer;
+			font-size: var(--font-size-sm);
+			padding: 0 var(--space-xs);
+		`;
+
+		return button;
+	}
+
+	/**
+	 * Show recent and pinned searches, with history controls
 	 */
 	showRecentSearches() {
-		if (this.searchHistory.length === 0) return;
+		this.hideSearchSuggestions();
+
+		const isPaused = this.history.isPaused();
+		const entries = this.history.getEntries().slice(0, 8);
 
-		const suggestions = this.searchHistory.slice(0, 5).map(item => ({
-			type: 'recent',
-			text: item,
-			icon: '🕐'
-		}));
+		if (!isPaused && entries.length === 0) return;
 
+		const suggestions = entries.map(entry => this.toHistorySuggestion(entry));
 		const suggestionContainer = this.createSuggestionContainer(suggestions);
+
+		const footer = document.createElement('div');
+		footer.className = 'search-history-footer';
+		footer.style.cssText = `
+			display: flex;
+			gap: var(--space-sm);
+			justify-content: flex-end;
+			padding: var(--space-sm) var(--space-md);
+			font-size: var(--font-size-sm);
+			color: var(--color-text-medium);
+		`;
+
+		if (isPaused) {
+			const note = document.createElement('span');
+			note.textContent = 'Search history is off';
+			note.style.marginRight = 'auto';
+			footer.append(note, this.createHistoryButton('resume', null, '', 'Turn on'));
+		} else {
+			footer.append(
+				this.createHistoryButton('clear', null, '', 'Clear history'),
+				this.createHistoryButton('pause', null, '', 'Turn off history')
+			);
+		}
+
+		footer.addEventListener('click', (e) => {
+			const button = e.target.closest('[data-history-action]');
+			if (button) this.handleHistoryAction(button.dataset.historyAction);
+		});
+
+		suggestionContainer.appendChild(footer);
 		this.searchInput.parentElement.appendChild(suggestionContainer);
 	}
 
+	/**
+	 * Pin, remove, clear, pause or resume history, then redraw the list
+	 */
+	handleHistoryAction(action, query) {
+		switch (action) {
+			case 'pin':
+				this.history.togglePin(query);
+				break;
+			case 'remove':
+				this.history.remove(query);
+				break;
+			case 'clear':
+				this.history.clear({ keepPinned: true });
+				break;
+			case 'pause':
+				this.history.setPaused(true);
+				trackEvent('Search', 'History Off');
+				break;
+			case 'resume':
+				this.history.setPaused(false);
+				trackEvent('Search', 'History On');
+				break;
+		}
+
+		if (this.currentQuery) {
+			this.showSearchSuggestions(this.currentQuery);
+		} else {
+			this.showRecentSearches();
+		}
+	}
+
 	/**
 	 * Hide search suggestions
 	 */
@@ -431,61 +655,21 @@ export class SearchHandler {
 	 * Add to search history
 	 */
 	addToSearchHistory(query) {
-		// Remove if already exists
-		const index = this.searchHistory.indexOf(query);
-		if (index > -1) {
-			this.searchHistory.splice(index, 1);
-		}
-
-		// Add to beginning
-		this.searchHistory.unshift(query);
-
-		// Limit to 10 items
-		this.searchHistory = this.searchHistory.slice(0, 10);
-
-		// Save to localStorage
-		this.saveSearchHistory();
-	}
-
-	/**
-	 * Load search history
-	 */
-	loadSearchHistory() {
-		try {
-			const stored = localStorage.getItem('searchHistory');
-			return stored ? JSON.parse(stored) : [];
-		} catch (error) {
-			console.warn('Could not load search history:', error);
-			return [];
-		}
-	}
-
-	/**
-	 * Save search history
-	 */
-	saveSearchHistory() {
-		try {
-			localStorage.setItem('searchHistory', JSON.stringify(this.searchHistory));
-		} catch (error) {
-			console.warn('Could not save search history:', error);
-		}
+		this.history.add(query);
 	}
 
 	/**
 	 * Clear search history
 	 */
 	clearSearchHistory() {
-		this.searchHistory = [];
-		this.saveSearchHistory();
+		this.history.clear();
 	}
 
 	/**
 	 * Track search analytics
 	 */
 	trackSearch(query) {
-		if (typeof window.trackEvent === 'function') {
-			window.trackEvent('Search', 'Query', query);
-		}
+		trackEvent('Search', 'Query', query);
 	}
 
 	/**
@@ -496,17 +680,29 @@ export class SearchHandler {
 		if (this.searchInput.parentElement) {
 			this.searchInput.parentElement.style.position = 'relative';
 		}
-
-		// Pre-load common search data if available
-		this.preloadSearchData();
 	}
 
 	/**
-	 * Preload search data
+	 * Preload the search index used for suggestions
 	 */
-	preloadSearchData() {
-		// This could fetch available tags, recent posts, etc.
-		// For now, just set up the basic structure
+	async preloadSearchData() {
+		const index = getSearchIndex();
+		if (!index.isAvailable()) return;
+
+		try {
+			this.index = await index.ready();
+
+			// Show suggestions for anything typed while loading
+			if (
+				!this.isDestroyed &&
+				this.currentQuery &&
+				document.activeElement === this.searchInput
+			) {
+				this.showSearchSuggestions(this.currentQuery);
+			}
+		} catch (error) {
+			log.warn('Could not load suggestions:', error);
+		}
 	}
 
 	/**
@@ -514,7 +710,7 @@ export class SearchHandler {
 	 */
 	getSearchStats() {
 		return {
-			historyCount: this.searchHistory.length,
+			historyCount: this.history.entries.length,
 			currentQuery: this.currentQuery,
 			hasActiveSearch: this.currentQuery.length > 0
 		};
@@ -524,27 +720,14 @@ export class SearchHandler {
 	 * Destroy search handler
 	 */
 	destroy() {
-		// Remove event listeners
+		// Clean up suggestions
 		if (this.searchInput) {
-			this.searchInput.removeEventListener('keypress', this.handleKeypress);
-			this.searchInput.removeEventListener('input', this.handleInput);
-			this.searchInput.removeEventListener('focus', this.handleFocus);
-			this.searchInput.removeEventListener('blur', this.handleBlur);
-		}
-
-		if (this.searchIcon) {
-			this.searchIcon.removeEventListener('click', this.handleSearchIconClick);
-		}
-
-		if (this.searchForm) {
-			this.searchForm.removeEventListener('submit', this.handleFormSubmit);
+			this.hideSearchSuggestions();
 		}
 
-		document.removeEventListener('keydown', this.handleKeyboardShortcuts);
-
-		// Clean up suggestions
-		this.hideSearchSuggestions();
+		// Remove event listeners
+		super.destroy();
 
-		console.log('🔍 Search Handler destroyed');
+		log.debug('🔍 Search Handler destroyed');
 	}
 }
\ No newline at end of file
@@ -3,8 +3,12 @@
  * Converts Ghost's "5 hours ago" format to "5h" format
  */
 
+import { createLogger } from './logger';
+
+const log = createLogger('short-date-formatter');
+
 export function initShortDateFormatter() {
-  console.log('📅 Initializing Short Date Formatter...');
+  log.debug('📅 Initializing Short Date Formatter...');
 
   // Find all elements that might contain timeago dates
   const dateSelectors = [
@@ -19,7 +23,7 @@ export function initShortDateFormatter() {
   const allDateElements = document.querySelectorAll(dateSelectors.join(', '));
 
   if (allDateElements.length === 0) {
-    console.log('📅 No date elements found');
+    log.debug('📅 No date elements found');
     return;
   }
 
@@ -27,7 +31,7 @@ export function initShortDateFormatter() {
     shortenTimeagoText(element);
   });
 
-  console.log(`📅 Processed ${allDateElements.length} date elements`);
+  log.debug(`📅 Processed ${allDateElements.length} date elements`);
 }
 
 /**
@@ -288,5 +292,5 @@ export function observeNewDates() {
     subtree: true,
   });
 
-  console.log('📅 Date observer started for dynamic content');
+  log.debug('📅 Date observer started for dynamic content');
 }
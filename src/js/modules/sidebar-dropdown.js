@@ -3,13 +3,16 @@
  * Just handles open/close animations and icon transformations
  */
 
-import { debounce } from './theme';
+import { debounce, trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
 
-export class SidebarDropdown {
+const log = createLogger('sidebar-dropdown');
+
+export class SidebarDropdown extends ThemeModule {
   constructor() {
-    this.dropdownItems = document.querySelectorAll(
-      '.sidebar-nav .has-dropdown',
-    );
+    super('sidebar-dropdown');
+    this.dropdownItems = [];
     this.activeDropdowns = new Set();
 
     this.init();
@@ -19,15 +22,20 @@ export class SidebarDropdown {
    * Initialize sidebar dropdowns
    */
   init() {
+    this.dropdownItems = document.querySelectorAll(
+      '.sidebar-nav .has-dropdown',
+    );
+    this.activeDropdowns.clear();
+
     if (this.dropdownItems.length === 0) {
-      console.warn('No dropdown items found');
+      log.warn('No dropdown items found');
       return;
     }
 
     this.bindEvents();
     this.setInitialState();
 
-    console.log('📂 Sidebar Dropdowns initialized');
+    log.info('📂 Sidebar Dropdowns initialized');
   }
 
   /**
@@ -37,21 +45,20 @@ export class SidebarDropdown {
     this.dropdownItems.forEach((item) => {
       const link = item.querySelector('.sidebar-link');
       if (link) {
-        link.addEventListener('click', (e) =>
-          this.handleDropdownClick(e, item),
-        );
+        this.listen(link, 'click', (e) => this.handleDropdownClick(e, item));
       }
     });
 
     // Close dropdowns when clicking outside sidebar
-    document.addEventListener('click', (e) => {
+    this.listen(document, 'click', (e) => {
       if (!e.target.closest('.sidebar')) {
         this.closeAllDropdowns();
       }
     });
 
     // Handle window resize
-    window.addEventListener(
+    this.listen(
+      window,
       'resize',
       debounce(() => {
         this.handleResize();
@@ -195,28 +202,29 @@ export class SidebarDropdown {
     const dropdownType =
       dropdownItem.getAttribute('data-dropdown-type') || 'unknown';
 
-    if (typeof window.trackEvent === 'function') {
-      window.trackEvent('Navigation', `Dropdown ${action}`, dropdownType);
-    }
+    trackEvent('Navigation', `Dropdown ${action}`, dropdownType);
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      dropdownCount: this.dropdownItems.length,
+      openDropdowns: this.activeDropdowns.size,
+    };
   }
 
   /**
    * Destroy the sidebar dropdown
    */
   destroy() {
-    // Remove event listeners
-    this.dropdownItems.forEach((item) => {
-      const link = item.querySelector('.sidebar-link');
-      if (link) {
-        link.removeEventListener('click', this.handleDropdownClick);
-      }
-    });
-
-    document.removeEventListener('click', this.closeAllDropdowns);
-
     // Close all dropdowns
     this.closeAllDropdowns();
 
-    console.log('📂 Sidebar Dropdowns destroyed');
+    super.destroy();
+
+    log.debug('📂 Sidebar Dropdowns destroyed');
   }
 }
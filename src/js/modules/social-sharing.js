@@ -4,6 +4,12 @@
  * Supports: Clipboard, Email, WhatsApp, Native Share, Mastodon, and more
  */
 
+import { consent } from './consent';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('social-sharing');
+
 // Rate limiter utility to prevent abuse
 const RateLimiter = {
   getKey(action) {
@@ -164,7 +170,7 @@ function handleDropdownToggle(e) {
 }
 
 // Enhanced keyboard navigation for share dropdowns
-function setupShareDropdownKeyboard() {
+function setupShareDropdownKeyboard(module) {
   // Add keyboard support to all share dropdown buttons
   const shareDropdownButtons = document.querySelectorAll(
     '.share-dropdown .share-dropbtn',
@@ -178,7 +184,7 @@ function setupShareDropdownKeyboard() {
     button.setAttribute('tabindex', '0');
 
     // Handle keyboard events on dropdown button
-    button.addEventListener('keydown', (e) => {
+    module.listen(button, 'keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         handleDropdownToggle(e);
@@ -196,7 +202,7 @@ function setupShareDropdownKeyboard() {
     const links = dropdown.querySelectorAll('.share-dropdown-content a');
 
     links.forEach((link, index) => {
-      link.addEventListener('keydown', (e) => {
+      module.listen(link, 'keydown', (e) => {
         switch (e.key) {
           case 'Escape':
             e.preventDefault();
@@ -253,7 +259,7 @@ async function handleClipboardClick(e) {
   e.stopPropagation();
 
   if (!RateLimiter.checkLimit('clipboardCopy', 10)) {
-    console.warn('Too many clipboard attempts');
+    log.warn('Too many clipboard attempts');
     return;
   }
 
@@ -280,7 +286,7 @@ async function handleClipboardClick(e) {
     await navigator.clipboard.writeText(url);
     showCopyAlert(e.target, true);
   } catch (err) {
-    console.error('Failed to copy URL:', err);
+    log.error('Failed to copy URL:', err);
     showCopyAlert(e.target, false);
   }
 }
@@ -291,7 +297,7 @@ function handleEmailShare(e) {
   e.stopPropagation();
 
   if (!RateLimiter.checkLimit('emailShare', 10)) {
-    console.warn('Too many email share attempts');
+    log.warn('Too many email share attempts');
     return;
   }
 
@@ -367,10 +373,10 @@ function handleNativeShare(e) {
   if (navigator.share) {
     navigator
       .share(shareData)
-      .then(() => console.log('Shared successfully'))
+      .then(() => log.debug('Shared successfully'))
       .catch((err) => {
         if (err.name !== 'AbortError') {
-          console.error('Share failed:', err);
+          log.error('Share failed:', err);
         }
       });
   }
@@ -413,7 +419,7 @@ function handleMastodonShare(e) {
   e.stopPropagation();
 
   if (!RateLimiter.checkLimit('mastodonShare', 10)) {
-    console.warn('Too many share attempts');
+    log.warn('Too many share attempts');
     return;
   }
 
@@ -449,66 +455,89 @@ function handleMastodonShare(e) {
     const shareText = `${sanitizedTitle}\n\n${url}`;
     const shareUrl = `https://${cleanInstance}/share?text=${encodeURIComponent(shareText)}`;
     window.open(shareUrl, '_blank', 'noopener,noreferrer');
-    localStorage.setItem('mastodon-instance', cleanInstance);
+
+    if (consent.has('preferences')) {
+      localStorage.setItem('mastodon-instance', cleanInstance);
+    }
   }
 }
 
 /**
- * Initialize social sharing functionality
- * Main export function that sets up all sharing and accessibility features
+ * Social Sharing
+ * Sets up all sharing and accessibility features
  */
-export function initSocialSharing() {
-  // Set up accessible keyboard navigation for share dropdowns
-  setupShareDropdownKeyboard();
-
-  // Handle dropdown toggle and sharing clicks
-  document.addEventListener('click', (e) => {
-    // Check if share dropdown button was clicked (specific targeting to avoid conflicts)
-    if (e.target.closest('.share-dropdown .share-dropbtn')) {
-      handleDropdownToggle(e);
-      return;
-    }
+export class SocialSharing extends ThemeModule {
+  constructor() {
+    super('social-sharing');
+    this.init();
+  }
+
+  init() {
+    // Set up accessible keyboard navigation for share dropdowns
+    setupShareDropdownKeyboard(this);
+
+    // Handle dropdown toggle and sharing clicks
+    this.listen(document, 'click', (e) => {
+      // Check if share dropdown button was clicked (specific targeting to avoid conflicts)
+      if (e.target.closest('.share-dropdown .share-dropbtn')) {
+        handleDropdownToggle(e);
+        return;
+      }
+
+      // Check for sharing buttons
+      const copyUrlButton = e.target.closest('.copy-url');
+      const emailShareButton = e.target.closest('.email-share');
+      const nativeShareButton = e.target.closest('.native-share');
+      const whatsappShareButton = e.target.closest('.whatsapp-share');
+      const mastodonShareButton = e.target.closest('.mastodon-share');
+
+      // Handle different sharing actions
+      if (copyUrlButton) {
+        handleClipboardClick(e);
+      } else if (emailShareButton) {
+        handleEmailShare(e);
+      } else if (nativeShareButton) {
+        handleNativeShare(e);
+      } else if (whatsappShareButton) {
+        handleWhatsAppShare(e);
+      } else if (mastodonShareButton) {
+        handleMastodonShare(e);
+      } else {
+        // Click outside share dropdown - close all share dropdowns
+        if (!e.target.closest('.share-dropdown')) {
+          hideAllDropdowns();
+        }
+      }
+    });
 
-    // Check for sharing buttons
-    const copyUrlButton = e.target.closest('.copy-url');
-    const emailShareButton = e.target.closest('.email-share');
-    const nativeShareButton = e.target.closest('.native-share');
-    const whatsappShareButton = e.target.closest('.whatsapp-share');
-    const mastodonShareButton = e.target.closest('.mastodon-share');
-
-    // Handle different sharing actions
-    if (copyUrlButton) {
-      handleClipboardClick(e);
-    } else if (emailShareButton) {
-      handleEmailShare(e);
-    } else if (nativeShareButton) {
-      handleNativeShare(e);
-    } else if (whatsappShareButton) {
-      handleWhatsAppShare(e);
-    } else if (mastodonShareButton) {
-      handleMastodonShare(e);
-    } else {
-      // Click outside share dropdown - close all share dropdowns
-      if (!e.target.closest('.share-dropdown')) {
+    // Global ESC key handler for share dropdowns
+    this.listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape') {
         hideAllDropdowns();
       }
-    }
-  });
+    });
 
-  // Global ESC key handler for share dropdowns
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-      hideAllDropdowns();
+    // Show native share buttons if supported
+    if (navigator.share) {
+      const nativeShareButtons = document.querySelectorAll('.native-share');
+      nativeShareButtons.forEach((btn) => {
+        btn.style.display = 'block';
+      });
     }
-  });
 
-  // Show native share buttons if supported
-  if (navigator.share) {
-    const nativeShareButtons = document.querySelectorAll('.native-share');
-    nativeShareButtons.forEach((btn) => {
-      btn.style.display = 'block';
-    });
+    log.info('✅ Accessible social sharing initialized');
   }
 
-  console.log('✅ Accessible social sharing initialized');
+  destroy() {
+    hideAllDropdowns();
+    super.destroy();
+  }
+}
+
+/**
+ * Initialize social sharing functionality
+ * Main export function that sets up all sharing and accessibility features
+ */
+export function initSocialSharing() {
+  return new SocialSharing();
 }
@@ -0,0 +1,309 @@
+/**
+ * Storage Layer
+ * Keeps small JSON documents (search history, saved posts, ...) in
+ * localStorage and, for signed-in members, syncs them to the endpoint set
+ * in the **Sync endpoint** theme setting.
+ *
+ * Local copies respect consent (see consent.js). Remote requests carry the
+ * member's Ghost identity token (from /members/api/session) so the endpoint
+ * can verify who they belong to: GET, PUT and DELETE <endpoint>/<key>, with
+ * the document as JSON: { value, updatedAt }.
+ *
+ * When both copies exist the newer one wins.
+ *
+ * Usage:
+ * import { createStore } from './storage';
+ * const store = createStore('searchHistory', { category: 'preferences' });
+ * const history = (await store.load()) || [];
+ * store.save([...history, entry]);
+ */
+
+import { consent } from './consent';
+import { createLogger } from './logger';
+
+const log = createLogger('storage');
+
+const SESSION_URL = '/members/api/session';
+
+let tokenPromise = null;
+
+export class StorageError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Sync settings from <body>
+ */
+export function readSyncConfig(root = document) {
+  const body = root.body;
+
+  return {
+    endpoint: (body && body.dataset.syncEndpoint) || null,
+    isMember: !!body && body.hasAttribute('data-member'),
+  };
+}
+
+/**
+ * Ghost identity token for the signed-in member, or null
+ */
+export function getIdentityToken() {
+  if (!tokenPromise) {
+    tokenPromise = fetch(SESSION_URL, { credentials: 'same-origin' })
+      .then((response) => (response.ok ? response.text() : null))
+      .catch(() => null)
+      .then((token) => {
+        // Ask again next time if there was no session
+        if (!token) tokenPromise = null;
+        return token || null;
+      });
+  }
+
+  return tokenPromise;
+}
+
+/**
+ * Fetch a new token next time (after the server rejects one)
+ */
+export function forgetIdentityToken() {
+  tokenPromise = null;
+}
+
+/**
+ * localStorage, gated by a consent category
+ */
+export class LocalAdapter {
+  constructor({ category = 'preferences', storage = null } = {}) {
+    this.category = category;
+    this.storage = storage;
+  }
+
+  getStorage() {
+    return this.storage || window.localStorage;
+  }
+
+  async get(key) {
+    try {
+      const stored = this.getStorage().getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      log.warn(`Could not read ${key}:`, error);
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    if (!consent.has(this.category)) return false;
+
+    try {
+      this.getStorage().setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      log.warn(`Could not save ${key}:`, error);
+      return false;
+    }
+  }
+
+  async remove(key) {
+    try {
+      this.getStorage().removeItem(key);
+    } catch (error) {
+      // Nothing to remove
+    }
+  }
+}
+
+/**
+ * Remote endpoint authenticated with the member's identity token
+ */
+export class HttpAdapter {
+  constructor({ endpoint }) {
+    this.endpoint = endpoint.replace(/\/$/, '');
+  }
+
+  async request(method, key, body) {
+    const token = await getIdentityToken();
+    if (!token) {
+      throw new StorageError('No member session');
+    }
+
+    const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      // Let saves finish when the page is closing
+      keepalive: method !== 'GET',
+    });
+
+    if (response.status === 401) {
+      // Token expired; fetch a new one next time
+      forgetIdentityToken();
+    }
+
+    if (method === 'GET' && response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new StorageError(
+        `${method} ${key} failed: HTTP ${response.status}`,
+        response.status,
+      );
+    }
+
+    return method === 'GET' ? response.json() : null;
+  }
+
+  get(key) {
+    return this.request('GET', key);
+  }
+
+  set(key, value) {
+    return this.request('PUT', key, value);
+  }
+
+  remove(key) {
+    return this.request('DELETE', key);
+  }
+}
+
+/**
+ * One document stored locally and, optionally, remotely
+ */
+export class SyncedStore {
+  constructor(key, { local, remote = null, syncDelay = 2000 } = {}) {
+    this.key = key;
+    this.local = local;
+    this.remote = remote;
+    this.syncDelay = syncDelay;
+    this.syncTimer = null;
+    this.pending = null;
+
+    if (remote) {
+      window.addEventListener('pagehide', () => this.flush());
+    }
+  }
+
+  isSynced() {
+    return !!this.remote;
+  }
+
+  /**
+   * Read the newest copy; resolves to the value or null
+   */
+  async load() {
+    const localDoc = toDocument(await this.local.get(this.key));
+    if (!this.remote) return localDoc ? localDoc.value : null;
+
+    let remoteDoc = null;
+    try {
+      remoteDoc = toDocument(await this.remote.get(this.key));
+    } catch (error) {
+      log.warn(`Could not sync ${this.key}:`, error);
+      return localDoc ? localDoc.value : null;
+    }
+
+    if (remoteDoc && (!localDoc || remoteDoc.updatedAt > localDoc.updatedAt)) {
+      await this.local.set(this.key, remoteDoc);
+      return remoteDoc.value;
+    }
+
+    if (localDoc && (!remoteDoc || localDoc.updatedAt > remoteDoc.updatedAt)) {
+      this.pending = localDoc;
+      this.scheduleSync();
+    }
+
+    return localDoc ? localDoc.value : null;
+  }
+
+  /**
+   * Save locally now and remotely after a short delay
+   */
+  async save(value) {
+    const doc = { value, updatedAt: Date.now() };
+    const saved = await this.local.set(this.key, doc);
+
+    // Without consent the value is neither stored nor synced
+    if (this.remote && saved) {
+      this.pending = doc;
+      this.scheduleSync();
+    }
+
+    return saved;
+  }
+
+  scheduleSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.flush(), this.syncDelay);
+  }
+
+  /**
+   * Send the latest unsynced copy now
+   */
+  async flush() {
+    clearTimeout(this.syncTimer);
+
+    const doc = this.pending;
+    if (!doc || !this.remote) return;
+    this.pending = null;
+
+    try {
+      await this.remote.set(this.key, doc);
+    } catch (error) {
+      log.warn(`Could not sync ${this.key}:`, error);
+    }
+  }
+
+  /**
+   * Delete both copies
+   */
+  async clear() {
+    clearTimeout(this.syncTimer);
+    this.pending = null;
+    await this.local.remove(this.key);
+
+    if (this.remote) {
+      try {
+        await this.remote.remove(this.key);
+      } catch (error) {
+        log.warn(`Could not delete synced ${this.key}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Wrap values saved before this layer existed
+ */
+function toDocument(stored) {
+  if (stored === null || stored === undefined) return null;
+
+  if (
+    typeof stored === 'object' &&
+    !Array.isArray(stored) &&
+    'value' in stored &&
+    'updatedAt' in stored
+  ) {
+    return stored;
+  }
+
+  return { value: stored, updatedAt: 0 };
+}
+
+/**
+ * Store for a key, synced when a member is signed in and an endpoint is set
+ */
+export function createStore(key, { category = 'preferences' } = {}) {
+  const { endpoint, isMember } = readSyncConfig();
+
+  return new SyncedStore(key, {
+    local: new LocalAdapter({ category }),
+    remote: endpoint && isMember ? new HttpAdapter({ endpoint }) : null,
+  });
+}
@@ -3,8 +3,16 @@
  * Handles subscription button interactions and Ghost portal integration
  */
 
-export class SubscribeButtons {
+import { consent } from './consent';
+import { trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('subscribe-buttons');
+
+export class SubscribeButtons extends ThemeModule {
 	constructor() {
+		super('subscribe-buttons');
 		this.buttons = document.querySelectorAll('.subscribe-btn-small, .subscribe-btn, .cta-btn[data-portal]');
 		this.emailInputs = document.querySelectorAll('.cta-email-input, .email-input');
 		this.subscriptionStates = new Map();
@@ -17,14 +25,14 @@ export class SubscribeButtons {
 	 */
 	init() {
 		if (this.buttons.length === 0) {
-			console.warn('No subscribe buttons found');
+			log.warn('No subscribe buttons found');
 			return;
 		}
 
 		this.bindEvents();
 		this.loadSubscriptionStates();
 
-		console.log('📧 Subscribe Buttons initialized');
+		log.info('📧 Subscribe Buttons initialized');
 	}
 
 	/**
@@ -32,18 +40,18 @@ export class SubscribeButtons {
 	 */
 	bindEvents() {
 		this.buttons.forEach(button => {
-			button.addEventListener('click', (e) => this.handleButtonClick(e));
+			this.listen(button, 'click', (e) => this.handleButtonClick(e));
 		});
 
 		this.emailInputs.forEach(input => {
-			input.addEventListener('keypress', (e) => this.handleEmailKeypress(e));
-			input.addEventListener('input', (e) => this.handleEmailInput(e));
+			this.listen(input, 'keypress', (e) => this.handleEmailKeypress(e));
+			this.listen(input, 'input', (e) => this.handleEmailInput(e));
 		});
 
 		// Listen for Ghost portal events
-		window.addEventListener('portal-ready', () => this.handlePortalReady());
-		window.addEventListener('portal-signup', (e) => this.handlePortalSignup(e));
-		window.addEventListener('portal-signin', (e) => this.handlePortalSignin(e));
+		this.listen(window, 'portal-ready', () => this.handlePortalReady());
+		this.listen(window, 'portal-signup', (e) => this.handlePortalSignup(e));
+		this.listen(window, 'portal-signin', (e) => this.handlePortalSignin(e));
 	}
 
 	/**
@@ -333,16 +341,16 @@ export class SubscribeButtons {
 	 * Handle Ghost portal events
 	 */
 	handlePortalReady() {
-		console.log('📧 Ghost Portal ready');
+		log.debug('📧 Ghost Portal ready');
 	}
 
 	handlePortalSignup(event) {
-		console.log('📧 Portal signup:', event.detail);
+		log.debug('📧 Portal signup:', event.detail);
 		this.trackSubscriptionEvent('Portal Signup', 'Success');
 	}
 
 	handlePortalSignin(event) {
-		console.log('📧 Portal signin:', event.detail);
+		log.debug('📧 Portal signin:', event.detail);
 		this.trackSubscriptionEvent('Portal Signin', 'Success');
 	}
 
@@ -367,7 +375,7 @@ export class SubscribeButtons {
 				this.applyStoredStates();
 			}
 		} catch (error) {
-			console.warn('Could not load subscription states:', error);
+			log.warn('Could not load subscription states:', error);
 		}
 	}
 
@@ -375,11 +383,13 @@ export class SubscribeButtons {
 	 * Save subscription states to sessionStorage
 	 */
 	saveSubscriptionStates() {
+		if (!consent.has('preferences')) return;
+
 		try {
 			const states = Object.fromEntries(this.subscriptionStates);
 			sessionStorage.setItem('subscriptionStates', JSON.stringify(states));
 		} catch (error) {
-			console.warn('Could not save subscription states:', error);
+			log.warn('Could not save subscription states:', error);
 		}
 	}
 
@@ -401,24 +411,15 @@ export class SubscribeButtons {
 	 * Track analytics events
 	 */
 	trackSubscriptionEvent(action, label) {
-		if (typeof window.trackEvent === 'function') {
-			window.trackEvent('Subscription', action, label);
-		}
+		trackEvent('Subscription', action, label);
 	}
 
 	/**
 	 * Destroy the subscribe buttons
 	 */
 	destroy() {
-		this.buttons.forEach(button => {
-			button.removeEventListener('click', this.handleButtonClick);
-		});
-
-		this.emailInputs.forEach(input => {
-			input.removeEventListener('keypress', this.handleEmailKeypress);
-			input.removeEventListener('input', this.handleEmailInput);
-		});
+		super.destroy();
 
-		console.log('📧 Subscribe Buttons destroyed');
+		log.debug('📧 Subscribe Buttons destroyed');
 	}
 }
\ No newline at end of file
@@ -3,6 +3,11 @@
  * Handles the display and cycling of testimonial quotes
  */
 
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('testimonials');
+
 /**
  * Testimonials Configuration
  * Controls the rotation of testimonial quotes
@@ -135,48 +140,27 @@ function sanitizeHTML(html) {
     .replace(/vbscript:/gi, ''); // Remove vbscript: protocol
 }
 
-/**
- * Initialize Testimonials Rotation
- * Handles the display and cycling of testimonial quotes
- */
-export function initTestimonials() {
-  const testimonialElement = document.getElementById('testimonal');
-  if (!testimonialElement) {
-    console.log('No testimonial element found');
-    return;
-  }
-
-  // Create a shuffled array of indices
-  let indices = Array.from(
-    { length: TESTIMONIALS_CONFIG.testimonials.length },
-    (_, i) => i,
-  );
-  let currentIndex = 0;
-
-  // Fisher-Yates shuffle algorithm
-  function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+// Fisher-Yates shuffle algorithm
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
   }
+  return array;
+}
 
-  // Initial shuffle
-  indices = shuffleArray(indices);
-
-  // Create testimonial HTML with proper sanitization
-  function createTestimonialHTML(testimonial) {
-    // Sanitize the input data
-    const sanitizedQuote = sanitizeHTML(testimonial.quote);
-    const sanitizedAuthor = sanitizeHTML(testimonial.author);
-    const sanitizedLink = sanitizeHTML(testimonial.link);
-    const sanitizedAvatar = sanitizeHTML(testimonial.avatar);
+// Create testimonial HTML with proper sanitization
+function createTestimonialHTML(testimonial) {
+  // Sanitize the input data
+  const sanitizedQuote = sanitizeHTML(testimonial.quote);
+  const sanitizedAuthor = sanitizeHTML(testimonial.author);
+  const sanitizedLink = sanitizeHTML(testimonial.link);
+  const sanitizedAvatar = sanitizeHTML(testimonial.avatar);
 
-    // Replace straight apostrophes with curly ones
-    const withCurlyApostrophes = sanitizedQuote.replaceAll("'", '\u2019');
+  // Replace straight apostrophes with curly ones
+  const withCurlyApostrophes = sanitizedQuote.replaceAll("'", '\u2019');
 
-    return `<div class="testimonial-content">
+  return `<div class="testimonial-content">
 			<q>${withCurlyApostrophes}</q>
 			<cite><img class="avatar"
 				 src="${sanitizedAvatar}"
@@ -185,9 +169,51 @@ export function initTestimonials() {
 				 <a href="${sanitizedLink}">${sanitizedAuthor} <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-arrow-up-right-icon lucide-arrow-up-right"><path d="M7 7h10v10"/><path d="M7 17 17 7"/></svg></a>
 			</cite>
 		</div>`;
+}
+
+/**
+ * Testimonials Rotation
+ * Handles the display and cycling of testimonial quotes
+ */
+export class Testimonials extends ThemeModule {
+  constructor() {
+    super('testimonials');
+    this.testimonialElement = null;
+    this.indices = [];
+    this.currentIndex = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.testimonialElement = document.getElementById('testimonal');
+    if (!this.testimonialElement) {
+      log.debug('No testimonial element found');
+      return;
+    }
+
+    // Create a shuffled array of indices
+    this.indices = shuffleArray(
+      Array.from({ length: TESTIMONIALS_CONFIG.testimonials.length }, (_, i) => i),
+    );
+    this.currentIndex = 0;
+
+    this.injectStyles();
+
+    // Initialize with first testimonial
+    this.updateTestimonial();
+
+    // Set up interval for testimonial rotation
+    this.interval(
+      () => this.updateTestimonial(),
+      TESTIMONIALS_CONFIG.updateInterval,
+    );
+
+    log.info('✅ Testimonials initialized');
   }
 
-  function updateTestimonial() {
+  updateTestimonial() {
+    const { testimonialElement } = this;
     if (!testimonialElement) return;
 
     const content = testimonialElement.querySelector('.testimonial-content');
@@ -195,10 +221,10 @@ export function initTestimonials() {
       // Add fade-out class to start the exit animation
       content.classList.add('fade-out');
 
-      setTimeout(() => {
+      this.timeout(() => {
         // Get testimonial using shuffled index
         const testimonial =
-          TESTIMONIALS_CONFIG.testimonials[indices[currentIndex]];
+          TESTIMONIALS_CONFIG.testimonials[this.indices[this.currentIndex]];
 
         testimonialElement.innerHTML = createTestimonialHTML(testimonial);
         const newContent = testimonialElement.querySelector(
@@ -221,17 +247,18 @@ export function initTestimonials() {
         }
 
         // Increment index and reshuffle if we've shown all quotes
-        currentIndex = (currentIndex + 1) % indices.length;
-        if (currentIndex === 0) {
-          indices = shuffleArray(indices);
+        this.currentIndex = (this.currentIndex + 1) % this.indices.length;
+        if (this.currentIndex === 0) {
+          this.indices = shuffleArray(this.indices);
         }
       }, TESTIMONIALS_CONFIG.fadeTransitionMs * 1);
     }
   }
 
   // Add CSS for testimonial transitions
-  const style = document.createElement('style');
-  style.textContent = `
+  injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
 		.testimonial-content {
 			opacity: 1;
 			transform: translateY(0);
@@ -247,13 +274,22 @@ export function initTestimonials() {
 			transform: translateY(-20px);
 		}
 	`;
-  document.head.appendChild(style);
-
-  // Initialize with first testimonial
-  updateTestimonial();
+    document.head.appendChild(style);
+    this.onDestroy(() => style.remove());
+  }
 
-  // Set up interval for testimonial rotation
-  setInterval(updateTestimonial, TESTIMONIALS_CONFIG.updateInterval);
+  getState() {
+    return {
+      ...super.getState(),
+      currentIndex: this.currentIndex,
+      total: this.indices.length,
+    };
+  }
+}
 
-  console.log('✅ Testimonials initialized');
+/**
+ * Initialize Testimonials Rotation
+ */
+export function initTestimonials() {
+  return new Testimonials();
 }
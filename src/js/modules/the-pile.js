@@ -3,8 +3,14 @@
  * Creates a messy, overlapping pile of cards that can be "picked up" on hover
  */
 
-export class ThePile {
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('the-pile');
+
+export class ThePile extends ThemeModule {
   constructor() {
+    super('the-pile');
     this.pile = document.querySelector('.the-pile');
     if (!this.pile) return;
 
@@ -18,7 +24,7 @@ export class ThePile {
   }
 
   init() {
-    console.log('🃏 The Pile initializing with', this.cards.length, 'cards');
+    log.debug('🃏 The Pile initializing with', this.cards.length, 'cards');
 
     // Scatter cards on load
     this.scatterCards();
@@ -32,7 +38,7 @@ export class ThePile {
     // Handle window resize
     this.handleResize();
 
-    console.log('✅ The Pile initialized');
+    log.info('✅ The Pile initialized');
   }
 
   scatterCards() {
@@ -82,17 +88,17 @@ export class ThePile {
   addHoverInteractions() {
     this.cards.forEach((card) => {
       // Mouse enter - "pick up" the card
-      card.addEventListener('mouseenter', () => {
+      this.listen(card, 'mouseenter', () => {
         this.pickUpCard(card);
       });
 
       // Mouse leave - "put down" the card
-      card.addEventListener('mouseleave', () => {
+      this.listen(card, 'mouseleave', () => {
         this.putDownCard(card);
       });
 
       // Touch support for mobile
-      card.addEventListener('touchstart', (e) => {
+      this.listen(card, 'touchstart', (e) => {
         // Prevent default to avoid hover issues on mobile
         if (this.isMobile) {
           this.pickUpCard(card);
@@ -151,16 +157,16 @@ export class ThePile {
       }
 
       // Focus events mirror hover
-      card.addEventListener('focus', () => {
+      this.listen(card, 'focus', () => {
         this.pickUpCard(card);
       });
 
-      card.addEventListener('blur', () => {
+      this.listen(card, 'blur', () => {
         this.putDownCard(card);
       });
 
       // Enter key to follow link
-      card.addEventListener('keydown', (e) => {
+      this.listen(card, 'keydown', (e) => {
         if (e.key === 'Enter') {
           const link = card.querySelector('a');
           if (link) {
@@ -173,7 +179,7 @@ export class ThePile {
 
   handleResize() {
     let resizeTimer;
-    window.addEventListener('resize', () => {
+    this.listen(window, 'resize', () => {
       clearTimeout(resizeTimer);
       resizeTimer = setTimeout(() => {
         const wasMobile = this.isMobile;
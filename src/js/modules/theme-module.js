@@ -0,0 +1,156 @@
+/**
+ * Theme Module Base Class
+ * Lifecycle contract shared by all theme modules:
+ *
+ * - init()     set up DOM references, listeners and timers
+ * - refresh()  re-read the DOM after content changes
+ * - destroy()  release everything init() created
+ * - getState() report current state for debugging
+ *
+ * Listeners, timers and observers created through the helpers below
+ * are released automatically by destroy(), so subclasses only need to
+ * override it for cleanup the base class can't know about.
+ *
+ * Usage:
+ * export class MyFeature extends ThemeModule {
+ *   constructor() {
+ *     super('my-feature');
+ *     this.init();
+ *   }
+ *
+ *   init() {
+ *     this.listen(window, 'resize', () => this.refresh());
+ *   }
+ * }
+ */
+
+import { createLogger } from './logger';
+
+const log = createLogger('theme-module');
+
+export class ThemeModule {
+  constructor(name = 'module') {
+    this.moduleName = name;
+    this.isDestroyed = false;
+    this.teardowns = [];
+    this.timers = new Set();
+    this.isTrackingTimers = false;
+  }
+
+  /**
+   * Set up the module (implemented by subclasses)
+   */
+  init() {}
+
+  /**
+   * Re-initialize against the current DOM
+   */
+  refresh() {
+    this.destroy();
+    this.isDestroyed = false;
+    this.init();
+  }
+
+  /**
+   * Release listeners, timers and observers
+   */
+  destroy() {
+    this.teardowns.splice(0).forEach((teardown) => {
+      try {
+        teardown();
+      } catch (error) {
+        log.warn(`${this.moduleName}: teardown failed`, error);
+      }
+    });
+
+    this.isDestroyed = true;
+  }
+
+  /**
+   * Get current state
+   */
+  getState() {
+    return {
+      name: this.moduleName,
+      isDestroyed: this.isDestroyed,
+      activeTimers: this.timers.size,
+    };
+  }
+
+  /**
+   * Register a cleanup callback to run on destroy()
+   */
+  onDestroy(teardown) {
+    this.teardowns.push(teardown);
+    return teardown;
+  }
+
+  /**
+   * Add an event listener that is removed on destroy()
+   */
+  listen(target, type, handler, options) {
+    if (!target) return handler;
+
+    target.addEventListener(type, handler, options);
+    this.onDestroy(() => target.removeEventListener(type, handler, options));
+
+    return handler;
+  }
+
+  /**
+   * setTimeout that is cleared on destroy()
+   */
+  timeout(callback, delay) {
+    const id = setTimeout(() => {
+      this.timers.delete(id);
+      callback();
+    }, delay);
+
+    this.timers.add(id);
+    this.trackTimers();
+
+    return id;
+  }
+
+  /**
+   * setInterval that is cleared on destroy()
+   */
+  interval(callback, delay) {
+    const id = setInterval(callback, delay);
+
+    this.timers.add(id);
+    this.trackTimers();
+
+    return id;
+  }
+
+  /**
+   * Clear a timer created with timeout() or interval()
+   */
+  clearTimer(id) {
+    clearTimeout(id);
+    clearInterval(id);
+    this.timers.delete(id);
+  }
+
+  /**
+   * Clear all tracked timers once, on destroy()
+   */
+  trackTimers() {
+    if (this.isTrackingTimers) return;
+    this.isTrackingTimers = true;
+
+    this.onDestroy(() => {
+      this.timers.forEach((id) => this.clearTimer(id));
+      this.isTrackingTimers = false;
+    });
+  }
+
+  /**
+   * Track an observer (Intersection, Mutation, Resize) for disconnect on destroy()
+   */
+  observe(observer) {
+    this.onDestroy(() => observer.disconnect());
+    return observer;
+  }
+}
@@ -2,10 +2,19 @@
  * Core theme initialization and utilities
  */
 
+let isThemeInitialized = false;
+
 /**
  * Initialize core theme functionality
+ * Safe to call again on re-initialization; window listeners bind once
  */
 export function initializeTheme() {
+	if (isThemeInitialized) {
+		initializePerformanceOptimizations();
+		return;
+	}
+	isThemeInitialized = true;
+
 	// Set theme version for debugging
 	window.THEME_VERSION = '1.0.0';
 
@@ -182,29 +191,33 @@ export function getBreakpoint() {
 }
 
 /**
- * Analytics tracking helper
+ * Fetch a Ghost page and parse it into a Document
+ * Shared by InfiniteScroll and the page router
  */
-export function trackEvent(category, action, label, value) {
-	// Google Analytics 4
-	if (typeof gtag !== 'undefined') {
-		gtag('event', action, {
-			event_category: category,
-			event_label: label,
-			value: value
-		});
-	}
+export async function fetchDocument(url, options = {}) {
+	const response = await fetch(url, {
+		credentials: 'same-origin',
+		headers: {
+			'X-Requested-With': 'XMLHttpRequest'
+		},
+		...options
+	});
 
-	// Custom analytics
-	if (window.analytics && typeof window.analytics.track === 'function') {
-		window.analytics.track(action, {
-			category,
-			label,
-			value
-		});
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}: ${response.statusText}`);
 	}
 
-	// Console log for development
-	if (process.env.NODE_ENV === 'development') {
-		console.log('📊 Analytics Event:', { category, action, label, value });
-	}
-}
\ No newline at end of file
+	const html = await response.text();
+	const parser = new DOMParser();
+
+	return {
+		doc: parser.parseFromString(html, 'text/html'),
+		url: response.url || url
+	};
+}
+
+/**
+ * Analytics tracking helper
+ * Sent through the provider configured in the analytics module
+ */
+export { trackEvent } from './analytics';
@@ -3,8 +3,14 @@
  * Enhances touch interactions for mobile devices
  */
 
-export class TouchImprovements {
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('touch-improvements');
+
+export class TouchImprovements extends ThemeModule {
 	constructor() {
+		super('touch-improvements');
 		this.isTouchDevice = this.detectTouchDevice();
 		this.scrollElements = [];
 		this.touchStartTime = 0;
@@ -18,7 +24,7 @@ export class TouchImprovements {
 	 */
 	init() {
 		if (!this.isTouchDevice) {
-			console.log('👆 Touch device not detected, skipping touch improvements');
+			log.debug('👆 Touch device not detected, skipping touch improvements');
 			return;
 		}
 
@@ -28,7 +34,7 @@ export class TouchImprovements {
 		this.enhanceTouchTargets();
 		this.setupSwipeGestures();
 
-		console.log('👆 Touch Improvements initialized');
+		log.info('👆 Touch Improvements initialized');
 	}
 
 	/**
@@ -63,7 +69,7 @@ export class TouchImprovements {
 	 * Prevent double-tap zoom on iOS
 	 */
 	preventDoubleTapZoom() {
-		document.addEventListener('touchend', (event) => {
+		this.listen(document, 'touchend', (event) => {
 			const now = new Date().getTime();
 
 			if (now - this.lastTouchEnd <= 300) {
@@ -98,14 +104,14 @@ export class TouchImprovements {
 		let startX = 0;
 		let scrollLeft = 0;
 
-		element.addEventListener('touchstart', (e) => {
+		this.listen(element, 'touchstart', (e) => {
 			isScrolling = false;
 			startX = e.touches[0].pageX - element.offsetLeft;
 			scrollLeft = element.scrollLeft;
 			this.touchStartTime = Date.now();
 		}, { passive: true });
 
-		element.addEventListener('touchmove', (e) => {
+		this.listen(element, 'touchmove', (e) => {
 			if (!isScrolling) {
 				isScrolling = true;
 				element.classList.add('scrolling');
@@ -116,7 +122,7 @@ export class TouchImprovements {
 			element.scrollLeft = scrollLeft - walk;
 		}, { passive: true });
 
-		element.addEventListener('touchend', () => {
+		this.listen(element, 'touchend', () => {
 			const touchDuration = Date.now() - this.touchStartTime;
 
 			setTimeout(() => {
@@ -137,7 +143,7 @@ export class TouchImprovements {
 		let lastScrollLeft = element.scrollLeft;
 		let lastTime = Date.now();
 
-		element.addEventListener('scroll', () => {
+		this.listen(element, 'scroll', () => {
 			const now = Date.now();
 			const timeDiff = now - lastTime;
 			const scrollDiff = element.scrollLeft - lastScrollLeft;
@@ -147,7 +153,7 @@ export class TouchImprovements {
 			lastTime = now;
 		}, { passive: true });
 
-		element.addEventListener('touchend', () => {
+		this.listen(element, 'touchend', () => {
 			if (Math.abs(velocity) > 0.5) {
 				this.animateMomentum(element, velocity);
 			}
@@ -207,17 +213,17 @@ export class TouchImprovements {
 	 * Add touch feedback
 	 */
 	addTouchFeedback(element) {
-		element.addEventListener('touchstart', () => {
+		this.listen(element, 'touchstart', () => {
 			element.classList.add('touch-active');
 		}, { passive: true });
 
-		element.addEventListener('touchend', () => {
+		this.listen(element, 'touchend', () => {
 			setTimeout(() => {
 				element.classList.remove('touch-active');
 			}, 150);
 		}, { passive: true });
 
-		element.addEventListener('touchcancel', () => {
+		this.listen(element, 'touchcancel', () => {
 			element.classList.remove('touch-active');
 		}, { passive: true });
 	}
@@ -270,6 +276,7 @@ export class TouchImprovements {
 		`;
 
 		document.head.appendChild(style);
+		this.onDestroy(() => style.remove());
 	}
 
 	/**
@@ -288,13 +295,13 @@ export class TouchImprovements {
 		let startY = 0;
 		let isSwipeGesture = false;
 
-		document.addEventListener('touchstart', (e) => {
+		this.listen(document, 'touchstart', (e) => {
 			startX = e.touches[0].clientX;
 			startY = e.touches[0].clientY;
 			isSwipeGesture = false;
 		}, { passive: true });
 
-		document.addEventListener('touchmove', (e) => {
+		this.listen(document, 'touchmove', (e) => {
 			if (!isSwipeGesture) {
 				const currentX = e.touches[0].clientX;
 				const currentY = e.touches[0].clientY;
@@ -308,7 +315,7 @@ export class TouchImprovements {
 			}
 		}, { passive: true });
 
-		document.addEventListener('touchend', (e) => {
+		this.listen(document, 'touchend', (e) => {
 			if (isSwipeGesture) {
 				const endX = e.changedTouches[0].clientX;
 				const diffX = endX - startX;
@@ -346,12 +353,12 @@ export class TouchImprovements {
 		let startX = 0;
 		let startTime = 0;
 
-		card.addEventListener('touchstart', (e) => {
+		this.listen(card, 'touchstart', (e) => {
 			startX = e.touches[0].clientX;
 			startTime = Date.now();
 		}, { passive: true });
 
-		card.addEventListener('touchend', (e) => {
+		this.listen(card, 'touchend', (e) => {
 			const endX = e.changedTouches[0].clientX;
 			const endTime = Date.now();
 			const diffX = endX - startX;
@@ -499,6 +506,16 @@ export class TouchImprovements {
 		}
 	}
 
+	/**
+	 * Get current state
+	 */
+	getState() {
+		return {
+			...super.getState(),
+			...this.getTouchCapabilities()
+		};
+	}
+
 	/**
 	 * Get touch capabilities
 	 */
@@ -518,7 +535,10 @@ export class TouchImprovements {
 		// Remove touch-device class
 		document.documentElement.classList.remove('touch-device');
 
-		// Remove event listeners (these are mostly passive, so cleanup is minimal)
-		console.log('👆 Touch Improvements destroyed');
+		// Remove event listeners and injected styles
+		super.destroy();
+		this.scrollElements = [];
+
+		log.debug('👆 Touch Improvements destroyed');
 	}
 }
\ No newline at end of file
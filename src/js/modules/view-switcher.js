@@ -0,0 +1,145 @@
+/**
+ * View Switcher Module
+ * Lets readers pick how post feeds are shown: masonry, list, compact
+ * (headlines only) or magazine. The choice applies to every feed on the
+ * page and is remembered (and synced for members, see storage.js).
+ *
+ * Feeds declare their own view as the default, and the switcher's value
+ * names the view it shows before the reader picks one:
+ *
+ * <section class="article-loop" data-default-view="list" data-view="list">
+ * <div data-view-switcher="list">...</div>
+ *
+ * Views are plain CSS on [data-view]; modules that lay feeds out themselves
+ * (MasonryGrid, VirtualFeed) listen for the feedViewChange event.
+ */
+
+import { trackEvent } from './theme';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+import { createStore } from './storage';
+
+const log = createLogger('view-switcher');
+
+export const VIEWS = ['masonry', 'list', 'compact', 'magazine'];
+
+const STORE_KEY = 'feedView';
+
+export class ViewSwitcher extends ThemeModule {
+  constructor() {
+    super('view-switcher');
+    this.switchers = [];
+    this.view = null; // null until the reader picks a view
+    this.store = createStore(STORE_KEY, { category: 'preferences' });
+
+    this.init();
+  }
+
+  init() {
+    this.switchers = Array.from(
+      document.querySelectorAll('[data-view-switcher]'),
+    );
+
+    if (this.switchers.length === 0) {
+      return;
+    }
+
+    this.switchers.forEach((switcher) => {
+      this.listen(switcher, 'click', (e) => {
+        const option = e.target.closest('[data-view-option]');
+        if (option) this.selectView(option.dataset.viewOption);
+      });
+
+      this.listen(switcher, 'keydown', (e) => this.handleKeydown(e, switcher));
+    });
+
+    this.updateSwitchers();
+    this.loadPreference();
+
+    log.info('🗂️ View switcher initialized');
+  }
+
+  /**
+   * Apply the saved view
+   */
+  async loadPreference() {
+    const saved = await this.store.load();
+    if (this.isDestroyed || !VIEWS.includes(saved)) return;
+
+    this.applyView(saved);
+  }
+
+  /**
+   * Reader picked a view
+   */
+  selectView(view) {
+    if (!VIEWS.includes(view) || view === this.view) return;
+
+    this.applyView(view);
+    this.store.save(view);
+    trackEvent('View Switcher', 'Change View', view);
+  }
+
+  /**
+   * Show every feed on the page in a view
+   */
+  applyView(view) {
+    this.view = view;
+
+    document.querySelectorAll('[data-default-view]').forEach((feed) => {
+      feed.setAttribute('data-view', view);
+    });
+
+    this.updateSwitchers();
+
+    document.dispatchEvent(
+      new CustomEvent('feedViewChange', { detail: { view } }),
+    );
+
+    log.debug(`View: ${view}`);
+  }
+
+  /**
+   * Mark the active option in each switcher (roving tabindex)
+   */
+  updateSwitchers() {
+    this.switchers.forEach((switcher) => {
+      const active = this.view || switcher.dataset.viewSwitcher;
+
+      switcher.querySelectorAll('[data-view-option]').forEach((option) => {
+        const isActive = option.dataset.viewOption === active;
+        option.setAttribute('aria-checked', String(isActive));
+        option.tabIndex = isActive ? 0 : -1;
+      });
+    });
+  }
+
+  /**
+   * Arrow keys move between options, like radio buttons
+   */
+  handleKeydown(e, switcher) {
+    const steps = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+    if (!(e.key in steps)) return;
+
+    const options = Array.from(
+      switcher.querySelectorAll('[data-view-option]'),
+    );
+    const current = options.indexOf(document.activeElement);
+    if (current === -1) return;
+
+    e.preventDefault();
+
+    const next =
+      options[(current + steps[e.key] + options.length) % options.length];
+    this.selectView(next.dataset.viewOption);
+    next.focus();
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      view: this.view,
+      switchers: this.switchers.length,
+    };
+  }
+}
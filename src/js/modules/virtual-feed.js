@@ -0,0 +1,224 @@
+/**
+ * Virtual Feed Module
+ * Keeps long feeds light by unloading items far from the viewport.
+ *
+ * An unloaded item keeps its element, size and position, so the page
+ * height, masonry layout and scroll restoration are unaffected; only its
+ * contents are set aside. A text-only stand-in stays in the page so
+ * find-in-page still matches it (with hidden="until-found" where supported,
+ * which brings the item back when the browser scrolls to the match).
+ *
+ * Opt in with data-virtualize on a feed (or the Virtualize long feeds theme
+ * setting). The value is the distance in px to keep loaded around the
+ * viewport:
+ *
+ * <section class="article-loop" data-virtualize="2000">
+ */
+
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('virtual-feed');
+
+const DEFAULT_MARGIN = 1500;
+
+/**
+ * Unloads and restores items of one container (used by MasonryGrid too)
+ */
+export class FeedVirtualizer {
+  constructor(container, { itemSelector, margin = DEFAULT_MARGIN } = {}) {
+    this.container = container;
+    this.itemSelector = itemSelector;
+    this.margin = margin;
+    this.detached = new Map();
+    this.supportsUntilFound = 'onbeforematch' in document.body;
+
+    this.observer = new IntersectionObserver(
+      (entries) => this.handleIntersections(entries),
+      { rootMargin: `${margin}px 0px` },
+    );
+
+    // Printing needs every item
+    this.handleBeforePrint = () => this.attachAll();
+    this.handleAfterPrint = () => this.refresh();
+    window.addEventListener('beforeprint', this.handleBeforePrint);
+    window.addEventListener('afterprint', this.handleAfterPrint);
+
+    this.observeItems();
+  }
+
+  /**
+   * Margin from a data-virtualize value
+   */
+  static parseMargin(value) {
+    const margin = parseInt(value, 10);
+    return margin > 0 ? margin : DEFAULT_MARGIN;
+  }
+
+  /**
+   * Items currently in the container
+   */
+  getItems() {
+    return Array.from(this.container.querySelectorAll(this.itemSelector));
+  }
+
+  /**
+   * Start watching items (new ones from infinite scroll included)
+   */
+  observeItems(items = this.getItems()) {
+    items.forEach((item) => this.observer.observe(item));
+  }
+
+  /**
+   * Unload items far from the viewport, restore those coming close
+   */
+  handleIntersections(entries) {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        this.attach(entry.target);
+      } else {
+        this.detach(entry.target);
+      }
+    });
+  }
+
+  /**
+   * Set an item's contents aside, keeping its size
+   */
+  detach(item) {
+    if (this.detached.has(item) || !item.isConnected) return;
+
+    // Never pull the focused element out of the page
+    if (item.contains(document.activeElement)) return;
+
+    const height = item.getBoundingClientRect().height;
+    if (!height) return;
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'virtual-placeholder';
+    placeholder.textContent = item.textContent.replace(/\s+/g, ' ').trim();
+
+    if (this.supportsUntilFound) {
+      placeholder.setAttribute('hidden', 'until-found');
+      placeholder.addEventListener('beforematch', () => this.attach(item));
+    }
+
+    const contents = document.createDocumentFragment();
+    while (item.firstChild) {
+      contents.appendChild(item.firstChild);
+    }
+
+    this.detached.set(item, {
+      contents,
+      placeholder,
+      height: item.style.height,
+    });
+
+    item.style.height = `${height}px`;
+    item.setAttribute('data-virtual', 'detached');
+    item.appendChild(placeholder);
+  }
+
+  /**
+   * Put an item's contents back
+   */
+  attach(item) {
+    const entry = this.detached.get(item);
+    if (!entry) return;
+
+    this.detached.delete(item);
+    entry.placeholder.remove();
+    item.appendChild(entry.contents);
+    item.style.height = entry.height;
+    item.removeAttribute('data-virtual');
+  }
+
+  /**
+   * Restore every item (before measuring or printing)
+   */
+  attachAll() {
+    Array.from(this.detached.keys()).forEach((item) => this.attach(item));
+  }
+
+  /**
+   * Re-check all current items against the viewport
+   */
+  refresh() {
+    this.observer.disconnect();
+
+    // Forget items that are no longer in the page
+    this.detached.forEach((entry, item) => {
+      if (!item.isConnected) this.detached.delete(item);
+    });
+
+    this.observeItems();
+  }
+
+  getState() {
+    return {
+      items: this.getItems().length,
+      detached: this.detached.size,
+      margin: this.margin,
+    };
+  }
+
+  destroy() {
+    this.observer.disconnect();
+    this.attachAll();
+    window.removeEventListener('beforeprint', this.handleBeforePrint);
+    window.removeEventListener('afterprint', this.handleAfterPrint);
+  }
+}
+
+/**
+ * Virtualization for list feeds such as the blog's .article-loop
+ */
+export class VirtualFeed extends ThemeModule {
+  constructor() {
+    super('virtual-feed');
+    this.feed = null;
+    this.virtualizer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.feed = document.querySelector('[data-virtualize]:not(.masonry-grid)');
+
+    if (!this.feed || !('IntersectionObserver' in window)) {
+      return;
+    }
+
+    this.virtualizer = new FeedVirtualizer(this.feed, {
+      itemSelector: this.feed.dataset.virtualItem || '.post-container',
+      margin: FeedVirtualizer.parseMargin(this.feed.dataset.virtualize),
+    });
+
+    this.onDestroy(() => {
+      this.virtualizer.destroy();
+      this.virtualizer = null;
+    });
+
+    // Watch posts added by infinite scroll
+    this.listen(document, 'newPostsLoaded', () => {
+      this.virtualizer.observeItems();
+    });
+
+    // Kept sizes are wrong once the view changes
+    this.listen(document, 'feedViewChange', () => {
+      this.virtualizer.attachAll();
+      requestAnimationFrame(() => {
+        if (this.virtualizer) this.virtualizer.refresh();
+      });
+    });
+
+    log.info('🪟 Virtual feed enabled');
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      ...(this.virtualizer ? this.virtualizer.getState() : {}),
+    };
+  }
+}
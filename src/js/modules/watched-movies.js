@@ -0,0 +1,136 @@
+/**
+ * Watched Movies Module
+ * Turns the Letterboxd diary on page-watched-movies.hbs into poster grids
+ * grouped by month.
+ *
+ * Posters come from the first image in each post's hidden content. Movies
+ * added by infinite scroll join their month, so the page can paginate like
+ * any other feed (data-feed="watched-movies").
+ */
+
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('watched-movies');
+
+export class WatchedMovies extends ThemeModule {
+  constructor() {
+    super('watched-movies');
+    this.container = null;
+
+    this.init();
+  }
+
+  init() {
+    this.container = document.querySelector('.movies-container');
+
+    if (!this.container) {
+      return;
+    }
+
+    this.arrange();
+    this.listen(document, 'newPostsLoaded', () => this.arrange());
+
+    log.info('🎬 Watched movies initialized');
+  }
+
+  /**
+   * Move movies that aren't in a month yet into their month's grid
+   */
+  arrange() {
+    const pending = Array.from(
+      this.container.querySelectorAll('.movie-item'),
+    ).filter((item) => !item.parentElement.classList.contains('movies-grid'));
+
+    pending.forEach((item) => {
+      this.loadPoster(item);
+      this.getMonthGrid(item.dataset.month, item.dataset.monthLabel).append(
+        item,
+      );
+    });
+
+    // The server-rendered list is empty once every movie has a month
+    const rawList = this.container.querySelector('.raw-movies-list');
+    if (rawList && !rawList.querySelector('.movie-item, .no-movies')) {
+      rawList.remove();
+    }
+
+    if (pending.length > 0) {
+      log.debug(`Arranged ${pending.length} movies`);
+    }
+  }
+
+  /**
+   * Grid for a month, creating its section in date order (newest first)
+   */
+  getMonthGrid(month, label) {
+    const sections = Array.from(
+      this.container.querySelectorAll('.month-section'),
+    );
+    const existing = sections.find((section) => section.dataset.month === month);
+
+    if (existing) {
+      return existing.querySelector('.movies-grid');
+    }
+
+    const section = document.createElement('section');
+    section.className = 'month-section';
+    section.dataset.month = month;
+
+    const title = document.createElement('h2');
+    title.className = 'month-title';
+    title.textContent = label;
+
+    const grid = document.createElement('div');
+    grid.className = 'movies-grid';
+
+    section.append(title, grid);
+
+    const next = sections.find((other) => other.dataset.month < month);
+    this.container.insertBefore(section, next || null);
+
+    return grid;
+  }
+
+  /**
+   * Show the post's first image as the poster, or a placeholder
+   */
+  loadPoster(item) {
+    const poster = item.querySelector('.movie-poster');
+    const content = item.querySelector('.post-content');
+    const image = content ? content.querySelector('img') : null;
+
+    if (!poster) return;
+
+    if (!image) {
+      poster.classList.add('image-error');
+      return;
+    }
+
+    // Preload so the background never appears half-drawn
+    const preload = new Image();
+
+    preload.addEventListener('load', () => {
+      poster.style.backgroundImage = `url("${image.src}")`;
+      poster.style.backgroundSize = 'cover';
+      poster.style.backgroundPosition = 'center top';
+      poster.style.backgroundRepeat = 'no-repeat';
+      poster.classList.add('image-loaded');
+    });
+
+    preload.addEventListener('error', () => {
+      poster.classList.add('image-error');
+    });
+
+    preload.src = image.src;
+  }
+
+  getState() {
+    return {
+      ...super.getState(),
+      months: this.container
+        ? this.container.querySelectorAll('.month-section').length
+        : 0,
+    };
+  }
+}
@@ -3,6 +3,12 @@
  * Fetches and displays weather data with icons and day/night support
  */
 
+import { consent } from './consent';
+import { ThemeModule } from './theme-module';
+import { createLogger } from './logger';
+
+const log = createLogger('weather-display');
+
 const WEATHER_ICONS = {
 	sunny: `
 		<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-sun weather-icon inline-icon">
@@ -46,43 +52,72 @@ const WEATHER_ICONS = {
 		</svg>`
 };
 
+// Map WMO weather codes to conditions with day/night support
+// https://open-meteo.com/en/docs#weathervariables
+const WEATHER_MAP = {
+	'sunny': { day: [0, 1], night: [] },
+	'clear': { day: [], night: [0, 1] },
+	'partly cloudy': { day: [2], night: [2] },
+	'cloudy': { day: [3], night: [3] },
+	'foggy': { day: [45, 48], night: [45, 48] },
+	'drizzly': { day: [51, 53, 55], night: [51, 53, 55] },
+	'icy': { day: [56, 57, 66, 67], night: [56, 57, 66, 67] },
+	'rainy': { day: [61, 63, 65, 80, 81, 82], night: [61, 63, 65, 80, 81, 82] },
+	'snowy': { day: [71, 73, 75, 77, 85, 86], night: [71, 73, 75, 77, 85, 86] },
+	'stormy': { day: [95, 96, 99], night: [95, 96, 99] }
+};
+
+// Periodic updates every 3 hours
+const UPDATE_INTERVAL = 3 * 60 * 60 * 1000;
+
 /**
- * Initialize Weather Display
+ * Weather Display
  * Fetches weather data and displays it with appropriate icons
  */
-export function initWeatherDisplay() {
-	const tempElement = document.getElementById('current-temp');
-	const conditionElement = document.getElementById('current-condition');
-
-	if (!tempElement || !conditionElement) {
-		console.log('Weather elements not found');
-		return;
+export class WeatherDisplay extends ThemeModule {
+	constructor() {
+		super('weather-display');
+		this.tempElement = null;
+		this.conditionElement = null;
+		this.updateTimer = null;
+		this.lastWeather = null;
+
+		this.init();
 	}
 
-	// Map WMO weather codes to conditions with day/night support
-	// https://open-meteo.com/en/docs#weathervariables
-	const weatherMap = {
-		'sunny': { day: [0, 1], night: [] },
-		'clear': { day: [], night: [0, 1] },
-		'partly cloudy': { day: [2], night: [2] },
-		'cloudy': { day: [3], night: [3] },
-		'foggy': { day: [45, 48], night: [45, 48] },
-		'drizzly': { day: [51, 53, 55], night: [51, 53, 55] },
-		'icy': { day: [56, 57, 66, 67], night: [56, 57, 66, 67] },
-		'rainy': { day: [61, 63, 65, 80, 81, 82], night: [61, 63, 65, 80, 81, 82] },
-		'snowy': { day: [71, 73, 75, 77, 85, 86], night: [71, 73, 75, 77, 85, 86] },
-		'stormy': { day: [95, 96, 99], night: [95, 96, 99] }
-	};
+	init() {
+		this.tempElement = document.getElementById('current-temp');
+		this.conditionElement = document.getElementById('current-condition');
+
+		if (!this.tempElement || !this.conditionElement) {
+			log.debug('Weather elements not found');
+			return;
+		}
+
+		// The forecast comes from a third-party API
+		if (!consent.has('embeds')) {
+			log.debug('Weather waiting for external content consent');
+			this.onDestroy(consent.onChange(() => {
+				if (consent.has('embeds')) this.refresh();
+			}));
+			return;
+		}
+
+		// Start the weather display system
+		this.updateDisplay();
+
+		log.info('✅ Weather display initialized');
+	}
 
 	// Keep condition lowercase for news-style formatting
-	function capitalizeCondition(condition) {
+	capitalizeCondition(condition) {
 		return condition; // Returns "sunny", "partly cloudy", etc.
 	}
 
-	function getOneWordWeather(code, isDay) {
+	getOneWordWeather(code, isDay) {
 		const timeOfDay = isDay ? 'day' : 'night';
 
-		for (const [condition, times] of Object.entries(weatherMap)) {
+		for (const [condition, times] of Object.entries(WEATHER_MAP)) {
 			if (times[timeOfDay] && times[timeOfDay].includes(code)) {
 				return condition;
 			}
@@ -90,7 +125,7 @@ export function initWeatherDisplay() {
 		return 'cloudy'; // Default fallback
 	}
 
-	function updateWeatherIcon(condition) {
+	updateWeatherIcon(condition) {
 		const iconTemplate = WEATHER_ICONS[condition] || WEATHER_ICONS.cloudy;
 		const existingIcon = document.querySelector('.weather-icon-container');
 
@@ -103,10 +138,10 @@ export function initWeatherDisplay() {
 		iconContainer.innerHTML = iconTemplate;
 
 		// Insert the icon right after the condition text
-		conditionElement.parentNode.insertBefore(iconContainer, conditionElement.nextSibling);
+		this.conditionElement.parentNode.insertBefore(iconContainer, this.conditionElement.nextSibling);
 	}
 
-	async function getWeatherData() {
+	async getWeatherData() {
 		try {
 			// Clear existing cache first
 			localStorage.removeItem('weather_cache');
@@ -128,11 +163,11 @@ export function initWeatherDisplay() {
 			// Use ISO string for timestamp
 			const result = {
 				temp: Math.round(data.current.temperature_2m),
-				condition: getOneWordWeather(data.current.weather_code, data.current.is_day),
+				condition: this.getOneWordWeather(data.current.weather_code, data.current.is_day),
 				lastUpdated: new Date().toISOString()
 			};
 
-			console.log('Weather update:', {
+			log.debug('Weather update:', {
 				temp: result.temp,
 				condition: result.condition,
 				isDay: data.current.is_day,
@@ -148,80 +183,105 @@ export function initWeatherDisplay() {
 			};
 
 		} catch (error) {
-			console.error('Error fetching weather:', error);
+			log.error('Error fetching weather:', error);
 			return { temp: '--', condition: 'cloudy' };
 		}
 	}
 
-	async function updateDisplay() {
+	async updateWeatherDisplay() {
 		try {
-			// Clear any existing interval when we start a new update
-			if (window.weatherUpdateInterval) {
-				clearInterval(window.weatherUpdateInterval);
+			const weather = await this.getWeatherData();
+
+			// The module may have been destroyed while the request was in flight
+			if (this.isDestroyed) return;
+
+			if (!this.tempElement || !this.conditionElement) {
+				log.error('Weather elements not found');
+				return;
 			}
 
-			const updateWeatherDisplay = async () => {
-				try {
-					const weather = await getWeatherData();
+			this.lastWeather = weather;
+			this.tempElement.textContent = `${weather.temp}°F and`;
+			// Keep condition lowercase for news-style formatting
+			const formattedCondition = this.capitalizeCondition(weather.condition);
+			this.conditionElement.textContent = ` ${formattedCondition}`;
+			this.updateWeatherIcon(weather.condition);
 
-					if (!tempElement || !conditionElement) {
-						console.error('Weather elements not found');
-						return;
-					}
+			this.tempElement.setAttribute('aria-label',
+				`Current temperature is ${weather.temp} degrees Fahrenheit and ${formattedCondition}`
+			);
+		} catch (error) {
+			log.error('Error updating weather display:', error);
+		}
+	}
 
-					tempElement.textContent = `${weather.temp}°F and`;
-					// Keep condition lowercase for news-style formatting
-					const formattedCondition = capitalizeCondition(weather.condition);
-					conditionElement.textContent = ` ${formattedCondition}`;
-					updateWeatherIcon(weather.condition);
-
-					tempElement.setAttribute('aria-label',
-						`Current temperature is ${weather.temp} degrees Fahrenheit and ${formattedCondition}`
-					);
-				} catch (error) {
-					console.error('Error updating weather display:', error);
-				}
-			};
+	startUpdates() {
+		this.stopUpdates();
+		this.updateTimer = this.interval(() => this.updateWeatherDisplay(), UPDATE_INTERVAL);
+	}
+
+	stopUpdates() {
+		if (this.updateTimer) {
+			this.clearTimer(this.updateTimer);
+			this.updateTimer = null;
+		}
+	}
 
+	async updateDisplay() {
+		try {
 			// Initial update
-			await updateWeatherDisplay();
+			await this.updateWeatherDisplay();
+			if (this.isDestroyed) return;
 
-			// Set up periodic updates every 3 hours
-			const threeHours = 3 * 60 * 60 * 1000; // 3 hours in milliseconds
-			window.weatherUpdateInterval = setInterval(updateWeatherDisplay, threeHours);
+			this.startUpdates();
 
 			// Clean up interval when page is hidden
-			document.addEventListener('visibilitychange', () => {
-				if (document.hidden && window.weatherUpdateInterval) {
-					clearInterval(window.weatherUpdateInterval);
-				} else if (!document.hidden && !window.weatherUpdateInterval) {
+			this.listen(document, 'visibilitychange', () => {
+				if (document.hidden && this.updateTimer) {
+					this.stopUpdates();
+				} else if (!document.hidden && !this.updateTimer) {
 					// Check when was the last update
 					const cached = localStorage.getItem('weather_cache');
 					if (cached) {
 						const data = JSON.parse(cached);
 						const lastUpdate = new Date(data.lastUpdated);
-						const threeHoursAgo = new Date(Date.now() - threeHours);
+						const threeHoursAgo = new Date(Date.now() - UPDATE_INTERVAL);
 
 						// Only update if last update was more than 3 hours ago
 						if (lastUpdate < threeHoursAgo) {
-							updateWeatherDisplay();
-							window.weatherUpdateInterval = setInterval(updateWeatherDisplay, threeHours);
+							this.updateWeatherDisplay();
 						}
 					} else {
 						// No cache exists, do an update
-						updateWeatherDisplay();
-						window.weatherUpdateInterval = setInterval(updateWeatherDisplay, threeHours);
+						this.updateWeatherDisplay();
 					}
+
+					this.startUpdates();
 				}
 			});
 
 		} catch (error) {
-			console.error('Error in weather update system:', error);
+			log.error('Error in weather update system:', error);
 		}
 	}
 
-	// Start the weather display system
-	updateDisplay();
+	destroy() {
+		this.stopUpdates();
+		super.destroy();
+	}
+
+	getState() {
+		return {
+			...super.getState(),
+			weather: this.lastWeather,
+			isUpdating: !!this.updateTimer
+		};
+	}
+}
 
-	console.log('✅ Weather display initialized');
-}
\ No newline at end of file
+/**
+ * Initialize Weather Display
+ */
+export function initWeatherDisplay() {
+	return new WeatherDisplay();
+}
@@ -0,0 +1,230 @@
+/**
+ * Service Worker
+ * Offline support, registered by the offline-reading module when the
+ * Offline reading theme setting is on.
+ *
+ * - Built assets are precached on install (listed in precache.json)
+ * - Pages come from the network, with the cached copy used offline. Ghost
+ *   lets anonymous pages be cached, so serving them first would show a
+ *   signed-in member the logged-out page
+ * - Posts saved for offline reading (offline-store.js) are kept until removed
+ * - Pages that aren't cached show the offline page, built from error.hbs
+ */
+
+import { buildId } from 'build-env';
+import {
+  ASSETS_CACHE_PREFIX,
+  OFFLINE_PATH,
+  PAGES_CACHE,
+  SAVED_CACHE,
+} from './modules/offline-store';
+
+const ASSETS_CACHE = `${ASSETS_CACHE_PREFIX}${buildId}`;
+
+// Visited pages kept for offline use, oldest dropped first
+const MAX_PAGES = 50;
+
+// Paths the browser must always load from the server
+const EXCLUDED_PATHS = /^(ghost|members|rss|content|sitemap|p|r)\//;
+
+const scope = new URL(self.registration.scope);
+
+/**
+ * URL inside the site (works for sites in a subdirectory)
+ */
+function siteUrl(path) {
+  return new URL(path, scope).href;
+}
+
+/**
+ * Path relative to the site root, or null for other origins
+ */
+function sitePath(url) {
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) {
+    return null;
+  }
+
+  return url.pathname.slice(scope.pathname.length);
+}
+
+/**
+ * Cache the built assets and the offline page
+ */
+async function precache() {
+  const cache = await caches.open(ASSETS_CACHE);
+
+  try {
+    const manifest = await fetch(siteUrl('assets/built/precache.json'), {
+      cache: 'no-cache',
+    });
+    const files = manifest.ok ? await manifest.json() : [];
+
+    await cache.addAll(files.map((file) => siteUrl(`assets/built/${file}`)));
+  } catch (error) {
+    // Assets are cached as they're used instead
+  }
+
+  // A 404 is what we want: Ghost renders it with error.hbs
+  const offline = await fetch(siteUrl(OFFLINE_PATH));
+  await cache.put(siteUrl(OFFLINE_PATH), offline);
+}
+
+/**
+ * Drop assets cached by earlier theme versions
+ */
+async function removeOldCaches() {
+  const names = await caches.keys();
+
+  await Promise.all(
+    names
+      .filter(
+        (name) => name.startsWith(ASSETS_CACHE_PREFIX) && name !== ASSETS_CACHE,
+      )
+      .map((name) => caches.delete(name)),
+  );
+}
+
+/**
+ * Whether a page response may be kept (members' pages are private)
+ */
+function isCacheable(response) {
+  const cacheControl = response.headers.get('Cache-Control') || '';
+
+  return (
+    response.ok &&
+    response.type === 'basic' &&
+    !/no-store|private/.test(cacheControl)
+  );
+}
+
+/**
+ * Keep at most MAX_PAGES visited pages
+ */
+async function trimPages(cache) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - MAX_PAGES));
+
+  await Promise.all(excess.map((request) => cache.delete(request)));
+}
+
+/**
+ * Fetch a page and keep a copy
+ */
+async function fetchAndCachePage(request) {
+  const response = await fetch(request);
+
+  if (isCacheable(response)) {
+    const cache = await caches.open(PAGES_CACHE);
+    await cache.delete(request);
+    await cache.put(request, response.clone());
+    await trimPages(cache);
+  }
+
+  return response;
+}
+
+/**
+ * Cached copy of a page: the latest visit, then the copy saved for offline
+ * reading. caches.match() would search caches in the order they were made,
+ * so a saved copy could win over a newer one.
+ */
+async function matchPage(request) {
+  for (const name of [PAGES_CACHE, SAVED_CACHE]) {
+    const cache = await caches.open(name);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+  }
+
+  return undefined;
+}
+
+/**
+ * The offline page, marked so error.hbs shows its offline message
+ */
+async function offlinePage() {
+  const cached = await caches.match(siteUrl(OFFLINE_PATH));
+  if (!cached) return Response.error();
+
+  const html = (await cached.text()).replace(
+    'data-error-page',
+    'data-error-page="offline"',
+  );
+
+  return new Response(html, {
+    status: 503,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  });
+}
+
+/**
+ * Pages, page transitions and infinite scroll: network, then any cached copy
+ */
+async function networkFirst(request) {
+  try {
+    return await fetchAndCachePage(request);
+  } catch (error) {
+    const cached = await matchPage(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Built assets never change under the same theme version
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(ASSETS_CACHE);
+    await cache.put(request, response.clone());
+  }
+
+  return response;
+}
+
+/**
+ * Images: network, then the copy saved with an offline post
+ */
+async function imageWithFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET' || request.headers.has('range')) return;
+
+  const path = sitePath(new URL(request.url));
+
+  if (request.destination === 'image') {
+    event.respondWith(imageWithFallback(request));
+    return;
+  }
+
+  if (path === null || EXCLUDED_PATHS.test(path)) return;
+
+  if (path.startsWith('assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request).catch(() => offlinePage()));
+  } else if (request.headers.get('X-Requested-With') === 'XMLHttpRequest') {
+    event.respondWith(networkFirst(request));
+  }
+});